@@ -3,28 +3,35 @@
  * Parser/writer for the "Intel hex" format.
  */
 
+/* global TransformStream, ReadableStream, crypto, require, Buffer */
+
 /*
- * A regexp that matches lines in a .hex file.
- *
- * One hexadecimal character is matched by "[0-9A-Fa-f]".
- * Two hex characters are matched by "[0-9A-Fa-f]{2}"
- * Eight or more hex characters are matched by "[0-9A-Fa-f]{8,}"
- * A capture group of two hex characters is "([0-9A-Fa-f]{2})"
- *
- * Record mark         :
- * 8 or more hex chars  ([0-9A-Fa-f]{8,})
- * Checksum                              ([0-9A-Fa-f]{2})
- * Optional newline                                      (?:\r\n|\r|\n|)
+ * A lookup table from character codes to the value of hexadecimal digits:
+ * 0-15 for "0"-"9", "A"-"F" and "a"-"f", -1 for any other character
+ * (including character codes over 0xFF, which fall outside the table).
  */
-const hexLineRegexp = /:([0-9A-Fa-f]{8,})([0-9A-Fa-f]{2})(?:\r\n|\r|\n|)/g;
-
+const hexValues = new Int8Array(256).fill(-1);
+for (let i = 0; i < 10; i++) {
+    hexValues[0x30 + i] = i;        // "0"-"9"
+}
+for (let i = 0; i < 6; i++) {
+    hexValues[0x41 + i] = 10 + i;   // "A"-"F"
+    hexValues[0x61 + i] = 10 + i;   // "a"-"f"
+}
 
-// Takes a Uint8Array as input,
-// Returns an integer in the 0-255 range.
-function checksum(bytes) {
-    return (-bytes.reduce((sum, v)=>sum + v, 0)) & 0xFF;
+// Given an array of character codes, returns the value of the byte encoded as
+// two hex digits at the given position.
+function hexByteAt(chars, position) {
+    return (hexValues[chars[position]] << 4) + hexValues[chars[position + 1]];
 }
 
+// Strings longer than this are parsed in slices, to keep memory usage low.
+const stringSliceSize = 0x10000;
+
+// Approximate size of the chunks of text written to streams.
+const streamChunkSize = 0x4000;
+
+
 // Takes two Uint8Arrays as input,
 // Returns an integer in the 0-255 range.
 function checksumTwo(array1, array2) {
@@ -40,6 +47,16 @@ function hexpad(number) {
 }
 
 
+// Copies the start addresses (the values of 0x03 and 0x05 records) and the
+// S-record header from one MemoryMap into another.
+function copyStartAddresses(source, target) {
+    target.startSegmentAddress = source.startSegmentAddress;
+    target.startLinearAddress = source.startLinearAddress;
+    target.header = source.header;
+    return target;
+}
+
+
 // Polyfill as per https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Number/isInteger
 Number.isInteger = Number.isInteger || function(value) {
     return typeof value === 'number' &&
@@ -48,317 +65,4252 @@ Number.isInteger = Number.isInteger || function(value) {
 };
 
 
-/**
- * @class MemoryMap
- *
- * Represents the contents of a memory layout, with main focus into (possibly sparse) blocks of data.
- *<br/>
- * A {@linkcode MemoryMap} acts as a subclass of
- * {@linkcode https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/Map|Map}.
- * In every entry of it, the key is the starting address of a data block (an integer number),
- * and the value is the <tt>Uint8Array</tt> with the data for that block.
- *<br/>
- * The main rationale for this is that a .hex file can contain a single block of contiguous
- * data starting at memory address 0 (and it's the common case for simple .hex files),
- * but complex files with several non-contiguous data blocks are also possible, thus
- * the need for a data structure on top of the <tt>Uint8Array</tt>s.
- *<br/>
- * In order to parse <tt>.hex</tt> files, use the {@linkcode MemoryMap.fromHex} <em>static</em> factory
- * method. In order to write <tt>.hex</tt> files, create a new {@linkcode MemoryMap} and call
- * its {@linkcode MemoryMap.asHexString} method.
- *
- * @extends Map
- * @example
- * import MemoryMap from 'nrf-intel-hex';
- *
- * let memMap1 = new MemoryMap();
- * let memMap2 = new MemoryMap([[0, new Uint8Array(1,2,3,4)]]);
- * let memMap3 = new MemoryMap({0: new Uint8Array(1,2,3,4)});
- * let memMap4 = new MemoryMap({0xCF0: new Uint8Array(1,2,3,4)});
+/*
+ * Kinds of problems that the .hex parser can find, and their default severity.
+ * Each of them can be set to 'error', 'warning' or 'ignore' by the
+ * options.diagnostics parameter of MemoryMap.fromHex() and MemoryMap.fromHexLenient().
  */
-class MemoryMap {
-    /**
-     * @param {Iterable} blocks The initial value for the memory blocks inside this
-     * <tt>MemoryMap</tt>. All keys must be numeric, and all values must be instances of
-     * <tt>Uint8Array</tt>. Optionally it can also be a plain <tt>Object</tt> with
-     * only numeric keys.
-     */
-    constructor(blocks) {
-        this._blocks = new Map();
+const hexDiagnosticKinds = {
+    malformed: 'error',             // Characters which are not part of any record
+    recordLength: 'error',          // Record length does not match the record's data
+    checksum: 'error',              // Wrong record checksum
+    duplicatedData: 'error',        // Data record starting at the same address as a previous one
+    overlappingData: 'error',       // Data records overlapping each other
+    conflictingData: 'warning',     // Overlapping data records with different data, when allowed by the overlap policy
+    wrap: 'error',                  // Data record which wraps over 0xFFFF
+    recordOffset: 'error',          // Non-data record with a data offset other than 0000
+    startAddressLength: 'error',    // 0x03 or 0x05 record without exactly 4 data bytes
+    recordType: 'error',            // Record type not between 0x00 and 0x05
+    dataAfterEOF: 'error',          // Anything after the EOF record
+    noEOF: 'error',                 // Missing EOF record
+    noRecords: 'error',             // Not a single record found
+};
 
-        if (blocks && typeof blocks[Symbol.iterator] === 'function') {
-            for (const tuple of blocks) {
-                if (!(tuple instanceof Array) || tuple.length !== 2) {
-                    throw new Error('First parameter to MemoryMap constructor must be an iterable of [addr, bytes] or undefined');
-                }
-                this.set(tuple[0], tuple[1]);
-            }
-        } else if (typeof blocks === 'object') {
-            // Try iterating through the object's keys
-            const addrs = Object.keys(blocks);
-            for (const addr of addrs) {
-                this.set(parseInt(addr), blocks[addr]);
-            }
+const diagnosticSeverities = ['error', 'warning', 'ignore'];
 
-        } else if (blocks !== undefined && blocks !== null) {
-            throw new Error('First parameter to MemoryMap constructor must be an iterable of [addr, bytes] or undefined');
+// Ways to handle overlapping data, for MemoryMap.fromHex() and MemoryMap.mergeMemoryMaps()
+const overlapPolicies = ['error', 'first-wins', 'last-wins', 'allow-if-identical'];
+
+
+// Converts an array of character codes (e.g. a chunk of a .hex file read as
+// binary data) into a String.
+// Works in slices, to not overflow the call stack of String.fromCharCode.apply.
+function charCodesToString(chars) {
+    let str = '';
+    for (let i = 0, l = chars.length; i < l; i += 0x2000) {
+        str += String.fromCharCode.apply(null, chars.subarray(i, i + 0x2000));
+    }
+    return str;
+}
+
+
+// Converts the contents of a .hex file into an array of character codes: strings
+// are turned into Uint16Arrays, binary data is kept as a Uint8Array.
+// Returns undefined for any other kind of input.
+function toCharCodes(input) {
+    if (input instanceof ArrayBuffer) {
+        return new Uint8Array(input);
+    } else if (typeof input === 'string') {
+        const codes = new Uint16Array(input.length);
+        for (let i = 0, l = input.length; i < l; i++) {
+            codes[i] = input.charCodeAt(i);
         }
+        return codes;
+    } else if (input instanceof Uint8Array) {
+        return input;
     }
+    return undefined;
+}
 
-    set(addr, value) {
-        if (!Number.isInteger(addr)) {
-            throw new Error('Address passed to MemoryMap is not an integer');
+
+// Formats which MemoryMap.from() can detect, in the order they are tried, with
+// their names for error messages.
+const inputFormats = {
+    elf: 'ELF',
+    uf2: 'UF2',
+    hex: 'Intel HEX',
+    srec: 'S-record',
+    titxt: 'TI-TXT',
+    binary: 'raw binary',
+};
+
+// Guesses the format of the input of MemoryMap.from(), among the given ones, by
+// looking at its first bytes (for binary formats) or at its first character (for
+// text formats, if all characters are printable ASCII or whitespace). Any bytes
+// which are not in another format are raw binary. Returns undefined if there is
+// no match.
+function detectFormat(input, formats) {
+    const chars = toCharCodes(input);
+    if (!chars) {
+        throw new Error('Input must be a String, an Uint8Array or an ArrayBuffer');
+    }
+    const isBytes = typeof input !== 'string';
+
+    if (isBytes && formats.indexOf('elf') !== -1 &&
+        chars[0] === 0x7F && chars[1] === 0x45 && chars[2] === 0x4C && chars[3] === 0x46) {   // "\x7FELF"
+        return 'elf';
+    }
+    if (isBytes && formats.indexOf('uf2') !== -1 && chars.length >= 512 && chars.length % 512 === 0) {
+        const view = new DataView(chars.buffer, chars.byteOffset, 8);
+        if (view.getUint32(0, true) === uf2MagicStart0 && view.getUint32(4, true) === uf2MagicStart1) {
+            return 'uf2';
         }
-        if (addr < 0) {
-            throw new Error('Address passed to MemoryMap is negative');
+    }
+
+    let first = -1;
+    let isText = true;
+    for (let i = 0, l = chars.length; i < l && isText; i++) {
+        const char = chars[i];
+        isText = (char >= 0x20 && char <= 0x7E) || char === 0x09 || char === 0x0A || char === 0x0D;
+        if (first === -1 && char > 0x20) {
+            first = i;
         }
-        if (!(value instanceof Uint8Array)) {
-            throw new Error('Bytes passed to MemoryMap are not an Uint8Array');
+    }
+    if (isText && first !== -1) {
+        const char = String.fromCharCode(chars[first]);
+        if (char === ':' && formats.indexOf('hex') !== -1) {
+            return 'hex';
+        }
+        if (char === 'S' && chars[first + 1] >= 0x30 && chars[first + 1] <= 0x39 && formats.indexOf('srec') !== -1) {
+            return 'srec';
+        }
+        if (char === '@' && formats.indexOf('titxt') !== -1) {
+            return 'titxt';
         }
-        return this._blocks.set(addr, value);
     }
-    // Delegate the following to the 'this._blocks' Map:
-    get(addr)    { return this._blocks.get(addr);    }
-    clear()      { return this._blocks.clear();      }
-    delete(addr) { return this._blocks.delete(addr); }
-    entries()    { return this._blocks.entries();    }
-    forEach(callback, that) { return this._blocks.forEach(callback, that); }
-    has(addr)    { return this._blocks.has(addr);    }
-    keys()       { return this._blocks.keys();       }
-    values()     { return this._blocks.values();     }
-    get size()   { return this._blocks.size;         }
-    [Symbol.iterator]() { return this._blocks[Symbol.iterator](); }
 
+    if (isBytes && formats.indexOf('binary') !== -1) {
+        return 'binary';
+    }
+    return undefined;
+}
 
-    /**
-     * Parses a string containing data formatted in "Intel HEX" format, and
-     * returns an instance of {@linkcode MemoryMap}.
-     *<br/>
-     * The insertion order of keys in the {@linkcode MemoryMap} is guaranteed to be strictly
-     * ascending. In other words, when iterating through the {@linkcode MemoryMap}, the addresses
-     * will be ordered in ascending order.
-     *<br/>
-     * The parser has an opinionated behaviour, and will throw a descriptive error if it
-     * encounters some malformed input. Check the project's
-     * {@link https://github.com/NordicSemiconductor/nrf-intel-hex#Features|README file} for details.
-     *<br/>
-     * If <tt>maxBlockSize</tt> is given, any contiguous data block larger than that will
-     * be split in several blocks.
-     *
-     * @param {String} hexText The contents of a .hex file.
-     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
-     *
-     * @return {MemoryMap}
-     *
-     * @example
-     * import MemoryMap from 'nrf-intel-hex';
-     *
-     * let intelHexString =
-     *     ":100000000102030405060708090A0B0C0D0E0F1068\n" +
-     *     ":00000001FF";
-     *
-     * let memMap = MemoryMap.fromHex(intelHexString);
-     *
-     * for (let [address, dataBlock] of memMap) {
-     *     console.log('Data block at ', address, ', bytes: ', dataBlock);
-     * }
-     */
-    static fromHex(hexText, maxBlockSize = Infinity) {
-        const blocks = new MemoryMap();
 
-        let lastCharacterParsed = 0;
-        let matchResult;
-        let recordCount = 0;
+// Looks for the next record in an array of character codes, starting at the
+// given position.
+// A record is a record mark (":"), followed by 10 or more hex digits (the record
+// itself, then two digits for the checksum), followed by an optional record
+// separator ("\r\n", "\r" or "\n").
+// Returns an Array with the positions of the record mark, of the end of the hex
+// digits and of the end of the record separator, or undefined if there are no
+// more records.
+function findRecord(chars, position) {
+    for (let l = chars.length; position < l; position++) {
+        if (chars[position] === 0x3A) {   // ":"
+            let hexEnd = position + 1;
+            while (hexEnd < l && hexValues[chars[hexEnd]] >= 0) {
+                hexEnd++;
+            }
+            if (hexEnd - position > 10) {
+                let recordEnd = hexEnd;
+                if (chars[recordEnd] === 0x0D) { recordEnd++; }  // "\r"
+                if (chars[recordEnd] === 0x0A) { recordEnd++; }  // "\n"
+                return [position, hexEnd, recordEnd];
+            }
+            // Hex digits cannot contain a record mark, so skip them
+            position = hexEnd - 1;
+        }
+    }
+    return undefined;
+}
 
-        // Upper Linear Base Address, the 16 most significant bits (2 bytes) of
-        // the current 32-bit (4-byte) address
-        // In practice this is a offset that is summed to the "load offset" of the
-        // data records
-        let ulba = 0;
+// Decodes the record between the given positions of an array of character codes
+// (see findRecord()) into a record object, as returned by MemoryMap.parseRecords().
+// The data bytes are decoded into the Uint8Array returned by `allocate(record, length)`,
+// which is called once the type, offset and length of the record are known; if it
+// returns undefined, neither the data nor the checksum are looked at.
+function decodeRecord(chars, recordStart, hexEnd, allocate = (record, length)=>new Uint8Array(length)) {
+    // Every two hex digits between the record mark and the checksum are a byte
+    const dataLength = ((hexEnd - recordStart - 3) >> 1) - 4;
+    const length = hexByteAt(chars, recordStart + 1);
+    const record = {
+        type: hexByteAt(chars, recordStart + 7),
+        offset: (hexByteAt(chars, recordStart + 3) << 8) + hexByteAt(chars, recordStart + 5),
+        length: length,
+        data: undefined,
+        checksum: hexByteAt(chars, hexEnd - 2),
+        lengthValid: length === dataLength,
+        checksumValid: false,
+    };
 
-        hexLineRegexp.lastIndex = 0; // Reset the regexp, if not it would skip content when called twice
+    const data = allocate(record, dataLength);
+    if (data) {
+        let sum = length + (record.offset >> 8) + (record.offset & 0xFF) + record.type;
+        for (let i = 0, position = recordStart + 9; i < dataLength; i++, position += 2) {
+            sum += (data[i] = hexByteAt(chars, position));
+        }
+        record.data = data;
+        record.checksumValid = record.checksum === ((-sum) & 0xFF);
+    }
+    return record;
+}
 
-        while ((matchResult = hexLineRegexp.exec(hexText)) !== null) {
-            recordCount++;
+// Returns the position of a record mark (":") at the end of an array of character
+// codes which is only followed by hex digits, i.e. of a record which might go on
+// in more input. Returns the length of the array if there is none.
+function trailingRecordMark(chars, position) {
+    for (let i = chars.length - 1; i >= position; i--) {
+        if (chars[i] === 0x3A) {   // ":"
+            return i;
+        }
+        if (!(hexValues[chars[i]] >= 0)) {
+            break;
+        }
+    }
+    return chars.length;
+}
 
-            // By default, a regexp loop ignores gaps between matches, but
-            // we want to be aware of them.
-            if (lastCharacterParsed !== matchResult.index) {
-                throw new Error(
-                    'Malformed hex file: Could not parse between characters ' +
-                    lastCharacterParsed +
-                    ' and ' +
-                    matchResult.index +
-                    ' ("' +
-                    hexText.substring(lastCharacterParsed, Math.min(matchResult.index, lastCharacterParsed + 16)).trim() +
-                    '")');
-            }
-            lastCharacterParsed = hexLineRegexp.lastIndex;
 
-            // Give pretty names to the match's capture groups
-            const [, recordStr, recordChecksum] = matchResult;
+// A lookup table from byte values to their representation as two uppercase hex digits
+const hexBytes = [];
+for (let i = 0; i < 256; i++) {
+    hexBytes.push((i < 0x10 ? '0' : '') + i.toString(16).toUpperCase());
+}
 
-            // String to Uint8Array - https://stackoverflow.com/questions/43131242/how-to-convert-a-hexademical-string-of-data-to-an-arraybuffer-in-javascript
-            const recordBytes = new Uint8Array(recordStr.match(/[\da-f]{2}/gi).map((h)=>parseInt(h, 16)));
+// Placeholder for the header of the record being serialized
+const recordHeader = new Uint8Array(4);
 
-            const recordLength = recordBytes[0];
-            if (recordLength + 4 !== recordBytes.length) {
-                throw new Error('Mismatched record length at record ' + recordCount + ' (' + matchResult[0].trim() + '), expected ' + (recordLength) + ' data bytes but actual length is ' + (recordBytes.length - 4));
-            }
+// Serializes one record object (as returned by MemoryMap.parseRecords()) into
+// a String, without any record separator.
+// The length and checksum are calculated when not present in the record.
+function serializeRecord(record) {
+    const type = record.type;
+    const offset = record.offset === undefined ? 0 : record.offset;
+    const data = record.data === undefined ? new Uint8Array(0) : record.data;
 
-            const cs = checksum(recordBytes);
-            if (parseInt(recordChecksum, 16) !== cs) {
-                throw new Error('Checksum failed at record ' + recordCount + ' (' + matchResult[0].trim() + '), should be ' + cs.toString(16) );
-            }
+    if (!Number.isInteger(type) || type < 0 || type > 0xFF) {
+        throw new Error('Record type must be an integer between 0 and 0xFF');
+    }
+    if (!Number.isInteger(offset) || offset < 0 || offset > 0xFFFF) {
+        throw new Error('Record offset must be an integer between 0 and 0xFFFF');
+    }
+    if (!(data instanceof Uint8Array) || data.length > 0xFF) {
+        throw new Error('Record data must be an Uint8Array of at most 255 bytes');
+    }
 
-            const offset = (recordBytes[1] << 8) + recordBytes[2];
-            const recordType = recordBytes[3];
-            const data = recordBytes.subarray(4);
+    const header = recordHeader;
+    header[0] = record.length === undefined ? data.length : record.length;   // Length
+    header[1] = offset >> 8;    // Load offset, high byte
+    header[2] = offset;         // Load offset, low byte
+    header[3] = type;           // Record type
 
-            if (recordType === 0) {
-                // Data record, contains data
-                // Create a new block, at (upper linear base address + offset)
-                if (blocks.has(ulba + offset)) {
-                    throw new Error('Duplicated data at record ' + recordCount + ' (' + matchResult[0].trim() + ')');
-                }
-                if (offset + data.length > 0x10000) {
-                    throw new Error(
-                        'Data at record ' +
-                        recordCount +
-                        ' (' +
-                        matchResult[0].trim() +
-                        ') wraps over 0xFFFF. This would trigger ambiguous behaviour. Please restructure your data so that for every record the data offset plus the data length do not exceed 0xFFFF.');
-                }
+    let str = ':' + hexBytes[header[0]] + hexBytes[header[1]] + hexBytes[header[2]] + hexBytes[header[3]];
+    for (let i = 0, l = data.length; i < l; i++) {
+        str += hexBytes[data[i]];
+    }
+    return str + hexBytes[record.checksum === undefined ? checksumTwo(header, data) : record.checksum & 0xFF];
+}
 
-                blocks.set( ulba + offset, data );
 
-            } else {
+// Size of the address space of each addressing mode of the writer: 16-bit
+// addresses only, 0x02 records (20-bit segmented addresses) or 0x04 records
+// (32-bit linear addresses).
+const addressSpaces = {
+    I8HEX: 0x10000,
+    I16HEX: 0x100000,
+    I32HEX: 0x100000000,
+};
 
-                // All non-data records must have a data offset of zero
-                if (offset !== 0) {
-                    throw new Error('Record ' + recordCount + ' (' + matchResult[0].trim() + ') must have 0000 as data offset.');
-                }
+// Returns the record which sets the upper bits of the address of the data
+// records after it to highAddress (a multiple of 64KiB): a 0x04 record in I32HEX
+// mode, a 0x02 record in I16HEX mode, or none in I8HEX mode.
+function extendedAddressRecord(highAddress, addressing) {
+    if (addressing === 'I32HEX') {
+        return {
+            type: 4,
+            offset: 0,
+            data: new Uint8Array([
+                highAddress >> 24,  // new address offset, high byte
+                highAddress >> 16   // new address offset, low byte
+            ])
+        };
+    } else if (addressing === 'I16HEX') {
+        return {
+            type: 2,
+            offset: 0,
+            data: new Uint8Array([
+                highAddress >> 12,  // new segment (address / 16), high byte
+                highAddress >> 4    // new segment (address / 16), low byte
+            ])
+        };
+    }
+    return undefined;
+}
 
-                switch (recordType) {
-                case 1: // EOF
-                    if (lastCharacterParsed !== hexText.length) {
-                        // This record should be at the very end of the string
-                        throw new Error('There is data after an EOF record at record ' + recordCount);
-                    }
+// Yields the data records (and the 0x04 or 0x02 records before them) needed to
+// represent the contents of a MemoryMap, as record objects (see MemoryMap.parseRecords()).
+// Records have at most lineSize bytes, and never wrap over a 64KiB boundary. If
+// `align` is true, records do not cross multiples of lineSize either.
+function* dataRecords(memMap, lineSize, addressing = 'I32HEX', align = false) {
+    let lowAddress  = 0;    // 16 least significant bits of the current addr
+    let highAddress = -1 << 16; // 16 most significant bits of the current addr
 
-                    return blocks.join(maxBlockSize);
+    const sortedKeys = Array.from(memMap.keys()).sort((a,b)=>a-b);
+    for (let i=0,l=sortedKeys.length; i<l; i++) {
+        const blockAddr = sortedKeys[i];
+        const block = memMap.get(blockAddr);
 
-                case 2: // Extended Segment Address Record
-                    // Sets the 16 most significant bits of the 20-bit Segment Base
-                    // Address for the subsequent data.
-                    ulba = ((data[0] << 8) + data[1]) << 4;
-                    break;
+        // Sanity checks
+        if (!(block instanceof Uint8Array)) {
+            throw new Error('Block at offset ' + blockAddr + ' is not an Uint8Array');
+        }
+        if (blockAddr < 0) {
+            throw new Error('Block at offset ' + blockAddr + ' has a negative thus invalid address');
+        }
+        const blockSize = block.length;
+        if (!blockSize) { continue; }   // Skip zero-length blocks
 
-                case 3: // Start Segment Address Record
-                    // Do nothing. Record type 3 only applies to 16-bit Intel CPUs,
-                    // where it should reset the program counter (CS+IP CPU registers)
-                    break;
 
-                case 4: // Extended Linear Address Record
-                    // Sets the 16 most significant (upper) bits of the 32-bit Linear Address
-                    // for the subsequent data
-                    ulba = ((data[0] << 8) + data[1]) << 16;
-                    break;
+        if (blockAddr > (highAddress + 0xFFFF)) {
+            // Insert a new 0x04 (or 0x02) record to jump to a new 64KiB block
 
-                case 5: // Start Linear Address Record
-                    // Do nothing. Record type 5 only applies to 32-bit Intel CPUs,
-                    // where it should reset the program counter (EIP CPU register)
-                    // It might have meaning for other CPU architectures
-                    // (see http://infocenter.arm.com/help/index.jsp?topic=/com.arm.doc.faqs/ka9903.html )
-                    // but will be ignored nonetheless.
-                    break;
-                default:
-                    throw new Error('Invalid record type 0x' + hexpad(recordType) + ' at record ' + recordCount + ' (should be between 0x00 and 0x05)');
-                }
+            // Round up the least significant 16 bits - no bitmasks because they trigger
+            // base-2 negative numbers, whereas subtracting the modulo maintains precision
+            highAddress = blockAddr - blockAddr % 0x10000;
+            lowAddress = 0;
+
+            const extendedRecord = extendedAddressRecord(highAddress, addressing);
+            if (extendedRecord) {
+                yield extendedRecord;
             }
         }
 
-        if (recordCount) {
-            throw new Error('No EOF record at end of file');
-        } else {
-            throw new Error('Malformed .hex file, could not parse any registers');
+        if (blockAddr < (highAddress + lowAddress)) {
+            throw new Error(
+                'Block starting at 0x' +
+                blockAddr.toString(16) +
+                ' overlaps with a previous block.');
         }
-    }
 
+        lowAddress = blockAddr % 0x10000;
+        let blockOffset = 0;
+        const blockEnd = blockAddr + blockSize;
+        if (blockEnd > 0xFFFFFFFF) {
+            throw new Error('Data cannot be over 0xFFFFFFFF');
+        }
+        if (blockEnd > addressSpaces[addressing]) {
+            throw new Error('Data cannot be over 0x' + (addressSpaces[addressing] - 1).toString(16).toUpperCase() + ' in ' + addressing + ' mode');
+        }
 
-    /**
-     * Returns a <strong>new</strong> instance of {@linkcode MemoryMap}, containing
-     * the same data, but concatenating together those memory blocks that are adjacent.
-     *<br/>
-     * The insertion order of keys in the {@linkcode MemoryMap} is guaranteed to be strictly
-     * ascending. In other words, when iterating through the {@linkcode MemoryMap}, the addresses
-     * will be ordered in ascending order.
-     *<br/>
-     * If <tt>maxBlockSize</tt> is given, blocks will be concatenated together only
-     * until the joined block reaches this size in bytes. This means that the output
-     * {@linkcode MemoryMap} might have more entries than the input one.
-     *<br/>
-     * If there is any overlap between blocks, an error will be thrown.
-     *<br/>
-     * The returned {@linkcode MemoryMap} will use newly allocated memory.
-     *
-     * @param {Number} [maxBlockSize=Infinity] Maximum size of the <tt>Uint8Array</tt>s in the
-     * returned {@linkcode MemoryMap}.
-     *
-     * @return {MemoryMap}
-     */
-    join(maxBlockSize = Infinity) {
-
-        // First pass, create a Map of address→length of contiguous blocks
-        const sortedKeys = Array.from(this.keys()).sort((a,b)=>a-b);
-        const blockSizes = new Map();
-        let lastBlockAddr = -1;
-        let lastBlockEndAddr = -1;
+        // Loop for every 64KiB memory segment that spans this block
+        while (highAddress + lowAddress < blockEnd) {
 
-        for (let i=0,l=sortedKeys.length; i<l; i++) {
-            const blockAddr = sortedKeys[i];
-            const blockLength = this.get(sortedKeys[i]).length;
+            if (lowAddress > 0xFFFF) {
+                // Insert a new 0x04 (or 0x02) record to jump to a new 64KiB block
+                highAddress += 1 << 16; // Increase by one
+                lowAddress = 0;
 
-            if (lastBlockEndAddr === blockAddr && (lastBlockEndAddr - lastBlockAddr) < maxBlockSize) {
-                // Grow when the previous end address equals the current,
-                // and we don't go over the maximum block size.
-                blockSizes.set(lastBlockAddr, blockSizes.get(lastBlockAddr) + blockLength);
-                lastBlockEndAddr += blockLength;
-            } else if (lastBlockEndAddr <= blockAddr) {
-                // Else mark a new block.
-                blockSizes.set(blockAddr, blockLength);
-                lastBlockAddr = blockAddr;
-                lastBlockEndAddr = blockAddr + blockLength;
-            } else {
-                throw new Error('Overlapping data around address 0x' + blockAddr.toString(16));
+                yield extendedAddressRecord(highAddress, addressing);
             }
-        }
 
-        // Second pass: allocate memory for the contiguous blocks and copy data around.
-        const mergedBlocks = new MemoryMap();
-        let mergingBlock;
-        let mergingBlockAddr = -1;
-        for (let i=0,l=sortedKeys.length; i<l; i++) {
-            const blockAddr = sortedKeys[i];
-            if (blockSizes.has(blockAddr)) {
-                mergingBlock = new Uint8Array(blockSizes.get(blockAddr));
-                mergedBlocks.set(blockAddr, mergingBlock);
-                mergingBlockAddr = blockAddr;
+            let recordSize = -1;
+            // Loop for every record for that spans the current 64KiB memory segment
+            while (lowAddress < 0x10000 && recordSize) {
+                recordSize = Math.min(
+                    align ?
+                        lineSize - (highAddress + lowAddress) % lineSize :  // Next aligned address
+                        lineSize,                        // Normal case
+                    blockEnd - highAddress - lowAddress, // End of block
+                    0x10000 - lowAddress                 // End of low addresses
+                );
+
+                if (recordSize) {
+
+                    yield {
+                        type: 0,
+                        offset: lowAddress,
+                        data: block.subarray(blockOffset, blockOffset + recordSize)   // Data bytes for this record
+                    };
+
+                    blockOffset += recordSize;
+                    lowAddress += recordSize;
+                }
             }
-            mergingBlock.set(this.get(blockAddr), blockAddr - mergingBlockAddr);
         }
+    }
 
-        return mergedBlocks;
+}
+
+
+// Returns a 0x03 (Start Segment Address) or 0x05 (Start Linear Address) record
+// object for the given value.
+function startAddressRecord(recordType, startAddress) {
+    if (!Number.isInteger(startAddress) || startAddress < 0 || startAddress > 0xFFFFFFFF) {
+        throw new Error('Start address for record type 0x' + hexpad(recordType) + ' must be an integer between 0 and 0xFFFFFFFF');
     }
 
-    /**
-     * Given a {@link https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/Map|<tt>Map</tt>}
-     * of {@linkcode MemoryMap}s, indexed by a alphanumeric ID,
-     * returns a <tt>Map</tt> of address to tuples (<tt>Arrays</tt>s of length 2) of the form
-     * <tt>(id, Uint8Array)</tt>s.
-     *<br/>
-     * The scenario for using this is having several {@linkcode MemoryMap}s, from several calls to
-     * {@link module:nrf-intel-hex~hexToArrays|hexToArrays}, each having a different identifier.
+    const data = new Uint8Array(4);
+    new DataView(data.buffer).setUint32(0, startAddress);    // CS+IP or EIP, big endian
+
+    return { type: recordType, offset: 0, data: data };
+}
+
+
+// Yields all the records of a .hex file with the contents of a MemoryMap, as
+// record objects: data records, start address records and the EOF record.
+function* hexFileRecords(memMap, lineSize, addressing, align, eof) {
+    yield* dataRecords(memMap, lineSize, addressing, align);
+
+    // Start Segment Address (0x03) and Start Linear Address (0x05) records
+    for (const [recordType, startAddress] of [
+        [3, memMap.startSegmentAddress],
+        [5, memMap.startLinearAddress]
+    ]) {
+        if (startAddress === undefined) {
+            continue;
+        }
+        if (addressing === 'I8HEX' || (addressing === 'I16HEX' && recordType === 5)) {
+            throw new Error('Start address records of type 0x' + hexpad(recordType) + ' cannot be written in ' + addressing + ' mode');
+        }
+        yield startAddressRecord(recordType, startAddress);
+    }
+
+    if (eof) {
+        yield { type: 1, offset: 0 };    // EOF record
+    }
+}
+
+
+// Groups the lines yielded by MemoryMap.hexRecords() into chunks of at least
+// streamChunkSize characters (except the last one), so that streams do not get
+// one tiny chunk per line.
+function* hexChunks(lines) {
+    let chunk = '';
+    for (const line of lines) {
+        chunk += line;
+        if (chunk.length >= streamChunkSize) {
+            yield chunk;
+            chunk = '';
+        }
+    }
+    if (chunk) {
+        yield chunk;
+    }
+}
+
+
+// Number of address bytes of each type of S-record (S0 to S9). S4 is reserved.
+const sRecordAddressSizes = [2, 2, 3, 4, undefined, 2, 3, 4, 3, 2];
+
+// Decodes a String of hex digits (of even length) into a Uint8Array.
+function hexStringToBytes(str) {
+    const bytes = new Uint8Array(str.length >> 1);
+    for (let i = 0, l = bytes.length; i < l; i++) {
+        bytes[i] = (hexValues[str.charCodeAt(i * 2)] << 4) + hexValues[str.charCodeAt(i * 2 + 1)];
+    }
+    return bytes;
+}
+
+// Returns the text of one S-record, given its type, its address (and the number
+// of bytes to encode it with) and its data.
+function sRecordLine(type, address, addressSize, data) {
+    const count = addressSize + data.length + 1;    // Address, data and checksum
+    let sum = count;
+    let str = 'S' + type + hexBytes[count];
+    for (let i = addressSize - 1; i >= 0; i--) {
+        const byte = (address >>> (i * 8)) & 0xFF;
+        sum += byte;
+        str += hexBytes[byte];
+    }
+    for (let i = 0, l = data.length; i < l; i++) {
+        sum += data[i];
+        str += hexBytes[data[i]];
+    }
+    return str + hexBytes[~sum & 0xFF];
+}
+
+
+// Returns the overlap policy from the options of a parser or of mergeMemoryMaps(),
+// throwing if it's not valid.
+function overlapPolicy(options) {
+    const overlap = options.overlap === undefined ? 'error' : options.overlap;
+    if (overlapPolicies.indexOf(overlap) === -1) {
+        throw new Error('Overlap policy must be "error", "first-wins", "last-wins" or "allow-if-identical"');
+    }
+    return overlap;
+}
+
+// Returns the line terminator from the options of a writer, throwing if it's not valid.
+function lineTerminatorOption(options) {
+    const lineTerminator = options.lineTerminator === undefined ? '\n' : options.lineTerminator;
+    if (lineTerminator !== '\n' && lineTerminator !== '\r\n' && lineTerminator !== '\r') {
+        throw new Error('Line terminator must be "\\n", "\\r\\n" or "\\r"');
+    }
+    return lineTerminator;
+}
+
+// Adds the data of one line of a S-record or TI-TXT file to a BlockBuilder,
+// following the given overlap policy. The location (e.g. "line 3 (S107...)") is
+// used in error messages.
+function addLineData(blocks, address, data, overlap, location) {
+    const found = blocks.findOverlap(address, data.length);
+    if (!found) {
+        blocks.add(address, data);
+    } else if (overlap === 'error') {
+        throw new Error(found.duplicated ?
+            'Duplicated data at ' + location :
+            'Overlapping data around address 0x' + found.address.toString(16));
+    } else {
+        const conflicts = blocks.merge(address, data, overlap === 'last-wins');
+        if (conflicts.length && overlap === 'allow-if-identical') {
+            throw new Error('Overlapping data with different values at addresses 0x' +
+                conflicts[0][0].toString(16) + ' to 0x' + (conflicts[0][1] - 1).toString(16) +
+                ', at ' + location);
+        }
+    }
+}
+
+
+// Offsets and sizes (in bytes) of the fields of the ELF header, program headers,
+// section headers and symbols, for both ELF32 and ELF64 files.
+const elfLayouts = {
+    32: {
+        header: { type: [16, 2], machine: [18, 2], entry: [24, 4], phoff: [28, 4], shoff: [32, 4], flags: [36, 4],
+            phentsize: [42, 2], phnum: [44, 2], shentsize: [46, 2], shnum: [48, 2], shstrndx: [50, 2] },
+        segment: { type: [0, 4], offset: [4, 4], virtualAddress: [8, 4], physicalAddress: [12, 4],
+            fileSize: [16, 4], memorySize: [20, 4], flags: [24, 4], align: [28, 4] },
+        section: { name: [0, 4], type: [4, 4], flags: [8, 4], address: [12, 4], offset: [16, 4], size: [20, 4],
+            link: [24, 4], info: [28, 4], addressAlign: [32, 4], entrySize: [36, 4] },
+        symbol: { name: [0, 4], value: [4, 4], size: [8, 4], info: [12, 1], other: [13, 1], sectionIndex: [14, 2] },
+        symbolSize: 16,
+    },
+    64: {
+        header: { type: [16, 2], machine: [18, 2], entry: [24, 8], phoff: [32, 8], shoff: [40, 8], flags: [48, 4],
+            phentsize: [54, 2], phnum: [56, 2], shentsize: [58, 2], shnum: [60, 2], shstrndx: [62, 2] },
+        segment: { type: [0, 4], flags: [4, 4], offset: [8, 8], virtualAddress: [16, 8], physicalAddress: [24, 8],
+            fileSize: [32, 8], memorySize: [40, 8], align: [48, 8] },
+        section: { name: [0, 4], type: [4, 4], flags: [8, 8], address: [16, 8], offset: [24, 8], size: [32, 8],
+            link: [40, 4], info: [44, 4], addressAlign: [48, 8], entrySize: [56, 8] },
+        symbol: { name: [0, 4], info: [4, 1], other: [5, 1], sectionIndex: [6, 2], value: [8, 8], size: [16, 8] },
+        symbolSize: 24,
+    },
+};
+
+// Reads an unsigned integer of 1, 2, 4 or 8 bytes from a DataView. 64-bit values
+// are returned as Numbers, so they must be under 2^53.
+function elfUint(view, offset, size, littleEndian) {
+    if (offset + size > view.byteLength) {
+        throw new Error('ELF file is truncated, could not read offset 0x' + offset.toString(16));
+    }
+    switch (size) {
+    case 1: return view.getUint8(offset);
+    case 2: return view.getUint16(offset, littleEndian);
+    case 4: return view.getUint32(offset, littleEndian);
+    }
+    const low = view.getUint32(offset + (littleEndian ? 0 : 4), littleEndian);
+    const high = view.getUint32(offset + (littleEndian ? 4 : 0), littleEndian);
+    if (high > 0x1FFFFF) {
+        throw new Error('64-bit value at offset 0x' + offset.toString(16) + ' of the ELF file is too big');
+    }
+    return high * 0x100000000 + low;
+}
+
+// Reads all the fields of a layout (from elfLayouts) into an object.
+function elfStruct(view, offset, layout, littleEndian) {
+    const result = {};
+    for (const field in layout) {
+        result[field] = elfUint(view, offset + layout[field][0], layout[field][1], littleEndian);
+    }
+    return result;
+}
+
+// Reads a NUL-terminated string from an ELF string table.
+function elfString(bytes, offset) {
+    let end = offset;
+    while (end < bytes.length && bytes[end]) {
+        end++;
+    }
+    return charCodesToString(bytes.subarray(offset, end));
+}
+
+
+// Magic numbers at the start and end of each 512-byte UF2 block, and the flags
+// of the UF2 format which are taken into account.
+const uf2MagicStart0 = 0x0A324655;
+const uf2MagicStart1 = 0x9E5D5157;
+const uf2MagicEnd = 0x0AB16F30;
+const uf2FlagNotMainFlash = 0x00000001;
+const uf2FlagFileContainer = 0x00001000;
+const uf2FlagFamilyIdPresent = 0x00002000;
+const uf2MaxPayloadSize = 476;
+
+// Family IDs of UF2 files, for the nRF52 series
+// (see https://github.com/microsoft/uf2/blob/master/utils/uf2families.json )
+const uf2FamilyIds = {
+    NRF52: 0x1B57745F,
+    NRF52833: 0x621E937A,
+    NRF52840: 0xADA52840,
+};
+
+// Returns the numerical value of a UF2 family ID, given either as a Number or as
+// the name of one of the uf2FamilyIds.
+function uf2FamilyId(familyId) {
+    if (typeof familyId === 'string' && Object.keys(uf2FamilyIds).indexOf(familyId) !== -1) {
+        return uf2FamilyIds[familyId];
+    }
+    if (!Number.isInteger(familyId) || familyId < 0 || familyId > 0xFFFFFFFF) {
+        throw new Error('Family ID must be an integer between 0 and 0xFFFFFFFF, or one of "' + Object.keys(uf2FamilyIds).join('", "') + '"');
+    }
+    return familyId;
+}
+
+
+// CRC-32 (as used by zip files) of an Uint8Array. The lookup table is built on first use.
+let crc32Table;
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let c = i;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[i] = c;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0, l = bytes.length; i < l; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Base values and number of extra bits of the length and distance codes of
+// DEFLATE, and the order of the code length codes (see RFC 1951, section 3.2).
+const inflateLengthBase = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const inflateLengthExtra = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const inflateDistanceBase = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const inflateDistanceExtra = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const inflateCodeLengthOrder = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Builds a canonical Huffman decoding table out of the code length of each symbol:
+// the number of codes of each length, and the symbols sorted by code.
+function huffmanTable(lengths) {
+    const counts = new Uint16Array(16);
+    const offsets = new Uint16Array(16);
+    const symbols = new Uint16Array(lengths.length);
+    for (let i = 0; i < lengths.length; i++) {
+        counts[lengths[i]]++;
+    }
+    counts[0] = 0;
+    for (let i = 1; i < 16; i++) {
+        offsets[i] = offsets[i - 1] + counts[i - 1];
+    }
+    for (let i = 0; i < lengths.length; i++) {
+        if (lengths[i]) {
+            symbols[offsets[lengths[i]]++] = i;
+        }
+    }
+    return { counts, symbols };
+}
+
+// Huffman tables for the fixed codes of DEFLATE. Built on first use.
+let inflateFixedTables;
+
+// Decompresses raw DEFLATE data (as found in zip files), returning an Uint8Array.
+// The expected size is only a hint for the initial size of the output.
+function inflateRaw(input, expectedSize) {
+    let out = new Uint8Array(Math.max(expectedSize || 0, 1024));
+    let outLength = 0;
+    let pos = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    function bits(n) {
+        while (bitCount < n) {
+            if (pos >= input.length) {
+                throw new Error('Compressed data is truncated');
+            }
+            bitBuffer |= input[pos++] << bitCount;
+            bitCount += 8;
+        }
+        const value = bitBuffer & ((1 << n) - 1);
+        bitBuffer >>>= n;
+        bitCount -= n;
+        return value;
+    }
+
+    function decode(table) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let length = 1; length < 16; length++) {
+            code |= bits(1);
+            const count = table.counts[length];
+            if (code - first < count) {
+                return table.symbols[index + code - first];
+            }
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error('Invalid Huffman code in compressed data');
+    }
+
+    function reserve(length) {
+        if (outLength + length > out.length) {
+            const grown = new Uint8Array(Math.max(out.length * 2, outLength + length));
+            grown.set(out.subarray(0, outLength));
+            out = grown;
+        }
+    }
+
+    let final;
+    do {
+        final = bits(1);
+        const type = bits(2);
+
+        if (type === 0) {
+            // Stored block: skip to the next byte boundary, then copy LEN bytes
+            bitBuffer = bitCount = 0;
+            if (pos + 4 > input.length) {
+                throw new Error('Compressed data is truncated');
+            }
+            const length = input[pos] | (input[pos + 1] << 8);
+            if ((length ^ 0xFFFF) !== (input[pos + 2] | (input[pos + 3] << 8))) {
+                throw new Error('Invalid stored block in compressed data');
+            }
+            pos += 4;
+            if (pos + length > input.length) {
+                throw new Error('Compressed data is truncated');
+            }
+            reserve(length);
+            out.set(input.subarray(pos, pos + length), outLength);
+            outLength += length;
+            pos += length;
+            continue;
+        }
+
+        let literals;
+        let distances;
+        if (type === 1) {
+            if (!inflateFixedTables) {
+                const lengths = new Uint8Array(288 + 30);
+                lengths.fill(8, 0, 144);
+                lengths.fill(9, 144, 256);
+                lengths.fill(7, 256, 280);
+                lengths.fill(8, 280, 288);
+                lengths.fill(5, 288);
+                inflateFixedTables = [huffmanTable(lengths.subarray(0, 288)), huffmanTable(lengths.subarray(288))];
+            }
+            literals = inflateFixedTables[0];
+            distances = inflateFixedTables[1];
+        } else if (type === 2) {
+            const literalCount = bits(5) + 257;
+            const distanceCount = bits(5) + 1;
+            const codeLengthCount = bits(4) + 4;
+            const codeLengths = new Uint8Array(19);
+            for (let i = 0; i < codeLengthCount; i++) {
+                codeLengths[inflateCodeLengthOrder[i]] = bits(3);
+            }
+            const codeLengthTable = huffmanTable(codeLengths);
+            const lengths = new Uint8Array(literalCount + distanceCount);
+            for (let i = 0; i < lengths.length;) {
+                const symbol = decode(codeLengthTable);
+                if (symbol < 16) {
+                    lengths[i++] = symbol;
+                    continue;
+                }
+                let value = 0;
+                let repeat;
+                if (symbol === 16) {
+                    if (!i) {
+                        throw new Error('Invalid code lengths in compressed data');
+                    }
+                    value = lengths[i - 1];
+                    repeat = 3 + bits(2);
+                } else if (symbol === 17) {
+                    repeat = 3 + bits(3);
+                } else {
+                    repeat = 11 + bits(7);
+                }
+                if (i + repeat > lengths.length) {
+                    throw new Error('Invalid code lengths in compressed data');
+                }
+                lengths.fill(value, i, i + repeat);
+                i += repeat;
+            }
+            literals = huffmanTable(lengths.subarray(0, literalCount));
+            distances = huffmanTable(lengths.subarray(literalCount));
+        } else {
+            throw new Error('Invalid block type in compressed data');
+        }
+
+        for (;;) {
+            const symbol = decode(literals);
+            if (symbol < 256) {
+                reserve(1);
+                out[outLength++] = symbol;
+            } else if (symbol === 256) {
+                break;
+            } else {
+                const lengthCode = symbol - 257;
+                if (lengthCode >= 29) {
+                    throw new Error('Invalid length code in compressed data');
+                }
+                const length = inflateLengthBase[lengthCode] + bits(inflateLengthExtra[lengthCode]);
+                const distanceCode = decode(distances);
+                if (distanceCode >= 30) {
+                    throw new Error('Invalid distance code in compressed data');
+                }
+                const distance = inflateDistanceBase[distanceCode] + bits(inflateDistanceExtra[distanceCode]);
+                if (distance > outLength) {
+                    throw new Error('Invalid distance in compressed data');
+                }
+                reserve(length);
+                for (let i = 0; i < length; i++, outLength++) {
+                    out[outLength] = out[outLength - distance];
+                }
+            }
+        }
+    } while (!final);
+
+    return out.subarray(0, outLength);
+}
+
+// Reads the files in a zip archive, returning a Map of file names to Uint8Arrays.
+// Supports stored and deflated files; does not support zip64 nor encryption.
+function unzip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let end = -1;
+    for (let i = bytes.length - 22; i >= 0 && i >= bytes.length - 22 - 0xFFFF; i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Not a zip file (could not find the end of central directory record)');
+    }
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+        throw new Error('Zip64 files are not supported');
+    }
+
+    const files = new Map();
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014B50) {
+            throw new Error('Malformed zip file, bad central directory entry ' + i);
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const crc = view.getUint32(offset + 16, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const headerOffset = view.getUint32(offset + 42, true);
+        const name = charCodesToString(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+
+        if (name[name.length - 1] === '/') {
+            continue;   // Directory
+        }
+        if (flags & 1) {
+            throw new Error('File "' + name + '" in zip file is encrypted, which is not supported');
+        }
+        if (headerOffset + 30 > bytes.length || view.getUint32(headerOffset, true) !== 0x04034B50) {
+            throw new Error('Malformed zip file, bad local header for file "' + name + '"');
+        }
+        const start = headerOffset + 30 + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+        if (start + compressedSize > bytes.length) {
+            throw new Error('Zip file is truncated, file "' + name + '" goes past its end');
+        }
+        const compressed = bytes.subarray(start, start + compressedSize);
+
+        let data;
+        if (method === 0) {
+            data = compressed;
+        } else if (method === 8) {
+            data = inflateRaw(compressed, size);
+        } else {
+            throw new Error('File "' + name + '" in zip file uses compression method ' + method + ', which is not supported');
+        }
+        if (data.length !== size || crc32(data) !== crc) {
+            throw new Error('File "' + name + '" in zip file is corrupted (CRC mismatch)');
+        }
+        files.set(name, data);
+    }
+    return files;
+}
+
+// Builds a zip archive out of a Map of file names to Uint8Arrays. Files are stored
+// (not compressed), and dated 1980-01-01 so the output is reproducible.
+function zip(files) {
+    const entries = [];
+    let size = 22;  // End of central directory record
+    for (const [name, data] of files) {
+        const nameBytes = new Uint8Array(name.length);
+        for (let i = 0; i < name.length; i++) {
+            nameBytes[i] = name.charCodeAt(i);
+        }
+        entries.push({ nameBytes, data, crc: crc32(data) });
+        size += 30 + 46 + 2 * nameBytes.length + data.length;
+    }
+
+    const out = new Uint8Array(size);
+    const view = new DataView(out.buffer);
+    let offset = 0;
+
+    function header(central, entry) {
+        // Central directory entries have an extra "version made by" field
+        const shift = central ? 2 : 0;
+        view.setUint32(offset, central ? 0x02014B50 : 0x04034B50, true);
+        if (central) {
+            view.setUint16(offset + 4, 20, true);
+        }
+        view.setUint16(offset + 4 + shift, 10, true);      // Version needed to extract
+        view.setUint16(offset + 12 + shift, 0x21, true);   // Date: 1980-01-01
+        view.setUint32(offset + 14 + shift, entry.crc, true);
+        view.setUint32(offset + 18 + shift, entry.data.length, true);
+        view.setUint32(offset + 22 + shift, entry.data.length, true);
+        view.setUint16(offset + 26 + shift, entry.nameBytes.length, true);
+        if (central) {
+            view.setUint32(offset + 42, entry.offset, true);
+        }
+        offset += central ? 46 : 30;
+        out.set(entry.nameBytes, offset);
+        offset += entry.nameBytes.length;
+    }
+
+    for (const entry of entries) {
+        entry.offset = offset;
+        header(false, entry);
+        out.set(entry.data, offset);
+        offset += entry.data.length;
+    }
+    const directoryOffset = offset;
+    for (const entry of entries) {
+        header(true, entry);
+    }
+
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - directoryOffset, true);
+    view.setUint32(offset + 16, directoryOffset, true);
+
+    return out;
+}
+
+// Types of images in a Nordic DFU package, as named in its manifest.json.
+const dfuImageTypes = ['application', 'bootloader', 'softdevice', 'softdevice_bootloader'];
+
+// Size of the MBR, where SoftDevices start, and address of the UICR. Neither
+// belongs in the images of a DFU package.
+const dfuMbrSize = 0x1000;
+const dfuUicrAddress = 0x10001000;
+
+// Returns the binary image of a MemoryMap for a DFU package, the same way
+// nrfutil does: without the MBR (for SoftDevices) nor the UICR, from the lowest
+// to the highest address, padded with 0xFF.
+function dfuImage(memMap, type, name) {
+    if (!(memMap instanceof MemoryMap)) {
+        throw new Error('Image "' + name + '" of the DFU package must be a MemoryMap');
+    }
+    const start = type === 'softdevice' ? dfuMbrSize : 0;
+    const bytes = memMap.slice(start, dfuUicrAddress - start).asPaddedUint8Array(0xFF).bytes;
+    if (!bytes.length) {
+        throw new Error('Image "' + name + '" of the DFU package has no data');
+    }
+    return bytes;
+}
+
+
+// Returns the binary image of a DFU firmware (as it goes into a DFU package),
+// along with its type and sizes, given the type of the image and an object with
+// either a memMap, or a softdevice and a bootloader MemoryMaps.
+function dfuFirmware(type, image, name) {
+    if (type === 'softdevice_bootloader') {
+        const softdevice = dfuImage(image.softdevice, 'softdevice', name + '.softdevice');
+        const bootloader = dfuImage(image.bootloader, 'bootloader', name + '.bootloader');
+        const bin = new Uint8Array(softdevice.length + bootloader.length);
+        bin.set(softdevice);
+        bin.set(bootloader, softdevice.length);
+        return { type, bin, sdSize: softdevice.length, blSize: bootloader.length, appSize: 0 };
+    }
+    const bin = dfuImage(image.memMap, type, name);
+    return {
+        type,
+        bin,
+        sdSize: type === 'softdevice' ? bin.length : 0,
+        blSize: type === 'bootloader' ? bin.length : 0,
+        appSize: type === 'application' || type === 'external_application' ? bin.length : 0,
+    };
+}
+
+// Round constants of SHA-256
+const sha256Constants = new Uint32Array([
+    0x428A2F98, 0x71374491, 0xB5C0FBCF, 0xE9B5DBA5, 0x3956C25B, 0x59F111F1, 0x923F82A4, 0xAB1C5ED5,
+    0xD807AA98, 0x12835B01, 0x243185BE, 0x550C7DC3, 0x72BE5D74, 0x80DEB1FE, 0x9BDC06A7, 0xC19BF174,
+    0xE49B69C1, 0xEFBE4786, 0x0FC19DC6, 0x240CA1CC, 0x2DE92C6F, 0x4A7484AA, 0x5CB0A9DC, 0x76F988DA,
+    0x983E5152, 0xA831C66D, 0xB00327C8, 0xBF597FC7, 0xC6E00BF3, 0xD5A79147, 0x06CA6351, 0x14292967,
+    0x27B70A85, 0x2E1B2138, 0x4D2C6DFC, 0x53380D13, 0x650A7354, 0x766A0ABB, 0x81C2C92E, 0x92722C85,
+    0xA2BFE8A1, 0xA81A664B, 0xC24B8B70, 0xC76C51A3, 0xD192E819, 0xD6990624, 0xF40E3585, 0x106AA070,
+    0x19A4C116, 0x1E376C08, 0x2748774C, 0x34B0BCB5, 0x391C0CB3, 0x4ED8AA4A, 0x5B9CCA4F, 0x682E6FF3,
+    0x748F82EE, 0x78A5636F, 0x84C87814, 0x8CC70208, 0x90BEFFFA, 0xA4506CEB, 0xBEF9A3F7, 0xC67178F2,
+]);
+
+// SHA-256 hash of an Uint8Array, returned as an Uint8Array of 32 bytes. This is
+// synchronous, unlike Web Crypto.
+function sha256(bytes) {
+    const length = bytes.length;
+    const padded = new Uint8Array((length + 9 + 63) & ~63);
+    padded.set(bytes);
+    padded[length] = 0x80;
+    const paddedView = new DataView(padded.buffer);
+    paddedView.setUint32(padded.length - 8, Math.floor(length / 0x20000000), false);
+    paddedView.setUint32(padded.length - 4, (length * 8) >>> 0, false);
+
+    const hash = new Uint32Array([0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A, 0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19]);
+    const w = new Uint32Array(64);
+
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = paddedView.getUint32(offset + i * 4, false);
+        }
+        for (let i = 16; i < 64; i++) {
+            const w15 = w[i - 15];
+            const w2 = w[i - 2];
+            const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+            const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let a = hash[0], b = hash[1], c = hash[2], d = hash[3], e = hash[4], f = hash[5], g = hash[6], h = hash[7];
+        for (let i = 0; i < 64; i++) {
+            const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const t1 = (h + s1 + ((e & f) ^ (~e & g)) + sha256Constants[i] + w[i]) | 0;
+            const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        hash[0] += a;
+        hash[1] += b;
+        hash[2] += c;
+        hash[3] += d;
+        hash[4] += e;
+        hash[5] += f;
+        hash[6] += g;
+        hash[7] += h;
+    }
+
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    for (let i = 0; i < 8; i++) {
+        outView.setUint32(i * 4, hash[i], false);
+    }
+    return out;
+}
+
+// Names of the values of the enums in the init packets of Nordic's secure DFU
+// (see dfu-cc.proto in the nRF5 SDK), indexed by their numerical values.
+const initPacketFwTypes = ['application', 'softdevice', 'bootloader', 'softdevice_bootloader', 'external_application'];
+const initPacketHashTypes = ['no_hash', 'crc', 'sha128', 'sha256', 'sha512'];
+const initPacketValidationTypes = ['no_validation', 'validate_generated_crc', 'validate_sha256', 'validate_ecdsa_p256_sha256'];
+const initPacketSignatureTypes = ['ecdsa_p256_sha256', 'ed25519'];
+
+// Appends a protobuf varint to an Array of bytes.
+function protobufVarint(out, value) {
+    while (value > 0x7F) {
+        out.push((value & 0x7F) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    out.push(value);
+    return out;
+}
+
+// Appends a protobuf field (either a varint, or length-delimited bytes) to an
+// Array of bytes.
+function protobufField(out, fieldNumber, value) {
+    if (typeof value === 'number') {
+        protobufVarint(out, fieldNumber * 8);
+        return protobufVarint(out, value);
+    }
+    protobufVarint(out, fieldNumber * 8 + 2);
+    protobufVarint(out, value.length);
+    for (let i = 0; i < value.length; i++) {
+        out.push(value[i]);
+    }
+    return out;
+}
+
+// Returns a function which reads consecutive protobuf varints from an Uint8Array,
+// and exposes its position as its "pos" property.
+function protobufReader(bytes) {
+    function varint() {
+        let value = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            if (varint.pos >= bytes.length) {
+                throw new Error('Malformed init packet, data is truncated');
+            }
+            byte = bytes[varint.pos++];
+            value += (byte & 0x7F) * multiplier;
+            multiplier *= 0x80;
+        } while (byte & 0x80);
+        return value;
+    }
+    varint.pos = 0;
+    return varint;
+}
+
+// Decodes a protobuf message into a Map of field numbers to Arrays of values:
+// Numbers for varints, Uint8Arrays for anything else.
+function protobufFields(bytes) {
+    const fields = new Map();
+    const varint = protobufReader(bytes);
+
+    while (varint.pos < bytes.length) {
+        const key = varint();
+        const wireType = key & 0x07;
+        let value;
+        if (wireType === 0) {
+            value = varint();
+        } else {
+            const length = wireType === 2 ? varint() : wireType === 1 ? 8 : wireType === 5 ? 4 : -1;
+            if (length === -1) {
+                throw new Error('Malformed init packet, unsupported protobuf wire type ' + wireType);
+            }
+            if (varint.pos + length > bytes.length) {
+                throw new Error('Malformed init packet, data is truncated');
+            }
+            value = bytes.subarray(varint.pos, varint.pos + length);
+            varint.pos += length;
+        }
+        const fieldNumber = Math.floor(key / 8);
+        if (!fields.has(fieldNumber)) {
+            fields.set(fieldNumber, []);
+        }
+        fields.get(fieldNumber).push(value);
+    }
+    return fields;
+}
+
+// Returns the numerical value of an enum of an init packet, given its name.
+function initPacketEnum(names, value, what) {
+    const index = names.indexOf(value);
+    if (index === -1) {
+        throw new Error(what + ' must be "' + names.slice(0, -1).join('", "') + '" or "' + names[names.length - 1] + '"');
+    }
+    return index;
+}
+
+// Encodes the fields of an init packet (see MemoryMap.encodeInitPacket) into a
+// Uint8Array. The type, sizes and hash are taken from the firmware (as returned
+// by dfuFirmware()), if any.
+function encodeInitPacket(fields, firmware) {
+    function uint32(name, defaultValue) {
+        const value = fields[name] === undefined ? defaultValue : fields[name];
+        if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+            throw new Error(name + ' must be an integer between 0 and 0xFFFFFFFF');
+        }
+        return value;
+    }
+
+    const type = initPacketEnum(initPacketFwTypes, firmware ? firmware.type : fields.type, 'type');
+    let hash = fields.hash;
+    if (firmware) {
+        // nrfutil stores the hash in little endian order
+        hash = sha256(firmware.bin).reverse();
+    } else if (!(hash instanceof Uint8Array)) {
+        throw new Error('hash must be an Uint8Array');
+    }
+    const sdReq = fields.sdReq === undefined ? [] : fields.sdReq;
+    if (!Array.isArray(sdReq) || sdReq.some((id)=>!Number.isInteger(id) || id < 0 || id > 0xFFFFFFFF)) {
+        throw new Error('sdReq must be an Array of integers between 0 and 0xFFFFFFFF');
+    }
+
+    const init = [];
+    protobufField(init, 1, uint32('fwVersion', 0xFFFFFFFF));
+    protobufField(init, 2, uint32('hwVersion', 0xFFFFFFFF));
+    if (sdReq.length) {
+        protobufField(init, 3, sdReq.reduce(protobufVarint, []));    // Packed
+    }
+    protobufField(init, 4, type);
+    protobufField(init, 5, firmware ? firmware.sdSize : uint32('sdSize', 0));
+    protobufField(init, 6, firmware ? firmware.blSize : uint32('blSize', 0));
+    protobufField(init, 7, firmware ? firmware.appSize : uint32('appSize', 0));
+    protobufField(init, 8, protobufField(protobufField([], 1, initPacketEnum(initPacketHashTypes, fields.hashType === undefined ? 'sha256' : fields.hashType, 'hashType')), 2, hash));
+    protobufField(init, 9, fields.isDebug ? 1 : 0);
+    for (const validation of fields.bootValidation || []) {
+        const bytes = validation.bytes === undefined ? new Uint8Array(0) : validation.bytes;
+        protobufField(init, 10, protobufField(protobufField([], 1, initPacketEnum(initPacketValidationTypes, validation.type, 'Type of boot validation')), 2, bytes));
+    }
+
+    const command = protobufField(protobufField([], 1, 1), 2, init);    // op_code INIT, init
+    let packet;
+    if (fields.signature === undefined) {
+        packet = protobufField([], 1, command);
+    } else {
+        if (!(fields.signature instanceof Uint8Array)) {
+            throw new Error('signature must be an Uint8Array');
+        }
+        const signatureType = initPacketEnum(initPacketSignatureTypes, fields.signatureType === undefined ? 'ecdsa_p256_sha256' : fields.signatureType, 'signatureType');
+        packet = protobufField([], 2, protobufField(protobufField(protobufField([], 1, command), 2, signatureType), 3, fields.signature));
+    }
+    return new Uint8Array(packet);
+}
+
+
+// Packs bytes into words of the given size (1, 2 or 4 bytes) and endianness,
+// padding the last word with padByte if needed. Returns an Array of Numbers.
+function bytesToWords(bytes, wordSize, littleEndian, padByte) {
+    const words = new Array(Math.ceil(bytes.length / wordSize));
+    for (let i = 0; i < words.length; i++) {
+        let word = 0;
+        for (let j = 0; j < wordSize; j++) {
+            const offset = i * wordSize + (littleEndian ? wordSize - 1 - j : j);
+            word = word * 0x100 + (offset < bytes.length ? bytes[offset] : padByte);
+        }
+        words[i] = word;
+    }
+    return words;
+}
+
+// Validates the word size and endianness options of the exporters which pack bytes
+// into words. Returns whether words are little endian.
+function wordOptions(wordSize, endianness) {
+    if (wordSize !== 1 && wordSize !== 2 && wordSize !== 4) {
+        throw new Error('Word size must be 1, 2 or 4');
+    }
+    if (endianness !== 'little' && endianness !== 'big') {
+        throw new Error('Endianness must be "little" or "big"');
+    }
+    return endianness === 'little';
+}
+
+// Unpacks words of the given size (1, 2 or 4 bytes) and endianness into bytes.
+// This is the inverse of bytesToWords().
+function wordsToBytes(words, wordSize, littleEndian) {
+    const bytes = new Uint8Array(words.length * wordSize);
+    for (let i = 0; i < words.length; i++) {
+        let word = words[i];
+        for (let j = 0; j < wordSize; j++) {
+            bytes[i * wordSize + (littleEndian ? j : wordSize - 1 - j)] = word & 0xFF;
+            word = Math.floor(word / 0x100);
+        }
+    }
+    return bytes;
+}
+
+// Returns the contents of a MemoryMap for the HDL memory initialization formats
+// ($readmemh, COE, MIF), as runs of consecutive words: an Array of [index of the
+// first word, Array of words]. Words are counted from the base address. If padded,
+// there is one single run from word zero up to the depth, with gaps filled with
+// padByte. Also returns the word size and the depth (in words).
+function hdlWordRuns(memMap, options, padded) {
+    const wordSize = options.wordSize === undefined ? 1 : options.wordSize;
+    const littleEndian = wordOptions(wordSize, options.endianness === undefined ? 'little' : options.endianness);
+    const padByte = options.padByte === undefined ? 0xFF : options.padByte;
+
+    // Spans of data closer than a word to each other would share a word, so they
+    // are merged
+    const spans = memMap.asPaddedUint8Arrays(wordSize - 1, padByte);
+    const base = options.baseAddress === undefined ? (spans.length ? spans[0].address : 0) : options.baseAddress;
+    if (!Number.isInteger(base) || base < 0) {
+        throw new Error('Base address must be an integer not lower than zero');
+    }
+    if (spans.length && spans[0].address < base) {
+        throw new Error('There is data at address 0x' + spans[0].address.toString(16).toUpperCase() +
+            ', below the base address 0x' + base.toString(16).toUpperCase());
+    }
+
+    let runs = spans.map(({ address, bytes })=>{
+        const first = Math.floor((address - base) / wordSize);
+        const start = base + first * wordSize;
+        const length = Math.ceil((address + bytes.length - start) / wordSize) * wordSize;
+        return [first, bytesToWords(memMap.slicePad(start, length, padByte), wordSize, littleEndian, padByte)];
+    });
+
+    const used = runs.length ? runs[runs.length - 1][0] + runs[runs.length - 1][1].length : 0;
+    const depth = options.depth === undefined ? used : options.depth;
+    if (!Number.isInteger(depth) || depth <= 0) {
+        throw new Error('Depth must be an integer greater than zero');
+    }
+    if (depth < used) {
+        throw new Error('Data does not fit in a depth of ' + depth + ' words, it needs ' + used);
+    }
+    if (padded) {
+        runs = [[0, bytesToWords(memMap.slicePad(base, depth * wordSize, padByte), wordSize, littleEndian, padByte)]];
+    }
+
+    return { wordSize, depth, runs, padWord: bytesToWords(new Uint8Array(wordSize).fill(padByte), wordSize, true, padByte)[0] };
+}
+
+// Formats a word for the HDL memory initialization formats, in the given radix (16
+// or 2), with leading zeroes.
+function hdlWord(word, wordSize, radix) {
+    return radix === 16 ?
+        word.toString(16).toUpperCase().padStart(wordSize * 2, '0') :
+        word.toString(2).padStart(wordSize * 8, '0');
+}
+
+// Validates the radix option of the HDL memory initialization writers.
+function hdlRadix(options) {
+    const radix = options.radix === undefined ? 16 : options.radix;
+    if (radix !== 16 && radix !== 2) {
+        throw new Error('Radix must be 16 or 2');
+    }
+    return radix;
+}
+
+// Parses a word of the HDL memory initialization formats, given as text in the
+// given radix. Underscores are ignored. Negative decimal numbers are stored in
+// two's complement. Throws an error mentioning the location if the word is
+// malformed or does not fit in wordSize bytes.
+function hdlValue(token, radix, wordSize, location) {
+    const digits = { 2: /^[01]+$/, 8: /^[0-7]+$/, 10: /^-?[0-9]+$/, 16: /^[0-9A-Fa-f]+$/ }[radix];
+    const text = token.replace(/_/g, '');
+    let value = digits.test(text) ? parseInt(text, radix) : NaN;
+    const limit = Math.pow(2, wordSize * 8);
+    if (value < 0 && value >= -limit / 2) {
+        value += limit;
+    }
+    if (!(value >= 0 && value < limit)) {
+        throw new Error('Malformed word at ' + location + ' (' + token + '), it must be a ' +
+            (wordSize * 8) + '-bit number in base ' + radix);
+    }
+    return value;
+}
+
+// Adds words read from an HDL memory initialization file to a BlockBuilder, at
+// the given word index from the base address.
+function addHdlWords(blocks, base, index, words, wordSize, littleEndian, overlap, location) {
+    const address = base + index * wordSize;
+    if (address + words.length * wordSize > 0x100000000) {
+        throw new Error('Data cannot be over 0xFFFFFFFF, at ' + location);
+    }
+    addLineData(blocks, address, wordsToBytes(words, wordSize, littleEndian), overlap, location);
+}
+
+// Reads the word size, endianness and base address options of the HDL memory
+// initialization readers.
+function hdlReadOptions(options, wordSize) {
+    const littleEndian = wordOptions(wordSize, options.endianness === undefined ? 'little' : options.endianness);
+    const base = options.baseAddress === undefined ? 0 : options.baseAddress;
+    if (!Number.isInteger(base) || base < 0) {
+        throw new Error('Base address must be an integer not lower than zero');
+    }
+    return { littleEndian, base };
+}
+
+// Returns the SubtleCrypto interface of Web Crypto: the one given in the `subtle`
+// option, or else the global one (of the browser, or of Node.js since v19), or
+// else the one of the "crypto" module of Node.js (since v15). On older versions
+// of Node.js, the "crypto" module is wrapped by nodeSubtleCrypto().
+function subtleCrypto(options) {
+    if (options.subtle !== undefined) {
+        return options.subtle;
+    }
+    if (typeof crypto !== 'undefined' && crypto.subtle) {
+        return crypto.subtle;
+    }
+    if (typeof require === 'function') {
+        const nodeCrypto = require('crypto');
+        return nodeCrypto.webcrypto ? nodeCrypto.webcrypto.subtle : nodeSubtleCrypto(nodeCrypto);
+    }
+    throw new Error('Web Crypto is not available');
+}
+
+// Wraps the "crypto" module of Node.js versions without Web Crypto into an object
+// with the few SubtleCrypto methods used by ecdsaKey(), MemoryMap#sign,
+// MemoryMap#verify and MemoryMap#asMcubootImage, for ECDSA P-256 keys only.
+// Keys are plain objects with their type, their public point (as 65 bytes) and
+// their PEM text.
+function nodeSubtleCrypto(nodeCrypto) {
+    const base64Url = (bytes)=>Buffer.from(bytes).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    const pem = (label, der)=>'-----BEGIN ' + label + '-----\n' +
+        Buffer.from(der).toString('base64').replace(/.{64}/g, '$&\n') +
+        '\n-----END ' + label + '-----\n';
+    const spki = (point)=>new Uint8Array(derElement(0x30,
+        derElement(0x30, derEcPublicKeyOid, derP256Oid),
+        derElement(0x03, [0x00], point)
+    ));
+    const publicKey = (point)=>({ type: 'public', point, pem: pem('PUBLIC KEY', spki(point)) });
+
+    const importKey = (format, keyData)=>{
+        keyData = format === 'jwk' ? keyData : new Uint8Array(keyData);
+        if (format === 'pkcs8') {
+            // PrivateKeyInfo { version, algorithm, OCTET STRING { ECPrivateKey { version, OCTET STRING privateKey, ... } } }
+            const info = derRead(keyData, 0);
+            const algorithm = derRead(keyData, derRead(keyData, info.start).end);
+            const wrapped = derRead(keyData, algorithm.end);
+            const ecKey = derRead(keyData, wrapped.start);
+            const privateKey = derRead(keyData, derRead(keyData, ecKey.start).end);
+            const ecdh = nodeCrypto.createECDH('prime256v1');
+            ecdh.setPrivateKey(Buffer.from(keyData.subarray(privateKey.start, privateKey.end)));
+            return { type: 'private', point: new Uint8Array(ecdh.getPublicKey()), pem: pem('PRIVATE KEY', keyData) };
+        }
+        if (format === 'spki') {
+            const info = derRead(keyData, 0);
+            const bitString = derRead(keyData, derRead(keyData, info.start).end);
+            return publicKey(keyData.slice(bitString.start + 1, bitString.end));
+        }
+        if (format === 'raw') {
+            return publicKey(keyData);
+        }
+        // JWK, with base64url-encoded coordinates
+        return publicKey(new Uint8Array([0x04].concat(
+            Array.from(Buffer.from(keyData.x, 'base64')),
+            Array.from(Buffer.from(keyData.y, 'base64'))
+        )));
+    };
+
+    const exportKey = (format, key)=>{
+        if (format === 'spki') {
+            return spki(key.point);
+        }
+        return {
+            kty: 'EC',
+            crv: 'P-256',
+            x: base64Url(key.point.subarray(1, 33)),
+            y: base64Url(key.point.subarray(33)),
+        };
+    };
+
+    const sign = (algorithm, key, data)=>{
+        const signature = nodeCrypto.createSign('SHA256').update(Buffer.from(data)).sign(key.pem);
+        return decodeSignature(new Uint8Array(signature), 'der');
+    };
+
+    const verify = (algorithm, key, signature, data)=>
+        nodeCrypto.createVerify('SHA256').update(Buffer.from(data))
+            .verify(key.pem, Buffer.from(encodeSignature(new Uint8Array(signature), 'der')));
+
+    // Like Web Crypto, return Promises, and reject them instead of throwing
+    const promised = (fn)=>(...args)=>Promise.resolve().then(()=>fn(...args));
+    return {
+        importKey: promised(importKey),
+        exportKey: promised(exportKey),
+        sign: promised(sign),
+        verify: promised(verify),
+    };
+}
+
+// Decodes base64 text (ignoring whitespace) into an Uint8Array.
+function base64ToBytes(text) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    const clean = text.replace(/\s/g, '').replace(/=+$/, '');
+    const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4));
+    let value = 0;
+    let bits = 0;
+    let pos = 0;
+    for (let i = 0; i < clean.length; i++) {
+        const index = alphabet.indexOf(clean[i]);
+        if (index === -1) {
+            throw new Error('Malformed PEM key, invalid base64 data');
+        }
+        value = ((value << 6) | index) & 0xFFFF;
+        bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes[pos++] = value >> bits;
+        }
+    }
+    return bytes;
+}
+
+// Returns a DER element (as an Array of bytes) given its tag and contents (as
+// Arrays or Uint8Arrays of bytes).
+function derElement(tag, ...contents) {
+    const content = [].concat(...contents.map((bytes)=>Array.from(bytes)));
+    const length = [];
+    for (let remaining = content.length; remaining > 0x7F; remaining >>>= 8) {
+        length.unshift(remaining & 0xFF);
+    }
+    if (length.length) {
+        length.unshift(0x80 | length.length);
+    } else {
+        length.push(content.length);
+    }
+    return [tag].concat(length, content);
+}
+
+// Reads the DER element at the given offset, and returns its tag and the offsets
+// of the start and end of its contents.
+function derRead(bytes, offset) {
+    if (offset + 2 > bytes.length) {
+        throw new Error('Malformed DER data, it is truncated');
+    }
+    let length = bytes[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+        const lengthSize = length & 0x7F;
+        length = 0;
+        for (let i = 0; i < lengthSize; i++) {
+            length = length * 0x100 + bytes[start++];
+        }
+    }
+    if (start + length > bytes.length) {
+        throw new Error('Malformed DER data, it is truncated');
+    }
+    return { tag: bytes[offset], start, end: start + length };
+}
+
+// Object identifiers of EC public keys and of the P-256 curve, as DER elements
+const derEcPublicKeyOid = [0x06, 0x07, 0x2A, 0x86, 0x48, 0xCE, 0x3D, 0x02, 0x01];
+const derP256Oid = [0x06, 0x08, 0x2A, 0x86, 0x48, 0xCE, 0x3D, 0x03, 0x01, 0x07];
+
+// Wraps a SEC1 ECPrivateKey structure (as in "EC PRIVATE KEY" PEM files) into a
+// PKCS#8 PrivateKeyInfo one, which Web Crypto can import.
+function pkcs8FromSec1(sec1) {
+    return new Uint8Array(derElement(0x30,
+        [0x02, 0x01, 0x00],
+        derElement(0x30, derEcPublicKeyOid, derP256Oid),
+        derElement(0x04, sec1)
+    ));
+}
+
+// Imports an ECDSA P-256 key for Web Crypto, given as PEM text or as raw bytes
+// (see MemoryMap#sign). Returns a Promise for a CryptoKey usable for the given
+// usage ("sign" or "verify"), using the given SubtleCrypto. Verifying with a
+// private key uses its public part. Public keys can be exported, e.g. to hash them.
+function ecdsaKey(key, usage, subtle) {
+    const algorithm = { name: 'ECDSA', namedCurve: 'P-256' };
+    let format;
+    let keyData;
+
+    if (typeof key === 'string') {
+        const match = key.match(/-----BEGIN ([A-Z ]+)-----([^-]*)-----END \1-----/);
+        if (!match) {
+            throw new Error('Malformed PEM key, could not find its BEGIN and END lines');
+        }
+        keyData = base64ToBytes(match[2]);
+        if (match[1] === 'PRIVATE KEY') {
+            format = 'pkcs8';
+        } else if (match[1] === 'EC PRIVATE KEY') {
+            format = 'pkcs8';
+            keyData = pkcs8FromSec1(keyData);
+        } else if (match[1] === 'PUBLIC KEY') {
+            format = 'spki';
+        } else {
+            throw new Error('Unsupported PEM key "' + match[1] + '", must be "PRIVATE KEY", "EC PRIVATE KEY" or "PUBLIC KEY"');
+        }
+    } else if (key instanceof Uint8Array) {
+        if (key.length === 32) {
+            format = 'pkcs8';
+            keyData = pkcs8FromSec1(derElement(0x30, [0x02, 0x01, 0x01], derElement(0x04, key)));
+        } else if (key.length === 64) {
+            format = 'raw';
+            keyData = new Uint8Array([0x04].concat(Array.from(key)));
+        } else if (key.length === 65 && key[0] === 0x04) {
+            format = 'raw';
+            keyData = key;
+        } else {
+            throw new Error('Raw key must be a private key of 32 bytes, or an uncompressed public key of 64 or 65 bytes');
+        }
+    } else {
+        throw new Error('Key must be a PEM String or an Uint8Array');
+    }
+
+    if (format !== 'pkcs8') {
+        if (usage === 'sign') {
+            throw new Error('Signing needs a private key, but a public key was given');
+        }
+        return subtle.importKey(format, keyData, algorithm, true, ['verify']);
+    }
+    if (usage === 'sign') {
+        return subtle.importKey(format, keyData, algorithm, false, ['sign']);
+    }
+    // Derive the public key from the private one, through JWK
+    return subtle.importKey(format, keyData, algorithm, true, ['sign'])
+        .then((privateKey)=>subtle.exportKey('jwk', privateKey))
+        .then(({ kty, crv, x, y })=>subtle.importKey('jwk', { kty, crv, x, y }, algorithm, true, ['verify']));
+}
+
+// Returns the bytes covered by the signature of a MemoryMap (see MemoryMap#sign).
+function signedBytes(memMap, options) {
+    const padByte = options.padByte === undefined ? 0xFF : options.padByte;
+    if (options.ranges === undefined) {
+        return memMap.asPaddedUint8Array(padByte).bytes;
+    }
+    if (!Array.isArray(options.ranges) || options.ranges.some((range)=>
+        !range || !Number.isInteger(range.address) || !Number.isInteger(range.length) || range.address < 0 || range.length < 0)) {
+        throw new Error('Ranges must be an Array of Objects with an integer address and length');
+    }
+
+    const bytes = new Uint8Array(options.ranges.reduce((total, range)=>total + range.length, 0));
+    let offset = 0;
+    for (const { address, length } of options.ranges) {
+        bytes.set(memMap.slicePad(address, length, padByte), offset);
+        offset += length;
+    }
+    return bytes;
+}
+
+// Formats of ECDSA signatures (see MemoryMap#sign)
+const signatureFormats = ['raw', 'raw-le', 'der'];
+
+function signatureFormat(options) {
+    const format = options.format === undefined ? 'raw' : options.format;
+    if (signatureFormats.indexOf(format) === -1) {
+        throw new Error('Signature format must be "raw", "raw-le" or "der"');
+    }
+    return format;
+}
+
+// Converts an ECDSA signature as returned by Web Crypto (r and s, as 32-byte big
+// endian integers) into the given format.
+function encodeSignature(signature, format) {
+    const r = signature.slice(0, 32);
+    const s = signature.slice(32, 64);
+    if (format === 'raw-le') {
+        return new Uint8Array(Array.from(r.reverse()).concat(Array.from(s.reverse())));
+    }
+    if (format === 'der') {
+        // Minimal two's complement integers: no leading zeroes, but one if the high bit is set
+        const integer = (bytes)=>{
+            let start = 0;
+            while (start < bytes.length - 1 && bytes[start] === 0) { start++; }
+            const value = Array.from(bytes.subarray(start));
+            return derElement(0x02, value[0] & 0x80 ? [0].concat(value) : value);
+        };
+        return new Uint8Array(derElement(0x30, integer(r), integer(s)));
+    }
+    return signature;
+}
+
+// Converts an ECDSA signature in the given format into the one of Web Crypto.
+function decodeSignature(signature, format) {
+    if (!(signature instanceof Uint8Array)) {
+        throw new Error('Signature must be an Uint8Array');
+    }
+    if (format === 'der') {
+        const sequence = derRead(signature, 0);
+        const r = derRead(signature, sequence.start);
+        const s = derRead(signature, r.end);
+        if (sequence.tag !== 0x30 || r.tag !== 0x02 || s.tag !== 0x02 || s.end !== sequence.end || sequence.end !== signature.length) {
+            throw new Error('Malformed DER signature, it must be a SEQUENCE of two INTEGERs');
+        }
+        const raw = new Uint8Array(64);
+        for (const [range, offset] of [[r, 32], [s, 64]]) {
+            let start = range.start;
+            while (start < range.end && signature[start] === 0) { start++; }
+            if (range.end - start > 32) {
+                throw new Error('Malformed DER signature, its integers are bigger than 32 bytes');
+            }
+            raw.set(signature.subarray(start, range.end), offset - (range.end - start));
+        }
+        return raw;
+    }
+    if (signature.length !== 64) {
+        throw new Error('Raw signature must be 64 bytes long');
+    }
+    if (format === 'raw-le') {
+        return new Uint8Array(Array.from(signature.subarray(0, 32)).reverse().concat(Array.from(signature.subarray(32)).reverse()));
+    }
+    return signature;
+}
+
+
+// Magic numbers of MCUboot images, and of their TLV areas
+const mcubootImageMagic = 0x96F3B83D;
+const mcubootTlvInfoMagic = 0x6907;
+const mcubootProtectedTlvInfoMagic = 0x6908;
+const mcubootHeaderLength = 32;
+
+// Flag of MCUboot images to be copied to RAM at their load address
+const mcubootRamLoadFlag = 0x20;
+
+// Names of the types of TLVs in MCUboot images, as imgtool calls them
+const mcubootTlvTypes = {
+    0x01: 'KEYHASH',
+    0x02: 'PUBKEY',
+    0x10: 'SHA256',
+    0x11: 'SHA384',
+    0x12: 'SHA512',
+    0x20: 'RSA2048',
+    0x21: 'ECDSA224',
+    0x22: 'ECDSASIG',
+    0x23: 'RSA3072',
+    0x24: 'ED25519',
+    0x25: 'SIG_PURE',
+    0x30: 'ENCRSA2048',
+    0x31: 'ENCKW',
+    0x32: 'ENCEC256',
+    0x33: 'ENCX25519',
+    0x40: 'DEPENDENCY',
+    0x50: 'SEC_CNT',
+    0x60: 'BOOT_RECORD',
+};
+
+// Parses a version of an MCUboot image, as in "1.2.3+4", into its fields.
+function mcubootVersion(version) {
+    const match = typeof version === 'string' && version.match(/^(\d+)(?:\.(\d+)(?:\.(\d+))?)?(?:\+(\d+))?$/);
+    const fields = match && match.slice(1).map((field)=>(field === undefined ? 0 : parseInt(field, 10)));
+    if (!fields || fields[0] > 0xFF || fields[1] > 0xFF || fields[2] > 0xFFFF || fields[3] > 0xFFFFFFFF) {
+        throw new Error('Version must be a String like "major.minor.revision+build", e.g. "1.2.3+4"');
+    }
+    return fields;
+}
+
+// Returns the bytes of a TLV area of an MCUboot image, given its magic number and
+// an Array of [type, Uint8Array] TLVs.
+function mcubootTlvArea(magic, tlvs) {
+    const length = tlvs.reduce((total, [, data])=>total + 4 + data.length, 4);
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, magic, true);
+    view.setUint16(2, length, true);
+    let offset = 4;
+    for (const [type, data] of tlvs) {
+        view.setUint16(offset, type, true);
+        view.setUint16(offset + 2, data.length, true);
+        bytes.set(data, offset + 4);
+        offset += 4 + data.length;
+    }
+    return bytes;
+}
+
+
+// Given a MemoryMap with sorted, non-overlapping blocks, and an Array of
+// [address, length] ranges, returns a new MemoryMap with the parts of the blocks
+// which are outside every range.
+function subtractRanges(memMap, ranges) {
+    ranges = ranges.slice().sort((a,b)=>a[0]-b[0]);
+    const result = new MemoryMap();
+    let r = 0;
+    for (const [blockAddr, block] of memMap) {
+        const blockEnd = blockAddr + block.length;
+        let address = blockAddr;
+        while (address < blockEnd) {
+            // Skip the ranges which end before the current address
+            while (r < ranges.length && ranges[r][0] + ranges[r][1] <= address) {
+                r++;
+            }
+            const rangeStart = r < ranges.length ? ranges[r][0] : Infinity;
+            if (rangeStart > address) {
+                const end = Math.min(rangeStart, blockEnd);
+                result.set(address, block.subarray(address - blockAddr, end - blockAddr));
+                address = end;
+            } else {
+                address = Math.min(ranges[r][0] + ranges[r][1], blockEnd);
+            }
+        }
+    }
+    return result;
+}
+
+
+/*
+ * Builds contiguous blocks of data out of the data records of a .hex file, as
+ * they are being parsed.
+ *
+ * Data from adjacent records is copied into the same (growing) Uint8Array, so
+ * there is no need to keep one Uint8Array per record around. The addresses and
+ * lengths of the records are kept in a compact form (runs of records of the same
+ * length), so that blocks can still be split at record boundaries (the same way
+ * MemoryMap.join() does), and so that duplicated records can be told apart from
+ * overlapping ones.
+ */
+class BlockBuilder {
+    constructor() {
+        // Non-overlapping, non-adjacent segments of data, in ascending address order.
+        // Each segment is an object with:
+        // - start: Address of the first byte
+        // - end: Address after the last byte
+        // - bytes: Uint8Array with the data, and some spare room to grow
+        // - runs: flat Array of (first record address, record length, record count) triplets
+        this._segments = [];
+
+        // Index of the last segment written to. Records are usually in ascending
+        // order, so this avoids most searches.
+        this._last = 0;
+
+        // Room for the data of a record which cannot be decoded in place
+        this._scratch = new Uint8Array(255);
+    }
+
+    // Returns the index of the segment with the highest start address that is
+    // equal or lower than the given address, or -1 if there is none.
+    _predecessor(address) {
+        const segments = this._segments;
+        const last = segments[this._last];
+        if (last && last.start <= address &&
+            (this._last + 1 === segments.length || segments[this._last + 1].start > address)) {
+            return this._last;
+        }
+
+        let low = 0;
+        let high = segments.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (segments[mid].start <= address) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    // Looks for previous data overlapping the given address range. Returns
+    // undefined if there is none, or an object with the address where the overlap
+    // starts and whether a previous record starts at the very same address.
+    findOverlap(address, length) {
+        const i = this._predecessor(address);
+        const pred = this._segments[i];
+        const succ = this._segments[i + 1];
+
+        if (pred && pred.end > address) {
+            const runs = pred.runs;
+            let duplicated = false;
+            for (let j = 0, l = runs.length; j < l && !duplicated; j += 3) {
+                const delta = address - runs[j];
+                duplicated = delta >= 0 && delta % runs[j+1] === 0 && delta / runs[j+1] < runs[j+2];
+            }
+            return { address, duplicated };
+        }
+        if (succ && address + length > succ.start) {
+            return { address: succ.start, duplicated: false };
+        }
+        return undefined;
+    }
+
+    // Makes sure that the given segment can hold up to `length` bytes
+    _grow(segment, length) {
+        if (segment.bytes.length < length) {
+            const bytes = new Uint8Array(Math.max(length, segment.bytes.length * 2));
+            bytes.set(segment.bytes.subarray(0, segment.end - segment.start));
+            segment.bytes = bytes;
+        }
+    }
+
+    // Returns a Uint8Array where the data of a record at the given address can be
+    // decoded into, before calling add(). When possible, this is the spare room at
+    // the end of the segment which the record would be appended to, so that the
+    // data does not need to be copied around.
+    reserve(address, length) {
+        const segment = this._segments[this._predecessor(address)];
+        if (segment && segment.end === address) {
+            const start = segment.end - segment.start;
+            this._grow(segment, start + length);
+            return segment.bytes.subarray(start, start + length);
+        }
+        return this.scratch(length);
+    }
+
+    // Returns a temporary Uint8Array for the data of one record
+    scratch(length) {
+        return this._scratch.subarray(0, length);
+    }
+
+    // Adds the data of one record. Assumes that there is no overlap with
+    // previous data (see findOverlap()).
+    add(address, data) {
+        const length = data.length;
+        if (!length) {
+            // Zero-length records carry no data at all
+            return;
+        }
+
+        const segments = this._segments;
+        let i = this._predecessor(address);
+        let segment = segments[i];
+
+        if (!segment || segment.end !== address) {
+            segment = { start: address, end: address, bytes: new Uint8Array(Math.max(length, 16)), runs: [] };
+            segments.splice(++i, 0, segment);
+        }
+
+        this._grow(segment, segment.end + length - segment.start);
+        if (data.buffer !== segment.bytes.buffer) {
+            // Unless the data was decoded in place (see reserve())
+            segment.bytes.set(data, segment.end - segment.start);
+        }
+        segment.end += length;
+
+        const runs = segment.runs;
+        const r = runs.length - 3;
+        if (r >= 0 && runs[r+1] === length && runs[r] + runs[r+1] * runs[r+2] === address) {
+            runs[r+2]++;
+        } else {
+            runs.push(address, length, 1);
+        }
+
+        // Merge with the next segment if they are now adjacent
+        const next = segments[i + 1];
+        if (next && next.start === segment.end) {
+            this._grow(segment, next.end - segment.start);
+            segment.bytes.set(next.bytes.subarray(0, next.end - next.start), segment.end - segment.start);
+            segment.end = next.end;
+            segment.runs = runs.concat(next.runs);
+            segments.splice(i + 1, 1);
+        }
+
+        this._last = i;
+    }
+
+    // Adds the data of one record which overlaps previous data. Where they
+    // overlap, the previous data is kept, unless `overwrite` is true.
+    // Returns an Array with the [start, end) address ranges where the new data
+    // differs from the previous one.
+    merge(address, data, overwrite) {
+        // The data might have been decoded in the spare room of a segment
+        data = new Uint8Array(data);
+        const end = address + data.length;
+        const segments = this._segments;
+        const conflicts = [];
+        const gaps = [];
+        let position = address;
+
+        let i = this._predecessor(address);
+        if (i === -1 || segments[i].end <= address) {
+            i++;
+        }
+        for (; i < segments.length && segments[i].start < end; i++) {
+            const segment = segments[i];
+            if (segment.start > position) {
+                gaps.push([position, segment.start]);
+            }
+            const overlapEnd = Math.min(end, segment.end);
+            let conflictStart = -1;
+            for (let a = Math.max(position, segment.start); a < overlapEnd; a++) {
+                const byte = data[a - address];
+                if (segment.bytes[a - segment.start] !== byte) {
+                    if (conflictStart === -1) {
+                        conflictStart = a;
+                    }
+                    if (overwrite) {
+                        segment.bytes[a - segment.start] = byte;
+                    }
+                } else if (conflictStart !== -1) {
+                    conflicts.push([conflictStart, a]);
+                    conflictStart = -1;
+                }
+            }
+            if (conflictStart !== -1) {
+                conflicts.push([conflictStart, overlapEnd]);
+            }
+            position = overlapEnd;
+        }
+        if (position < end) {
+            gaps.push([position, end]);
+        }
+
+        // Adding data might merge segments, so fill the gaps only at the end
+        for (const [gapStart, gapEnd] of gaps) {
+            this.add(gapStart, data.subarray(gapStart - address, gapEnd - address));
+        }
+
+        return conflicts;
+    }
+
+    // Returns a new MemoryMap with the data, with the same blocks that
+    // MemoryMap.join(maxBlockSize) would return if every record was a block.
+    toMemoryMap(maxBlockSize) {
+        const memMap = new MemoryMap();
+
+        for (const segment of this._segments) {
+            if (maxBlockSize === Infinity) {
+                memMap.set(segment.start, segment.bytes.slice(0, segment.end - segment.start));
+                continue;
+            }
+
+            let blockStart = -1;
+            let blockEnd = -1;
+            const runs = segment.runs;
+            for (let j = 0, l = runs.length; j < l; j += 3) {
+                const [runStart, recordLength, recordCount] = runs.slice(j, j + 3);
+                for (let k = 0; k < recordCount; k++) {
+                    const recordStart = runStart + k * recordLength;
+                    if (blockEnd === recordStart && blockEnd - blockStart < maxBlockSize) {
+                        blockEnd += recordLength;
+                    } else {
+                        if (blockStart !== -1) {
+                            memMap.set(blockStart, segment.bytes.slice(blockStart - segment.start, blockEnd - segment.start));
+                        }
+                        blockStart = recordStart;
+                        blockEnd = recordStart + recordLength;
+                    }
+                }
+            }
+            memMap.set(blockStart, segment.bytes.slice(blockStart - segment.start, blockEnd - segment.start));
+        }
+
+        return memMap;
+    }
+}
+
+
+/**
+ * @class HexParser
+ *
+ * Incremental parser for the "Intel HEX" format. It takes the contents of a .hex file
+ * in chunks (as they arrive from e.g. a network connection or a file), and builds a
+ * {@linkcode MemoryMap} as it goes. Records can be split across chunk boundaries.
+ *<br/>
+ * It performs the same validation as {@linkcode MemoryMap.fromHex} (which is built on
+ * top of it). In order to create one, use the {@linkcode MemoryMap.createHexParser}
+ * <em>static</em> factory method.
+ *<br/>
+ * Only the data which has been parsed is kept in memory (in contiguous blocks, not in
+ * one <tt>Uint8Array</tt> per record), plus the last incomplete record of each chunk.
+ *
+ * @example
+ * import MemoryMap from 'nrf-intel-hex';
+ *
+ * let parser = MemoryMap.createHexParser();
+ *
+ * parser.write(':100000000102030405060708');
+ * parser.write('090A0B0C0D0E0F1068\n:00000001FF');
+ *
+ * let memMap = parser.end();
+ */
+class HexParser {
+    /**
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the <tt>Uint8Array</tt>s in
+     * the resulting {@linkcode MemoryMap}.
+     * @param {Object} [options] See {@linkcode MemoryMap.createHexParser}.
+     */
+    constructor(maxBlockSize = Infinity, options = {}) {
+        const severities = Object.assign({}, hexDiagnosticKinds, options.diagnostics);
+        for (const kind of Object.keys(severities)) {
+            if (!(kind in hexDiagnosticKinds)) {
+                throw new Error('Unknown diagnostic kind "' + kind + '"');
+            }
+            if (diagnosticSeverities.indexOf(severities[kind]) === -1) {
+                throw new Error('Severity of diagnostic kind "' + kind + '" must be "error", "warning" or "ignore"');
+            }
+        }
+
+        const overlap = overlapPolicy(options);
+
+        this._maxBlockSize = maxBlockSize;
+        this._severities = severities;
+        this._overlap = overlap;
+        this._wrapAround = !!options.wrapAround;
+        this._lenient = !!options.lenient;
+        this._onProgress = options.onProgress;
+
+        /**
+         * The problems found so far, when in lenient mode. See
+         * {@linkcode MemoryMap.fromHexLenient} for details.
+         * @member {Array}
+         */
+        this.diagnostics = [];
+
+        /**
+         * How many characters of input have been parsed so far.
+         * @member {Number}
+         */
+        this.charactersParsed = 0;
+
+        /**
+         * How many records have been parsed so far.
+         * @member {Number}
+         */
+        this.recordCount = 0;
+
+        this._pending = new Uint8Array(0);  // Character codes of the input not parsed yet
+        this._ended = false;
+        this._eofFound = false;
+        this._dataAfterEOF = false;
+
+        // Start (offset and first characters) of the text which is not part of any
+        // record and has already been dropped from the pending input, if any
+        this._gap = undefined;
+
+        // Upper Linear Base Address, the 16 most significant bits (2 bytes) of
+        // the current 32-bit (4-byte) address
+        // In practice this is a offset that is summed to the "load offset" of the
+        // data records
+        this._ulba = 0;
+
+        // Whether the last 0x02/0x04 record was a 0x02 one, i.e. whether the
+        // addresses of data records are segmented or linear
+        this._segmented = false;
+
+        this._blocks = new BlockBuilder();
+        this._startAddresses = new MemoryMap();
+    }
+
+    // Reports a problem; returns true if the offending record must be skipped.
+    // When not in lenient mode, error-level problems throw an Error instead.
+    _report(kind, message, record, offset) {
+        const severity = this._severities[kind];
+        if (severity === 'error' && !this._lenient) {
+            throw new Error(message);
+        }
+        if (severity !== 'ignore') {
+            this.diagnostics.push({ kind, severity, message, record, offset });
+        }
+        return severity === 'error';
+    }
+
+    /**
+     * Parses a chunk of .hex data.
+     *
+     * @param {String|Uint8Array|ArrayBuffer} chunk Some characters of the .hex file.
+     * Binary chunks are read as ASCII, without converting them into a <tt>String</tt>.
+     * @return {HexParser} The parser itself
+     */
+    write(chunk) {
+        if (typeof chunk === 'string' && chunk.length > stringSliceSize) {
+            // Avoid converting huge strings into huge arrays of character codes
+            for (let i = 0, l = chunk.length; i < l; i += stringSliceSize) {
+                this.write(chunk.substring(i, i + stringSliceSize));
+            }
+            return this;
+        }
+        this._append(chunk);
+        this._parse(false);
+        return this;
+    }
+
+    /**
+     * Parses the last chunk of .hex data (if any), and returns the resulting
+     * {@linkcode MemoryMap}.
+     *<br/>
+     * The insertion order of keys in the {@linkcode MemoryMap} is guaranteed to be strictly
+     * ascending.
+     *
+     * @param {String|Uint8Array|ArrayBuffer} [chunk] The last characters of the .hex file.
+     * @return {MemoryMap}
+     */
+    end(chunk) {
+        if (chunk !== undefined) {
+            this.write(chunk);
+        }
+        if (this._ended) {
+            throw new Error('Cannot write to a HexParser after calling end()');
+        }
+        this._parse(true);
+        this._ended = true;
+
+        if (!this._eofFound) {
+            if (this.recordCount) {
+                this._report('noEOF', 'No EOF record at end of file', undefined, this.charactersParsed + this._pending.length);
+            } else {
+                this._report('noRecords', 'Malformed .hex file, could not parse any registers', undefined, 0);
+            }
+        }
+
+        return copyStartAddresses(this._startAddresses, this._blocks.toMemoryMap(this._maxBlockSize));
+    }
+
+    // Adds a chunk to the pending input, as character codes: strings are turned
+    // into Uint16Arrays, binary data is kept as a Uint8Array.
+    _append(chunk) {
+        if (this._ended) {
+            throw new Error('Cannot write to a HexParser after calling end()');
+        }
+        chunk = toCharCodes(chunk);
+        if (!chunk) {
+            throw new Error('Chunks passed to HexParser must be Strings, Uint8Arrays or ArrayBuffers');
+        }
+
+        const pending = this._pending;
+        if (!pending.length) {
+            this._pending = chunk;
+            return;
+        }
+        const joined = (pending instanceof Uint8Array && chunk instanceof Uint8Array) ?
+            new Uint8Array(pending.length + chunk.length) :
+            new Uint16Array(pending.length + chunk.length);
+        joined.set(pending);
+        joined.set(chunk, pending.length);
+        this._pending = joined;
+    }
+
+    // Parses as many complete records as there are in the pending input. If
+    // `final` is false, a record at the very end of the pending input is left
+    // alone, since it might continue in the next chunk.
+    _parse(final) {
+        const chars = this._pending;
+        const l = chars.length;
+        const base = this.charactersParsed;   // Offset of the pending input in the whole file
+        let lastCharacterParsed = 0;
+        let incompleteRecord = -1;
+        let found;
+
+        if (this._eofFound) {
+            if (l && !this._dataAfterEOF) {
+                this._dataAfterEOF = true;
+                this._report('dataAfterEOF', 'There is data after an EOF record at record ' + this.recordCount, this.recordCount, base);
+            }
+            // Anything after the EOF record is never parsed
+            lastCharacterParsed = l;
+        }
+
+        while (!this._eofFound && (found = findRecord(chars, lastCharacterParsed))) {
+            const [recordStart, hexEnd, recordEnd] = found;
+
+            if (!final && recordEnd === l && chars[l - 1] !== 0x0A) {
+                // The record (or its \r\n record separator) might continue in the next chunk
+                incompleteRecord = recordStart;
+                break;
+            }
+            this.recordCount++;
+
+            // Be aware of gaps between records
+            if (lastCharacterParsed !== recordStart || this._gap) {
+                this._skipGap(chars, base, lastCharacterParsed, recordStart);
+                this._report('malformed',
+                    'Malformed hex file: Could not parse between characters ' +
+                    this._gap.offset +
+                    ' and ' +
+                    (base + recordStart) +
+                    ' ("' +
+                    this._gap.text.trim() +
+                    '")',
+                    this.recordCount, this._gap.offset);
+                this._gap = undefined;
+            }
+            lastCharacterParsed = recordEnd;
+
+            this._parseRecord(chars, recordStart, hexEnd, base + recordStart);
+
+            if (this._eofFound && lastCharacterParsed !== l) {
+                // The EOF record should be at the very end of the input
+                this._dataAfterEOF = true;
+                this._report('dataAfterEOF', 'There is data after an EOF record at record ' + this.recordCount, this.recordCount, base + lastCharacterParsed);
+                lastCharacterParsed = l;
+            }
+        }
+
+        if (!final && !this._eofFound) {
+            // Text before the last record mark cannot be part of a record, so drop it
+            // instead of keeping it in memory until the next record comes
+            const keepFrom = incompleteRecord !== -1 ? incompleteRecord : trailingRecordMark(chars, lastCharacterParsed);
+            if (keepFrom > lastCharacterParsed) {
+                this._skipGap(chars, base, lastCharacterParsed, keepFrom);
+                lastCharacterParsed = keepFrom;
+            }
+        }
+
+        // Keep a copy of the unparsed input, since the chunk might be reused by the caller
+        const leftover = chars.subarray(lastCharacterParsed);
+        this._pending = chars instanceof Uint16Array ? new Uint16Array(leftover) : new Uint8Array(leftover);
+        this.charactersParsed += lastCharacterParsed;
+
+        if (this._onProgress && (lastCharacterParsed || final)) {
+            this._onProgress(this.charactersParsed, this.recordCount);
+        }
+    }
+
+    // Adds the characters between the given positions of the pending input to the
+    // current gap between records, keeping only its first 16 characters.
+    _skipGap(chars, base, start, end) {
+        if (!this._gap) {
+            this._gap = { offset: base + start, text: '' };
+        }
+        const length = Math.min(end - start, 16 - this._gap.text.length);
+        this._gap.text += charCodesToString(chars.subarray(start, start + length));
+    }
+
+    // Parses one record, given the character codes of the input, the positions
+    // of its record mark and of the end of its hex digits, and the offset of the
+    // record in the whole input.
+    // The data bytes are decoded straight into the memory where they will be kept.
+    _parseRecord(chars, recordStart, hexEnd, recordOffset) {
+        const recordCount = this.recordCount;
+        const recordText = ()=>charCodesToString(chars.subarray(recordStart, hexEnd));
+
+        const record = decodeRecord(chars, recordStart, hexEnd, (record, length)=>{
+            if (!record.lengthValid) {
+                return undefined;
+            }
+            return record.type === 0 ?
+                this._blocks.reserve(this._ulba + record.offset, length) :
+                this._blocks.scratch(length);
+        });
+        const recordLength = record.length;
+        if (!record.lengthValid) {
+            this._report('recordLength', 'Mismatched record length at record ' + recordCount + ' (' + recordText() + '), expected ' + (recordLength) + ' data bytes but actual length is ' + (((hexEnd - recordStart - 3) >> 1) - 4), recordCount, recordOffset);
+            return;
+        }
+
+        const offset = record.offset;
+        const recordType = record.type;
+        const address = this._ulba + offset;
+        const data = record.data;
+
+        if (!record.checksumValid) {
+            const cs = checksumTwo(new Uint8Array([recordLength, offset >> 8, offset & 0xFF, recordType]), data);
+            if (this._report('checksum', 'Checksum failed at record ' + recordCount + ' (' + recordText() + '), should be ' + cs.toString(16), recordCount, recordOffset)) {
+                return;
+            }
+        }
+
+        if (recordType === 0) {
+            // Data record, contains data
+            // Add it to the blocks, at (upper linear base address + offset)
+            const wraps = offset + recordLength > 0x10000;
+            if (wraps && this._wrapAround && this._segmented) {
+                // With segment addressing, the offset wraps around inside the 64KiB
+                // segment, so the rest of the data goes at the start of the segment.
+                // Copy the data first, since it might be in the spare room of a block.
+                const wrapped = new Uint8Array(data);
+                const split = 0x10000 - offset;
+                this._addData(address, wrapped.subarray(0, split), false, recordText, recordOffset);
+                this._addData(this._ulba, wrapped.subarray(split), false, recordText, recordOffset);
+            } else {
+                // With linear addressing, the data just goes over the 64KiB boundary
+                this._addData(address, data, wraps && !this._wrapAround, recordText, recordOffset);
+            }
+            return;
+        }
+
+        // All non-data records must have a data offset of zero
+        if (offset !== 0) {
+            if (this._report('recordOffset', 'Record ' + recordCount + ' (' + recordText() + ') must have 0000 as data offset.', recordCount, recordOffset)) {
+                return;
+            }
+        }
+
+        switch (recordType) {
+        case 1: // EOF
+            this._eofFound = true;
+            break;
+
+        case 2: // Extended Segment Address Record
+            // Sets the 16 most significant bits of the 20-bit Segment Base
+            // Address for the subsequent data.
+            this._ulba = ((data[0] << 8) + data[1]) << 4;
+            this._segmented = true;
+            break;
+
+        case 3: // Start Segment Address Record
+            // Record type 3 only applies to 16-bit Intel CPUs, where it
+            // should reset the program counter (CS+IP CPU registers).
+            // Keep its value, so it can be written back.
+            if (data.length !== 4) {
+                this._report('startAddressLength', 'Record ' + recordCount + ' (' + recordText() + ') must have 4 data bytes.', recordCount, recordOffset);
+                return;
+            }
+            this._startAddresses.startSegmentAddress = (new DataView(data.buffer, data.byteOffset, 4)).getUint32(0);
+            break;
+
+        case 4: // Extended Linear Address Record
+            // Sets the 16 most significant (upper) bits of the 32-bit Linear Address
+            // for the subsequent data
+            this._ulba = ((data[0] << 8) + data[1]) << 16;
+            this._segmented = false;
+            break;
+
+        case 5: // Start Linear Address Record
+            // Record type 5 only applies to 32-bit Intel CPUs, where it
+            // should reset the program counter (EIP CPU register).
+            // It might have meaning for other CPU architectures
+            // (see http://infocenter.arm.com/help/index.jsp?topic=/com.arm.doc.faqs/ka9903.html )
+            // so keep its value, so it can be written back.
+            if (data.length !== 4) {
+                this._report('startAddressLength', 'Record ' + recordCount + ' (' + recordText() + ') must have 4 data bytes.', recordCount, recordOffset);
+                return;
+            }
+            this._startAddresses.startLinearAddress = (new DataView(data.buffer, data.byteOffset, 4)).getUint32(0);
+            break;
+
+        default:
+            this._report('recordType', 'Invalid record type 0x' + hexpad(recordType) + ' at record ' + recordCount + ' (should be between 0x00 and 0x05)', recordCount, recordOffset);
+        }
+    }
+
+    // Adds the data of a data record at the given address, dealing with overlaps as
+    // per the overlap policy. `wraps` tells whether the data goes over 0xFFFF when
+    // it should not.
+    _addData(address, data, wraps, recordText, recordOffset) {
+        const recordCount = this.recordCount;
+        const overlap = this._blocks.findOverlap(address, data.length);
+        if (overlap && this._overlap === 'error') {
+            if (overlap.duplicated) {
+                this._report('duplicatedData', 'Duplicated data at record ' + recordCount + ' (' + recordText() + ')', recordCount, recordOffset);
+            } else {
+                this._report('overlappingData', 'Overlapping data around address 0x' + overlap.address.toString(16), recordCount, recordOffset);
+            }
+            // Overlapping data is always dropped with this policy
+            return;
+        }
+        if (wraps) {
+            if (this._report('wrap',
+                'Data at record ' +
+                recordCount +
+                ' (' +
+                recordText() +
+                ') wraps over 0xFFFF. This would trigger ambiguous behaviour. Please restructure your data so that for every record the data offset plus the data length do not exceed 0xFFFF.',
+                recordCount, recordOffset)) {
+                return;
+            }
+        }
+
+        if (!overlap) {
+            this._blocks.add(address, data);
+            return;
+        }
+
+        // Overlapping data, allowed by the overlap policy as long as it is
+        // identical to the previous data, or resolved by it otherwise.
+        const conflicts = this._blocks.merge(address, data, this._overlap === 'last-wins');
+        for (const [start, end] of conflicts) {
+            const range = '0x' + start.toString(16) + ' to 0x' + (end - 1).toString(16);
+            if (this._overlap === 'allow-if-identical') {
+                this._report('overlappingData', 'Overlapping data with different values at addresses ' + range + ', at record ' + recordCount + ' (' + recordText() + ')', recordCount, recordOffset);
+            } else {
+                this._report('conflictingData', 'Conflicting data at addresses ' + range + ', at record ' + recordCount + ' (' + recordText() + ')', recordCount, recordOffset);
+            }
+        }
+    }
+
+    /**
+     * Reads all the data from a stream, and returns a <tt>Promise</tt> for the
+     * resulting {@linkcode MemoryMap}.
+     *<br/>
+     * Works with both Node.js readable streams (e.g. from <tt>fs.createReadStream</tt>),
+     * and WHATWG <tt>ReadableStream</tt>s (e.g. the body of a <tt>fetch</tt> response).
+     * Chunks can be either text or binary data.
+     *
+     * @param {stream.Readable|ReadableStream} stream
+     * @return {Promise<MemoryMap>}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * fetch('firmware.hex')
+     *     .then((response)=>MemoryMap.createHexParser().readFrom(response.body))
+     *     .then((memMap)=>console.log(memMap));
+     */
+    readFrom(stream) {
+        if (stream && typeof stream.getReader === 'function') {
+            // WHATWG ReadableStream
+            const reader = stream.getReader();
+            const pump = ()=>reader.read().then(({ done, value })=>{
+                if (done) {
+                    return this.end();
+                }
+                try {
+                    this.write(value);
+                } catch (err) {
+                    reader.cancel(err);
+                    throw err;
+                }
+                return pump();
+            });
+            return pump();
+        }
+
+        if (stream && typeof stream.on === 'function') {
+            // Node.js readable stream
+            return new Promise((resolve, reject)=>{
+                const onData = (chunk)=>{
+                    try {
+                        this.write(chunk);
+                    } catch (err) {
+                        stream.removeListener('data', onData);
+                        if (typeof stream.destroy === 'function') {
+                            stream.destroy();
+                        }
+                        reject(err);
+                    }
+                };
+                stream.on('data', onData);
+                stream.once('error', reject);
+                stream.once('end', ()=>{
+                    try {
+                        resolve(this.end());
+                    } catch (err) {
+                        reject(err);
+                    }
+                });
+            });
+        }
+
+        return Promise.reject(new Error('Stream passed to HexParser is neither a Node.js readable stream nor a WHATWG ReadableStream'));
+    }
+
+    /**
+     * Returns a WHATWG <tt>TransformStream</tt> which parses the chunks written to it,
+     * and outputs one single chunk: the resulting {@linkcode MemoryMap}.
+     *
+     * @return {TransformStream}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * fetch('firmware.hex')
+     *     .then((response)=>response.body
+     *         .pipeThrough(MemoryMap.createHexParser().transformStream())
+     *         .getReader()
+     *         .read()
+     *     )
+     *     .then(({ value })=>console.log(value));
+     */
+    transformStream() {
+        return new TransformStream({
+            transform: (chunk)=>{ this.write(chunk); },
+            flush: (controller)=>{ controller.enqueue(this.end()); }
+        });
+    }
+}
+
+
+/**
+ * @class MemoryMap
+ *
+ * Represents the contents of a memory layout, with main focus into (possibly sparse) blocks of data.
+ *<br/>
+ * A {@linkcode MemoryMap} acts as a subclass of
+ * {@linkcode https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/Map|Map}.
+ * In every entry of it, the key is the starting address of a data block (an integer number),
+ * and the value is the <tt>Uint8Array</tt> with the data for that block.
+ *<br/>
+ * The main rationale for this is that a .hex file can contain a single block of contiguous
+ * data starting at memory address 0 (and it's the common case for simple .hex files),
+ * but complex files with several non-contiguous data blocks are also possible, thus
+ * the need for a data structure on top of the <tt>Uint8Array</tt>s.
+ *<br/>
+ * In order to parse <tt>.hex</tt> files, use the {@linkcode MemoryMap.fromHex} <em>static</em> factory
+ * method. In order to write <tt>.hex</tt> files, create a new {@linkcode MemoryMap} and call
+ * its {@linkcode MemoryMap.asHexString} method.
+ *
+ * @extends Map
+ * @example
+ * import MemoryMap from 'nrf-intel-hex';
+ *
+ * let memMap1 = new MemoryMap();
+ * let memMap2 = new MemoryMap([[0, new Uint8Array(1,2,3,4)]]);
+ * let memMap3 = new MemoryMap({0: new Uint8Array(1,2,3,4)});
+ * let memMap4 = new MemoryMap({0xCF0: new Uint8Array(1,2,3,4)});
+ */
+class MemoryMap {
+    /**
+     * @param {Iterable} blocks The initial value for the memory blocks inside this
+     * <tt>MemoryMap</tt>. All keys must be numeric, and all values must be instances of
+     * <tt>Uint8Array</tt>. Optionally it can also be a plain <tt>Object</tt> with
+     * only numeric keys.
+     */
+    constructor(blocks) {
+        this._blocks = new Map();
+
+        /**
+         * The value of the Start Segment Address (0x03) record, if any: a 32-bit
+         * unsigned integer with the CS register in the 16 most significant bits, and
+         * the IP register in the 16 least significant bits.
+         * <br/>
+         * Set by {@linkcode MemoryMap.fromHex}, and written back by {@linkcode MemoryMap.asHexString}.
+         * @member {Number|undefined}
+         */
+        this.startSegmentAddress = undefined;
+
+        /**
+         * The value of the Start Linear Address (0x05) record, if any: a 32-bit
+         * unsigned integer with the value of the EIP register (the entry point).
+         * <br/>
+         * Set by {@linkcode MemoryMap.fromHex}, and written back by {@linkcode MemoryMap.asHexString}.
+         * @member {Number|undefined}
+         */
+        this.startLinearAddress = undefined;
+
+        /**
+         * The text of the header (S0) record of an S-record file, if any.
+         * <br/>
+         * Set by {@linkcode MemoryMap.fromSRecord}, and written back by {@linkcode MemoryMap.asSRecord}.
+         * @member {String|undefined}
+         */
+        this.header = undefined;
+
+        if (blocks && typeof blocks[Symbol.iterator] === 'function') {
+            for (const tuple of blocks) {
+                if (!(tuple instanceof Array) || tuple.length !== 2) {
+                    throw new Error('First parameter to MemoryMap constructor must be an iterable of [addr, bytes] or undefined');
+                }
+                this.set(tuple[0], tuple[1]);
+            }
+        } else if (typeof blocks === 'object') {
+            // Try iterating through the object's keys
+            const addrs = Object.keys(blocks);
+            for (const addr of addrs) {
+                this.set(parseInt(addr), blocks[addr]);
+            }
+
+        } else if (blocks !== undefined && blocks !== null) {
+            throw new Error('First parameter to MemoryMap constructor must be an iterable of [addr, bytes] or undefined');
+        }
+    }
+
+    set(addr, value) {
+        if (!Number.isInteger(addr)) {
+            throw new Error('Address passed to MemoryMap is not an integer');
+        }
+        if (addr < 0) {
+            throw new Error('Address passed to MemoryMap is negative');
+        }
+        if (!(value instanceof Uint8Array)) {
+            throw new Error('Bytes passed to MemoryMap are not an Uint8Array');
+        }
+        return this._blocks.set(addr, value);
+    }
+    // Delegate the following to the 'this._blocks' Map:
+    get(addr)    { return this._blocks.get(addr);    }
+    clear()      { return this._blocks.clear();      }
+    delete(addr) { return this._blocks.delete(addr); }
+    entries()    { return this._blocks.entries();    }
+    forEach(callback, that) { return this._blocks.forEach(callback, that); }
+    has(addr)    { return this._blocks.has(addr);    }
+    keys()       { return this._blocks.keys();       }
+    values()     { return this._blocks.values();     }
+    get size()   { return this._blocks.size;         }
+    [Symbol.iterator]() { return this._blocks[Symbol.iterator](); }
+
+
+    /**
+     * Writes bytes at any address of the {@linkcode MemoryMap}, e.g. to patch a serial
+     * number, configuration or calibration data into a firmware image.
+     *<br/>
+     * Existing data in the written range is overwritten. The written bytes, together with
+     * all the blocks they overlap or touch (i.e. end right before them or start right
+     * after them), become one single block, so blocks are extended, holes are filled and
+     * adjacent blocks are coalesced. Other blocks are left untouched. The resulting block
+     * takes the place of the first of those blocks in the iteration order (or goes last,
+     * if there are none).
+     *<br/>
+     * When the written range is inside one block which touches no other, its bytes are
+     * overwritten in place, so any other {@linkcode MemoryMap} sharing memory with this one
+     * (e.g. the result of {@linkcode MemoryMap#slice}) sees the change too. Otherwise, new
+     * memory is allocated for the resulting block. Use {@linkcode MemoryMap#clone} first
+     * to avoid modifying shared memory.
+     *
+     * @param {Number} address The address to write the first byte at
+     * @param {Uint8Array} bytes The bytes to write
+     * @return {MemoryMap} This {@linkcode MemoryMap}, to allow chaining
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromHex(intelHexString);
+     * memMap.write(0x10001080, new Uint8Array([0x78, 0x56, 0x34, 0x12]));   // UICR customer register
+     */
+    write(address, bytes) {
+        if (!Number.isInteger(address)) {
+            throw new Error('Address passed to MemoryMap is not an integer');
+        }
+        if (address < 0) {
+            throw new Error('Address passed to MemoryMap is negative');
+        }
+        if (!(bytes instanceof Uint8Array)) {
+            throw new Error('Bytes passed to MemoryMap are not an Uint8Array');
+        }
+        if (!bytes.length) {
+            return this;
+        }
+
+        // Find the blocks which overlap or touch the written range
+        const end = address + bytes.length;
+        let start = address;
+        let newEnd = end;
+        const touched = [];
+        for (const [blockAddr, block] of this) {
+            const blockEnd = blockAddr + block.length;
+            if (blockAddr <= end && blockEnd >= address) {
+                touched.push(blockAddr);
+                start = Math.min(start, blockAddr);
+                newEnd = Math.max(newEnd, blockEnd);
+            }
+        }
+
+        if (touched.length === 1 && start === touched[0] && newEnd - start === this.get(start).length) {
+            // The written range is inside one block, so there is nothing to merge
+            this.get(start).set(bytes, address - start);
+            return this;
+        }
+
+        const merged = new Uint8Array(newEnd - start);
+        for (const blockAddr of touched.slice().sort((a,b)=>a-b)) {
+            merged.set(this.get(blockAddr), blockAddr - start);
+        }
+        merged.set(bytes, address - start);
+
+        // Rebuild the Map, so the merged block keeps the place of the first touched one
+        const blocks = new Map();
+        for (const [blockAddr, block] of this) {
+            if (touched.indexOf(blockAddr) === -1) {
+                blocks.set(blockAddr, block);
+            } else if (blockAddr === touched[0]) {
+                blocks.set(start, merged);
+            }
+        }
+        if (!touched.length) {
+            blocks.set(start, merged);
+        }
+        this._blocks = blocks;
+
+        return this;
+    }
+
+    /**
+     * Alias of {@linkcode MemoryMap#write}.
+     *
+     * @param {Number} address The address to write the first byte at
+     * @param {Uint8Array} bytes The bytes to write
+     * @return {MemoryMap} This {@linkcode MemoryMap}, to allow chaining
+     */
+    setBytes(address, bytes) {
+        return this.write(address, bytes);
+    }
+
+
+    /**
+     * Detects the format of a file (Intel HEX, S-record, TI-TXT, ELF, UF2 or raw binary),
+     * and parses it into a {@linkcode MemoryMap} with the matching method:
+     * {@linkcode MemoryMap.fromHex}, {@linkcode MemoryMap.fromSRecord},
+     * {@linkcode MemoryMap.fromTiTxt}, {@linkcode MemoryMap.fromElf} or
+     * {@linkcode MemoryMap.fromUf2}.
+     *<br/>
+     * ELF and UF2 files are detected by their magic numbers. Text files (only printable
+     * ASCII characters and whitespace) are detected by their first character: <tt>:</tt>
+     * for Intel HEX, <tt>S</tt> and a digit for S-records, and <tt>@</tt> for TI-TXT. Any
+     * other <tt>Uint8Array</tt> or <tt>ArrayBuffer</tt> is raw binary data, which starts at
+     * <tt>options.address</tt>. A <tt>String</tt> is never raw binary data.
+     *<br/>
+     * If the format cannot be detected, the error lists the formats which were tried. If
+     * it is detected but the file cannot be parsed, the error tells the format.
+     *
+     * @param {String|Uint8Array|ArrayBuffer} input The contents of a file.
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
+     * @param {Object} [options] Options for the parser of the detected format, plus:
+     * @param {Array<String>} [options.formats] The formats to try: any of <tt>"elf"</tt>,
+     * <tt>"uf2"</tt>, <tt>"hex"</tt>, <tt>"srec"</tt>, <tt>"titxt"</tt> and
+     * <tt>"binary"</tt>. Defaults to all of them.
+     * @param {Number} [options.address=0] The address of raw binary data.
+     *
+     * @return {Object} An object with a <tt>format</tt> property (the detected format, as
+     * in <tt>options.formats</tt>) and a <tt>memMap</tt> property (the {@linkcode MemoryMap}).
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * // e.g. the contents of a file dropped into a web page
+     * let { format, memMap } = MemoryMap.from(new Uint8Array(fileContents));
+     */
+    static from(input, maxBlockSize = Infinity, options = {}) {
+        const formats = options.formats === undefined ? Object.keys(inputFormats) : options.formats;
+        if (!Array.isArray(formats) || formats.some((format)=>!inputFormats.hasOwnProperty(format))) {
+            throw new Error('Formats must be an Array with any of "' + Object.keys(inputFormats).join('", "') + '"');
+        }
+
+        // Strings can only be in text formats
+        const candidates = Object.keys(inputFormats).filter((name)=>formats.indexOf(name) !== -1 &&
+            (typeof input !== 'string' || name === 'hex' || name === 'srec' || name === 'titxt'));
+        const format = detectFormat(input, candidates);
+        if (format === undefined) {
+            throw new Error('Could not detect the format of the input, tried ' +
+                candidates.map((name)=>inputFormats[name]).join(', '));
+        }
+
+        if (format === 'binary') {
+            const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : input;
+            const address = options.address === undefined ? 0 : options.address;
+            if (!Number.isInteger(address) || address < 0) {
+                throw new Error('Address must be an integer not lower than zero');
+            }
+            const memMap = new MemoryMap();
+            for (let offset = 0; offset < bytes.length; offset += maxBlockSize) {
+                memMap.set(address + offset, bytes.subarray(offset, offset + maxBlockSize));
+            }
+            return { format, memMap };
+        }
+
+        const parser = { elf: 'fromElf', uf2: 'fromUf2', hex: 'fromHex', srec: 'fromSRecord', titxt: 'fromTiTxt' }[format];
+        let memMap;
+        try {
+            memMap = MemoryMap[parser](input, maxBlockSize, options);
+        } catch (err) {
+            throw new Error('Could not parse the input as ' + inputFormats[format] + ': ' + err.message);
+        }
+        return { format, memMap };
+    }
+
+
+    /**
+     * Parses a string containing data formatted in "Intel HEX" format, and
+     * returns an instance of {@linkcode MemoryMap}.
+     *<br/>
+     * The insertion order of keys in the {@linkcode MemoryMap} is guaranteed to be strictly
+     * ascending. In other words, when iterating through the {@linkcode MemoryMap}, the addresses
+     * will be ordered in ascending order.
+     *<br/>
+     * The parser has an opinionated behaviour, and will throw a descriptive error if it
+     * encounters some malformed input. Check the project's
+     * {@link https://github.com/NordicSemiconductor/nrf-intel-hex#Features|README file} for details.
+     *<br/>
+     * If <tt>maxBlockSize</tt> is given, any contiguous data block larger than that will
+     * be split in several blocks.
+     *<br/>
+     * The values of Start Segment Address (0x03) and Start Linear Address (0x05) records
+     * are stored in the <tt>startSegmentAddress</tt> and <tt>startLinearAddress</tt>
+     * properties of the returned {@linkcode MemoryMap}.
+     *<br/>
+     * The data bytes are decoded straight into the <tt>Uint8Array</tt>s for contiguous
+     * blocks, and no intermediate strings or per-record arrays are created, so prefer
+     * passing the raw contents of big files rather than decoding them into a <tt>String</tt>
+     * first.
+     *
+     * @param {String|Uint8Array|ArrayBuffer} hexText The contents of a .hex file. Binary
+     * input (e.g. as read from disk or from a <tt>File</tt>) is read as ASCII, and parsed
+     * without converting it into a <tt>String</tt>.
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
+     * @param {Object} [options]
+     * @param {Object} [options.diagnostics] Severity for each kind of problem. Problems with
+     * <tt>"warning"</tt> or <tt>"ignore"</tt> severity do not throw errors. See
+     * {@linkcode MemoryMap.fromHexLenient} for the list of kinds of problems.
+     * @param {String} [options.overlap="error"] How to handle data records which overlap
+     * previous ones:
+     * <ul>
+     *  <li><tt>"error"</tt>: report <tt>duplicatedData</tt> or <tt>overlappingData</tt>
+     *  problems, and drop the overlapping records.</li>
+     *  <li><tt>"first-wins"</tt>: keep the data of the first record for each address.</li>
+     *  <li><tt>"last-wins"</tt>: keep the data of the last record for each address.</li>
+     *  <li><tt>"allow-if-identical"</tt>: allow overlaps only if the data is the same,
+     *  reporting <tt>overlappingData</tt> problems otherwise (and keeping the data of
+     *  the first record).</li>
+     * </ul>
+     * With the <tt>"first-wins"</tt> and <tt>"last-wins"</tt> policies, each address range
+     * where records disagree is reported as a <tt>conflictingData</tt> problem.
+     * @param {Boolean} [options.wrapAround=false] When <tt>true</tt>, data records whose data
+     * goes over a 0xFFFF offset are not a <tt>wrap</tt> problem, and are handled as per the
+     * specification, depending on the addressing mode in effect (i.e. on the type of
+     * the last 0x02 or 0x04 record before them):
+     * <ul>
+     *  <li>After a 0x02 record (segment addressing), the offset wraps around inside the
+     *  64KiB segment, so the rest of the data is at the start of the segment.</li>
+     *  <li>After a 0x04 record, or before any 0x02/0x04 record (linear addressing), the
+     *  data goes on into the next 64KiB.</li>
+     * </ul>
+     *
+     * @return {MemoryMap}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let intelHexString =
+     *     ":100000000102030405060708090A0B0C0D0E0F1068\n" +
+     *     ":00000001FF";
+     *
+     * let memMap = MemoryMap.fromHex(intelHexString);
+     *
+     * for (let [address, dataBlock] of memMap) {
+     *     console.log('Data block at ', address, ', bytes: ', dataBlock);
+     * }
+     */
+    static fromHex(hexText, maxBlockSize = Infinity, options = {}) {
+        return new HexParser(maxBlockSize, Object.assign({}, options, { lenient: false })).end(hexText);
+    }
+
+
+    /**
+     * Parses a string containing data formatted in "Intel HEX" format like
+     * {@linkcode MemoryMap.fromHex} does, but does not throw an error on malformed input.
+     * Instead, it returns a best-effort {@linkcode MemoryMap} together with a list of
+     * diagnostics describing the problems found.
+     *<br/>
+     * When a record is not valid, it is skipped and parsing resumes at the next record
+     * mark (<tt>:</tt>). Each kind of problem has a severity of <tt>"error"</tt>,
+     * <tt>"warning"</tt> or <tt>"ignore"</tt>. Records with error-level problems are
+     * skipped; records with warning- or ignore-level problems are used when possible.
+     * Ignored problems are not reported. The kinds of problems (all of them errors
+     * by default, except <tt>conflictingData</tt>) are:
+     * <ul>
+     *  <li><tt>malformed</tt>: characters that are not part of any record</li>
+     *  <li><tt>recordLength</tt>: a record length that does not match the record's data</li>
+     *  <li><tt>checksum</tt>: a wrong record checksum</li>
+     *  <li><tt>duplicatedData</tt>: a data record starting at the same address as a previous one</li>
+     *  <li><tt>overlappingData</tt>: data records overlapping each other (the latter record is dropped)</li>
+     *  <li><tt>conflictingData</tt>: (a warning by default) overlapping data records with different
+     *  data, when the <tt>overlap</tt> option allows them</li>
+     *  <li><tt>wrap</tt>: a data record which wraps over 0xFFFF</li>
+     *  <li><tt>recordOffset</tt>: a non-data record with a data offset other than 0000</li>
+     *  <li><tt>startAddressLength</tt>: a 0x03 or 0x05 record without exactly 4 data bytes</li>
+     *  <li><tt>recordType</tt>: a record type not between 0x00 and 0x05</li>
+     *  <li><tt>dataAfterEOF</tt>: anything after the EOF record (which is never parsed)</li>
+     *  <li><tt>noEOF</tt>: a missing EOF record</li>
+     *  <li><tt>noRecords</tt>: no records at all</li>
+     * </ul>
+     *<br/>
+     * Each diagnostic is a plain <tt>Object</tt> with the following properties:
+     * <tt>kind</tt>, <tt>severity</tt>, <tt>message</tt> (the text of the error that
+     * {@linkcode MemoryMap.fromHex} would throw), <tt>record</tt> (the 1-based number of the
+     * offending record, or <tt>undefined</tt> for problems with the whole file) and
+     * <tt>offset</tt> (the offset of the offending characters in <tt>hexText</tt>).
+     *
+     * @param {String|Uint8Array|ArrayBuffer} hexText The contents of a .hex file.
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
+     * @param {Object} [options]
+     * @param {Object} [options.diagnostics] Severity for each kind of problem, e.g.
+     * <tt>{ checksum: 'warning', dataAfterEOF: 'ignore' }</tt>.
+     * @param {String} [options.overlap="error"] How to handle overlapping data records.
+     * See {@linkcode MemoryMap.fromHex}.
+     * @param {Boolean} [options.wrapAround=false] Whether to handle data going over 0xFFFF
+     * offsets as per the specification. See {@linkcode MemoryMap.fromHex}.
+     *
+     * @return {Object} An object with a <tt>memMap</tt> property (the {@linkcode MemoryMap})
+     * and a <tt>diagnostics</tt> property (an <tt>Array</tt> of diagnostics).
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let { memMap, diagnostics } = MemoryMap.fromHexLenient(intelHexString);
+     *
+     * for (let diagnostic of diagnostics) {
+     *     console.log(diagnostic.severity, 'at record', diagnostic.record, ':', diagnostic.message);
+     * }
+     */
+    static fromHexLenient(hexText, maxBlockSize = Infinity, options = {}) {
+        const parser = new HexParser(maxBlockSize, Object.assign({}, options, { lenient: true }));
+        const memMap = parser.end(hexText);
+        return { memMap, diagnostics: parser.diagnostics };
+    }
+
+
+    /**
+     * Returns a new {@linkcode HexParser}, an incremental parser which takes the contents
+     * of a .hex file in chunks, and builds a {@linkcode MemoryMap} as it goes.
+     *
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the <tt>Uint8Array</tt>s in
+     * the resulting {@linkcode MemoryMap}.
+     * @param {Object} [options]
+     * @param {Object} [options.diagnostics] Severity for each kind of problem. See
+     * {@linkcode MemoryMap.fromHexLenient} for the list of kinds of problems.
+     * @param {String} [options.overlap="error"] How to handle overlapping data records.
+     * See {@linkcode MemoryMap.fromHex}.
+     * @param {Boolean} [options.wrapAround=false] Whether to handle data going over 0xFFFF
+     * offsets as per the specification. See {@linkcode MemoryMap.fromHex}.
+     * @param {Boolean} [options.lenient=false] When <tt>true</tt>, problems do not throw
+     * errors, but are collected in the parser's <tt>diagnostics</tt> instead, as
+     * {@linkcode MemoryMap.fromHexLenient} does.
+     * @param {Function} [options.onProgress] Called after each chunk is parsed, with the
+     * number of characters and the number of records parsed so far as parameters.
+     *
+     * @return {HexParser}
+     */
+    static createHexParser(maxBlockSize = Infinity, options = {}) {
+        return new HexParser(maxBlockSize, options);
+    }
+
+
+    /**
+     * Reads a Node.js readable stream or a WHATWG <tt>ReadableStream</tt> with the contents
+     * of a .hex file, and returns a <tt>Promise</tt> for the resulting {@linkcode MemoryMap}.
+     *<br/>
+     * This is a shorthand for <tt>MemoryMap.createHexParser(maxBlockSize, options).readFrom(stream)</tt>.
+     *
+     * @param {stream.Readable|ReadableStream} stream
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
+     * @param {Object} [options] See {@linkcode MemoryMap.createHexParser}.
+     * @return {Promise<MemoryMap>}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     * import fs from 'fs';
+     *
+     * MemoryMap.fromHexStream(fs.createReadStream('firmware.hex')).then((memMap)=>{
+     *     console.log(memMap);
+     * });
+     */
+    static fromHexStream(stream, maxBlockSize = Infinity, options = {}) {
+        return new HexParser(maxBlockSize, options).readFrom(stream);
+    }
+
+
+    /**
+     * Parses the contents of a .hex file into an <tt>Array</tt> of records, without
+     * interpreting them. This is meant for tools which care about the structure of a .hex
+     * file rather than about the resulting bytes (e.g. linters).
+     *<br/>
+     * Each record is an <tt>Object</tt> with the following properties:
+     * <ul>
+     * <li><tt>type</tt>: The record type, as a <tt>Number</tt>.</li>
+     * <li><tt>offset</tt>: The 16-bit load offset.</li>
+     * <li><tt>length</tt>: The record length, as stated by the record itself.</li>
+     * <li><tt>data</tt>: A <tt>Uint8Array</tt> with the bytes between the load offset and
+     * the checksum. Its length might differ from <tt>length</tt>.</li>
+     * <li><tt>checksum</tt>: The checksum, as stated by the record itself.</li>
+     * <li><tt>lengthValid</tt>: Whether <tt>length</tt> matches the length of <tt>data</tt>.</li>
+     * <li><tt>checksumValid</tt>: Whether <tt>checksum</tt> is right.</li>
+     * <li><tt>line</tt>: The line number where the record is, starting at 1.</li>
+     * <li><tt>position</tt>: The position of the record mark (<tt>":"</tt>) in the input.</li>
+     * <li><tt>text</tt>: The text of the record, without the record separator.</li>
+     * <li><tt>separator</tt>: The record separator after the record (<tt>"\r\n"</tt>,
+     * <tt>"\n"</tt>, <tt>"\r"</tt> or an empty <tt>String</tt>).</li>
+     * </ul>
+     * Records are decoded the same way {@linkcode MemoryMap.fromHex} decodes them. But
+     * unlike {@linkcode MemoryMap.fromHex}, this does not throw on invalid input: records
+     * with wrong lengths or checksums are returned as they are (with <tt>lengthValid</tt>
+     * or <tt>checksumValid</tt> set to <tt>false</tt>), records after an EOF record are
+     * returned too, and anything which is not a record is skipped (it can be spotted by
+     * looking at the gaps between the <tt>position</tt>s and <tt>text</tt>s of records).
+     *
+     * @param {String|Uint8Array|ArrayBuffer} hexText The contents of a .hex file.
+     * @return {Array<Object>}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let records = MemoryMap.parseRecords(
+     *     ":100000000102030405060708090A0B0C0D0E0F1068\n" +
+     *     ":00000001FF"
+     * );
+     *
+     * for (let record of records) {
+     *     console.log('Record of type ', record.type, ' at line ', record.line);
+     * }
+     */
+    static parseRecords(hexText) {
+        const chars = toCharCodes(hexText);
+        if (!chars) {
+            throw new Error('Contents of a .hex file must be a String, an Uint8Array or an ArrayBuffer');
+        }
+
+        const records = [];
+        let line = 1;
+        let lastCharacterParsed = 0;
+        let found;
+        while ((found = findRecord(chars, lastCharacterParsed))) {
+            const [recordStart, hexEnd, recordEnd] = found;
+
+            // Count the line breaks in whatever is between records
+            for (let i = lastCharacterParsed; i < recordStart; i++) {
+                if (chars[i] === 0x0A || (chars[i] === 0x0D && chars[i + 1] !== 0x0A)) {
+                    line++;
+                }
+            }
+
+            const record = decodeRecord(chars, recordStart, hexEnd);
+            record.line = line;
+            record.position = recordStart;
+            record.text = charCodesToString(chars.subarray(recordStart, hexEnd));
+            record.separator = charCodesToString(chars.subarray(hexEnd, recordEnd));
+            records.push(record);
+
+            if (recordEnd !== hexEnd) {
+                line++;
+            }
+            lastCharacterParsed = recordEnd;
+        }
+
+        return records;
+    }
+
+
+    /**
+     * Serializes an <tt>Array</tt> (or any iterable) of records back into the contents
+     * of a .hex file. This is the counterpart of {@linkcode MemoryMap.parseRecords}, and
+     * serializes records the same way {@linkcode MemoryMap#asHexString} does.
+     *<br/>
+     * Only the <tt>type</tt>, <tt>offset</tt>, <tt>data</tt>, <tt>length</tt>,
+     * <tt>checksum</tt> and <tt>separator</tt> properties of the records are used.
+     * If <tt>length</tt> or <tt>checksum</tt> are <tt>undefined</tt>, the right values
+     * are calculated (so, when changing the data of a parsed record, delete its
+     * <tt>checksum</tt> and <tt>length</tt>). If <tt>separator</tt> is <tt>undefined</tt>,
+     * records are separated by <tt>"\n"</tt>, and there is no separator after the last one.
+     *<br/>
+     * Serializing the output of {@linkcode MemoryMap.parseRecords} gives back the
+     * original .hex file, as long as it contains nothing but records and all its hex
+     * digits are uppercase.
+     *
+     * @param {Iterable<Object>} records
+     * @return {String}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let string = MemoryMap.serializeRecords([
+     *     { type: 0, offset: 0x0100, data: new Uint8Array([1, 2, 3, 4]) },
+     *     { type: 1 }
+     * ]);
+     * // ":0401000001020304F1\n:00000001FF"
+     */
+    static serializeRecords(records) {
+        records = Array.from(records);
+        const lines = new Array(records.length);
+        for (let i = 0, l = records.length; i < l; i++) {
+            const separator = records[i].separator;
+            lines[i] = serializeRecord(records[i]) +
+                (separator === undefined ? (i === l - 1 ? '' : '\n') : separator);
+        }
+        return lines.join('');
+    }
+
+
+    /**
+     * Parses a string containing data formatted in the Motorola S-record format (also known
+     * as SREC, S19, S28 or S37) into a {@linkcode MemoryMap}, the same way
+     * {@linkcode MemoryMap.fromHex} does with .hex files.
+     *<br/>
+     * An error is thrown on malformed records, wrong lengths or checksums, overlapping
+     * data (depending on the <tt>overlap</tt> option), S5/S6 record counts which do not
+     * match the number of data records, and missing or misplaced termination (S7, S8
+     * or S9) records. Error messages include the line number of the offending record.
+     *<br/>
+     * The start address of the termination record is stored in the <tt>startLinearAddress</tt>
+     * property of the returned {@linkcode MemoryMap}, and the text of the S0 record (if any)
+     * is stored in its <tt>header</tt> property.
+     *
+     * @param {String|Uint8Array|ArrayBuffer} text The contents of an S-record file.
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
+     * @param {Object} [options]
+     * @param {String} [options.overlap="error"] How to handle overlapping data records.
+     * See {@linkcode MemoryMap.fromHex}.
+     *
+     * @return {MemoryMap}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromSRecord(
+     *     "S00600004844521B\n" +
+     *     "S107000001020304EE\n" +
+     *     "S9030000FC"
+     * );
+     */
+    static fromSRecord(text, maxBlockSize = Infinity, options = {}) {
+        const chars = toCharCodes(text);
+        if (!chars) {
+            throw new Error('Contents of an S-record file must be a String, an Uint8Array or an ArrayBuffer');
+        }
+        const overlap = overlapPolicy(options);
+        const blocks = new BlockBuilder();
+        const lines = charCodesToString(chars).split(/\r\n|\r|\n/);
+        let header;
+        let startAddress;
+        let recordCount = 0;
+        let dataRecordCount = 0;
+        let terminated = false;
+
+        for (let i = 0, l = lines.length; i < l; i++) {
+            const line = lines[i].trim();
+            const lineNumber = i + 1;
+            if (!line) {
+                continue;   // Allow for empty lines
+            }
+            if (terminated) {
+                throw new Error('There is data after a termination record at line ' + lineNumber);
+            }
+
+            const match = /^S([0-9])((?:[0-9A-Fa-f]{2}){2,})$/.exec(line);
+            if (!match) {
+                throw new Error('Malformed S-record at line ' + lineNumber + ' (' + line.substring(0, 16).trim() + ')');
+            }
+            recordCount++;
+            const type = Number(match[1]);
+            const bytes = hexStringToBytes(match[2]);
+
+            if (bytes[0] !== bytes.length - 1) {
+                throw new Error('Mismatched record length at line ' + lineNumber + ' (' + line + '), expected ' + bytes[0] + ' bytes but actual length is ' + (bytes.length - 1));
+            }
+
+            let sum = 0;
+            for (let j = 0; j < bytes.length - 1; j++) {
+                sum += bytes[j];
+            }
+            const cs = ~sum & 0xFF;
+            if (bytes[bytes.length - 1] !== cs) {
+                throw new Error('Checksum failed at line ' + lineNumber + ' (' + line + '), should be ' + cs.toString(16));
+            }
+
+            const addressSize = sRecordAddressSizes[type];
+            if (addressSize === undefined) {
+                throw new Error('Invalid record type S' + type + ' at line ' + lineNumber);
+            }
+            if (bytes.length - 2 < addressSize) {
+                throw new Error('Record at line ' + lineNumber + ' (' + line + ') is too short for an S' + type + ' record');
+            }
+            let address = 0;
+            for (let j = 1; j <= addressSize; j++) {
+                address = address * 0x100 + bytes[j];
+            }
+            const data = bytes.subarray(1 + addressSize, bytes.length - 1);
+
+            switch (type) {
+            case 0: // Header
+                header = charCodesToString(data);
+                break;
+
+            case 1: // Data, with 16-, 24- or 32-bit addresses
+            case 2:
+            case 3:
+                dataRecordCount++;
+                addLineData(blocks, address, data, overlap, 'line ' + lineNumber + ' (' + line + ')');
+                break;
+
+            case 5: // Count of data records, 16- or 24-bit
+            case 6:
+                if (address !== dataRecordCount) {
+                    throw new Error('Record count at line ' + lineNumber + ' is ' + address + ', but there are ' + dataRecordCount + ' data records before it');
+                }
+                break;
+
+            default: // Termination, with a 32-, 24- or 16-bit start address
+                startAddress = address;
+                terminated = true;
+            }
+        }
+
+        if (!recordCount) {
+            throw new Error('Malformed S-record file, could not parse any records');
+        }
+        if (!terminated) {
+            throw new Error('No termination record (S7, S8 or S9) at end of file');
+        }
+
+        const memMap = blocks.toMemoryMap(maxBlockSize);
+        memMap.startLinearAddress = startAddress;
+        memMap.header = header;
+        return memMap;
+    }
+
+
+    /**
+     * Parses a string containing data formatted in the TI-TXT format (as used to program
+     * MSP430 and some CC-series devices) into a {@linkcode MemoryMap}.
+     *<br/>
+     * A TI-TXT file consists of sections, each of them starting with an <tt>@ADDR</tt> line
+     * (where <tt>ADDR</tt> is the address in hexadecimal) followed by lines of
+     * space-separated hex bytes, and ends with a line containing <tt>q</tt>.
+     *<br/>
+     * An error is thrown on malformed lines, data before the first <tt>@ADDR</tt> line,
+     * overlapping data (depending on the <tt>overlap</tt> option), and a missing or
+     * misplaced <tt>q</tt>. Error messages include the line number.
+     *
+     * @param {String|Uint8Array|ArrayBuffer} text The contents of a TI-TXT file.
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
+     * @param {Object} [options]
+     * @param {String} [options.overlap="error"] How to handle overlapping data.
+     * See {@linkcode MemoryMap.fromHex}.
+     *
+     * @return {MemoryMap}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromTiTxt(
+     *     "@F000\n" +
+     *     "31 40 00 03 B2 40 80 5A\n" +
+     *     "@FFFE\n" +
+     *     "00 F0\n" +
+     *     "q\n"
+     * );
+     */
+    static fromTiTxt(text, maxBlockSize = Infinity, options = {}) {
+        const chars = toCharCodes(text);
+        if (!chars) {
+            throw new Error('Contents of a TI-TXT file must be a String, an Uint8Array or an ArrayBuffer');
+        }
+        const overlap = overlapPolicy(options);
+        const blocks = new BlockBuilder();
+        const lines = charCodesToString(chars).split(/\r\n|\r|\n/);
+        let address;
+        let ended = false;
+
+        for (let i = 0, l = lines.length; i < l; i++) {
+            const line = lines[i].trim();
+            const lineNumber = i + 1;
+            if (!line) {
+                continue;   // Allow for empty lines
+            }
+            if (ended) {
+                throw new Error('There is data after the end of file ("q") at line ' + lineNumber);
+            }
+
+            if (line === 'q' || line === 'Q') {
+                ended = true;
+            } else if (line[0] === '@') {
+                if (!/^@[0-9A-Fa-f]{1,8}$/.test(line)) {
+                    throw new Error('Malformed address at line ' + lineNumber + ' (' + line + ')');
+                }
+                address = parseInt(line.substring(1), 16);
+            } else {
+                const tokens = line.split(/\s+/);
+                const data = new Uint8Array(tokens.length);
+                for (let j = 0; j < tokens.length; j++) {
+                    if (!/^[0-9A-Fa-f]{2}$/.test(tokens[j])) {
+                        throw new Error('Malformed data at line ' + lineNumber + ' (' + tokens[j] + ')');
+                    }
+                    data[j] = parseInt(tokens[j], 16);
+                }
+                if (address === undefined) {
+                    throw new Error('Data before any address at line ' + lineNumber);
+                }
+                if (address + data.length > 0x100000000) {
+                    throw new Error('Data cannot be over 0xFFFFFFFF, at line ' + lineNumber);
+                }
+                addLineData(blocks, address, data, overlap, 'line ' + lineNumber + ' (' + line + ')');
+                address += data.length;
+            }
+        }
+
+        if (!ended) {
+            throw new Error('No end of file ("q") at end of file');
+        }
+
+        return blocks.toMemoryMap(maxBlockSize);
+    }
+
+
+    /**
+     * Parses a Verilog memory initialization file (as read by <tt>$readmemh</tt> or
+     * <tt>$readmemb</tt>) into a {@linkcode MemoryMap}.
+     *<br/>
+     * Such a file is a list of words, separated by whitespace, in hexadecimal or binary.
+     * An <tt>@ADDR</tt> directive (where <tt>ADDR</tt> is in hexadecimal) sets the index of
+     * the next word. Comments (<tt>//</tt> and <tt>/* *&#47;</tt>) and underscores in words
+     * are ignored. Unknown (<tt>x</tt>) and high-impedance (<tt>z</tt>) bits are not supported.
+     *<br/>
+     * Each word is stored as <tt>wordSize</tt> bytes in the given endianness, at
+     * <tt>baseAddress</tt> plus its index times <tt>wordSize</tt>.
+     *
+     * @param {String|Uint8Array|ArrayBuffer} text The contents of the file.
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
+     * @param {Object} [options]
+     * @param {Number} [options.radix=16] 16 for <tt>$readmemh</tt> files, 2 for <tt>$readmemb</tt> ones.
+     * @param {Number} [options.wordSize=1] Size of the words, in bytes: 1, 2 or 4.
+     * @param {String} [options.endianness="little"] Order of the bytes of each word:
+     * <tt>"little"</tt> or <tt>"big"</tt>.
+     * @param {Number} [options.baseAddress=0] The address of the first word.
+     * @param {String} [options.overlap="error"] How to handle words written more than once.
+     * See {@linkcode MemoryMap.fromHex}.
+     *
+     * @return {MemoryMap}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromReadmem(
+     *     "@0\n" +
+     *     "04030201\n" +
+     *     "08070605\n",
+     *     Infinity, { wordSize: 4, baseAddress: 0x10000000 }
+     * );
+     */
+    static fromReadmem(text, maxBlockSize = Infinity, options = {}) {
+        const chars = toCharCodes(text);
+        if (!chars) {
+            throw new Error('Contents of a memory initialization file must be a String, an Uint8Array or an ArrayBuffer');
+        }
+        const radix = hdlRadix(options);
+        const wordSize = options.wordSize === undefined ? 1 : options.wordSize;
+        const { littleEndian, base } = hdlReadOptions(options, wordSize);
+        const overlap = overlapPolicy(options);
+        const blocks = new BlockBuilder();
+
+        // Blank out block comments, keeping line breaks so line numbers stay right
+        const lines = charCodesToString(chars)
+            .replace(/\/\*[\s\S]*?\*\//g, (comment)=>comment.replace(/[^\r\n]/g, ' '))
+            .split(/\r\n|\r|\n/);
+        let index = 0;
+
+        for (let i = 0, l = lines.length; i < l; i++) {
+            const location = 'line ' + (i + 1);
+            const tokens = lines[i].replace(/\/\/.*/, '').trim().split(/\s+/);
+            let words = [];
+            let wordsIndex = index;
+            for (const token of tokens) {
+                if (!token) {
+                    continue;
+                }
+                if (token[0] === '@') {
+                    if (!/^@[0-9A-Fa-f]{1,8}$/.test(token)) {
+                        throw new Error('Malformed address at ' + location + ' (' + token + ')');
+                    }
+                    if (words.length) {
+                        addHdlWords(blocks, base, wordsIndex, words, wordSize, littleEndian, overlap, location);
+                    }
+                    index = wordsIndex = parseInt(token.substring(1), 16);
+                    words = [];
+                } else {
+                    words.push(hdlValue(token, radix, wordSize, location));
+                    index++;
+                }
+            }
+            if (words.length) {
+                addHdlWords(blocks, base, wordsIndex, words, wordSize, littleEndian, overlap, location);
+            }
+        }
+
+        return blocks.toMemoryMap(maxBlockSize);
+    }
+
+    /**
+     * Parses a Xilinx coefficient (<tt>.coe</tt>) file into a {@linkcode MemoryMap}.
+     *<br/>
+     * A COE file sets a <tt>memory_initialization_radix</tt> (2, 10 or 16) and a
+     * <tt>memory_initialization_vector</tt> with the words, separated by commas or
+     * whitespace. Lines starting with <tt>;</tt> are comments. The size of the words is
+     * not in the file, so it must be given.
+     *<br/>
+     * Each word is stored as <tt>wordSize</tt> bytes in the given endianness, at
+     * <tt>baseAddress</tt> plus its index times <tt>wordSize</tt>.
+     *
+     * @param {String|Uint8Array|ArrayBuffer} text The contents of the file.
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
+     * @param {Object} [options]
+     * @param {Number} [options.wordSize=1] Size of the words, in bytes: 1, 2 or 4.
+     * @param {String} [options.endianness="little"] Order of the bytes of each word:
+     * <tt>"little"</tt> or <tt>"big"</tt>.
+     * @param {Number} [options.baseAddress=0] The address of the first word.
+     *
+     * @return {MemoryMap}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromCoe(
+     *     "memory_initialization_radix=16;\n" +
+     *     "memory_initialization_vector=\n" +
+     *     "0201,\n" +
+     *     "0403;\n",
+     *     Infinity, { wordSize: 2 }
+     * );
+     */
+    static fromCoe(text, maxBlockSize = Infinity, options = {}) {
+        const chars = toCharCodes(text);
+        if (!chars) {
+            throw new Error('Contents of a COE file must be a String, an Uint8Array or an ArrayBuffer');
+        }
+        const wordSize = options.wordSize === undefined ? 1 : options.wordSize;
+        const { littleEndian, base } = hdlReadOptions(options, wordSize);
+        const blocks = new BlockBuilder();
+
+        const statements = charCodesToString(chars)
+            .split(/\r\n|\r|\n/)
+            .filter((line)=>line.trim()[0] !== ';')
+            .join('\n');
+        const radixMatch = statements.match(/memory_initialization_radix\s*=\s*(\w+)\s*;/i);
+        const vectorMatch = statements.match(/memory_initialization_vector\s*=([^;]*);/i);
+        if (!radixMatch) {
+            throw new Error('No memory_initialization_radix in COE file');
+        }
+        if (!vectorMatch) {
+            throw new Error('No memory_initialization_vector in COE file');
+        }
+        const radix = Number(radixMatch[1]);
+        if (radix !== 2 && radix !== 10 && radix !== 16) {
+            throw new Error('Unsupported memory_initialization_radix ' + radixMatch[1] + ' in COE file, must be 2, 10 or 16');
+        }
+
+        const tokens = vectorMatch[1].split(/[\s,]+/).filter((token)=>token);
+        const words = tokens.map((token, i)=>hdlValue(token, radix, wordSize, 'word ' + i));
+        if (words.length) {
+            addHdlWords(blocks, base, 0, words, wordSize, littleEndian, 'error', 'word 0');
+        }
+
+        return blocks.toMemoryMap(maxBlockSize);
+    }
+
+    /**
+     * Parses an Intel (Altera) memory initialization (<tt>.mif</tt>) file into a
+     * {@linkcode MemoryMap}.
+     *<br/>
+     * A MIF file sets the <tt>WIDTH</tt> of the words (8, 16 or 32 bits are supported),
+     * the <tt>DEPTH</tt> of the memory, and the <tt>ADDRESS_RADIX</tt> and
+     * <tt>DATA_RADIX</tt> (<tt>HEX</tt>, <tt>BIN</tt>, <tt>OCT</tt>, <tt>DEC</tt> or
+     * <tt>UNS</tt>), followed by <tt>CONTENT BEGIN</tt>, entries such as
+     * <tt>addr : word;</tt>, <tt>addr : word word ...;</tt> or <tt>[first..last] : word;</tt>,
+     * and <tt>END;</tt>. Comments (<tt>--</tt> and <tt>% %</tt>) are ignored.
+     *<br/>
+     * Each word is stored as <tt>WIDTH</tt> bits in the given endianness, at
+     * <tt>baseAddress</tt> plus its address times the size of the words.
+     *
+     * @param {String|Uint8Array|ArrayBuffer} text The contents of the file.
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
+     * @param {Object} [options]
+     * @param {String} [options.endianness="little"] Order of the bytes of each word:
+     * <tt>"little"</tt> or <tt>"big"</tt>.
+     * @param {Number} [options.baseAddress=0] The address of the first word.
+     * @param {String} [options.overlap="error"] How to handle words written more than once.
+     * See {@linkcode MemoryMap.fromHex}.
+     *
+     * @return {MemoryMap}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromMif(
+     *     "WIDTH=16;\n" +
+     *     "DEPTH=4;\n" +
+     *     "ADDRESS_RADIX=HEX;\n" +
+     *     "DATA_RADIX=HEX;\n" +
+     *     "CONTENT BEGIN\n" +
+     *     "    0 : 0201;\n" +
+     *     "    [1..3] : FFFF;\n" +
+     *     "END;\n"
+     * );
+     */
+    static fromMif(text, maxBlockSize = Infinity, options = {}) {
+        const chars = toCharCodes(text);
+        if (!chars) {
+            throw new Error('Contents of a MIF file must be a String, an Uint8Array or an ArrayBuffer');
+        }
+        const overlap = overlapPolicy(options);
+        const blocks = new BlockBuilder();
+        const radices = { HEX: 16, BIN: 2, OCT: 8, DEC: 10, UNS: 10 };
+
+        const mif = charCodesToString(chars).replace(/--.*|%[^%]*%/g, ' ');
+        const contentMatch = mif.match(/^([\s\S]*?)\bCONTENT\s+BEGIN\b([\s\S]*?)\bEND\s*;/i);
+        if (!contentMatch) {
+            throw new Error('No CONTENT BEGIN ... END; in MIF file');
+        }
+        const settings = {};
+        for (const statement of contentMatch[1].split(';')) {
+            const match = statement.match(/^\s*(\w+)\s*=\s*(\w+)\s*$/);
+            if (match) {
+                settings[match[1].toUpperCase()] = match[2].toUpperCase();
+            } else if (statement.trim()) {
+                throw new Error('Malformed MIF setting (' + statement.trim() + ')');
+            }
+        }
+
+        const width = Number(settings.WIDTH);
+        if (width !== 8 && width !== 16 && width !== 32) {
+            throw new Error('Unsupported WIDTH ' + settings.WIDTH + ' in MIF file, must be 8, 16 or 32');
+        }
+        const depth = Number(settings.DEPTH);
+        if (!Number.isInteger(depth) || depth <= 0) {
+            throw new Error('Malformed DEPTH ' + settings.DEPTH + ' in MIF file');
+        }
+        const addressRadix = radices[settings.ADDRESS_RADIX || 'HEX'];
+        const dataRadix = radices[settings.DATA_RADIX || 'HEX'];
+        if (!addressRadix || !dataRadix) {
+            throw new Error('Unsupported radix in MIF file, must be HEX, BIN, OCT, DEC or UNS');
+        }
+        const wordSize = width / 8;
+        const { littleEndian, base } = hdlReadOptions(options, wordSize);
+
+        for (const entry of contentMatch[2].split(';')) {
+            if (!entry.trim()) {
+                continue;
+            }
+            const location = 'entry "' + entry.trim() + '"';
+            const match = entry.match(/^\s*(?:\[\s*(\w+)\s*\.\.\s*(\w+)\s*\]|(\w+))\s*:\s*(.*?)\s*$/);
+            if (!match || !match[4]) {
+                throw new Error('Malformed MIF ' + location);
+            }
+            const first = hdlValue(match[1] || match[3], addressRadix, 4, location);
+            const last = match[1] ? hdlValue(match[2], addressRadix, 4, location) : undefined;
+            const values = match[4].split(/\s+/).map((token)=>hdlValue(token, dataRadix, wordSize, location));
+
+            // A range repeats its values until its last address
+            const words = last === undefined ? values : new Array(last - first + 1);
+            for (let i = 0; last !== undefined && i < words.length; i++) {
+                words[i] = values[i % values.length];
+            }
+            if (!words.length || first + words.length > depth) {
+                throw new Error('Addresses of MIF ' + location + ' are out of the DEPTH of ' + depth);
+            }
+            addHdlWords(blocks, base, first, words, wordSize, littleEndian, overlap, location);
+        }
+
+        return blocks.toMemoryMap(maxBlockSize);
+    }
+
+
+    /**
+     * Parses the contents of an ELF (ELF32 or ELF64, little or big endian) file, and returns
+     * its header, program headers, section headers and symbol table. This does not build
+     * a {@linkcode MemoryMap}: see {@linkcode MemoryMap.fromElf} for that.
+     *<br/>
+     * The returned object has the following properties:
+     * <ul>
+     *  <li><tt>bits</tt>: either <tt>32</tt> or <tt>64</tt></li>
+     *  <li><tt>littleEndian</tt>: <tt>true</tt> or <tt>false</tt></li>
+     *  <li><tt>type</tt>, <tt>machine</tt> and <tt>flags</tt>: the values of the
+     *      <tt>e_type</tt>, <tt>e_machine</tt> and <tt>e_flags</tt> fields of the ELF header</li>
+     *  <li><tt>entry</tt>: the entry point</li>
+     *  <li><tt>segments</tt>: an <tt>Array</tt> of program headers, as objects with
+     *      <tt>type</tt>, <tt>flags</tt>, <tt>offset</tt>, <tt>virtualAddress</tt>,
+     *      <tt>physicalAddress</tt>, <tt>fileSize</tt>, <tt>memorySize</tt> and <tt>align</tt></li>
+     *  <li><tt>sections</tt>: an <tt>Array</tt> of section headers, as objects with
+     *      <tt>name</tt> (a <tt>String</tt>), <tt>type</tt>, <tt>flags</tt>, <tt>address</tt>,
+     *      <tt>offset</tt>, <tt>size</tt>, <tt>link</tt>, <tt>info</tt>, <tt>addressAlign</tt>
+     *      and <tt>entrySize</tt></li>
+     *  <li><tt>symbols</tt>: an <tt>Array</tt> with the entries of the symbol table (the
+     *      <tt>SHT_SYMTAB</tt> section, if any), as objects with <tt>name</tt>, <tt>value</tt>,
+     *      <tt>size</tt>, <tt>type</tt>, <tt>binding</tt>, <tt>visibility</tt>,
+     *      <tt>sectionIndex</tt> and <tt>section</tt> (the name of the section, if any)</li>
+     * </ul>
+     * The indices of <tt>segments</tt>, <tt>sections</tt> and <tt>symbols</tt> are the
+     * same as in the ELF file, so the first (null) section and symbol are included.
+     *<br/>
+     * 64-bit values are returned as <tt>Number</tt>s, so an error is thrown for
+     * values of 2^53 or more.
+     *
+     * @param {Uint8Array|ArrayBuffer} data The contents of an ELF file.
+     *
+     * @return {Object}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let elf = MemoryMap.parseElf(elfFileContents);
+     * let main = elf.symbols.find((symbol)=>symbol.name === 'main');
+     */
+    static parseElf(data) {
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+        if (!(bytes instanceof Uint8Array)) {
+            throw new Error('Contents of an ELF file must be an Uint8Array or an ArrayBuffer');
+        }
+        if (bytes.length < 16 || bytes[0] !== 0x7F || bytes[1] !== 0x45 || bytes[2] !== 0x4C || bytes[3] !== 0x46) {
+            throw new Error('Not an ELF file (bad magic number)');
+        }
+        if (bytes[4] !== 1 && bytes[4] !== 2) {
+            throw new Error('Unsupported ELF class ' + bytes[4] + ' (should be 1 for ELF32 or 2 for ELF64)');
+        }
+        if (bytes[5] !== 1 && bytes[5] !== 2) {
+            throw new Error('Unsupported ELF data encoding ' + bytes[5] + ' (should be 1 for little endian or 2 for big endian)');
+        }
+        const bits = bytes[4] === 1 ? 32 : 64;
+        const littleEndian = bytes[5] === 1;
+        const layout = elfLayouts[bits];
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const header = elfStruct(view, 0, layout.header, littleEndian);
+
+        const segments = [];
+        for (let i = 0; i < header.phnum; i++) {
+            const segment = elfStruct(view, header.phoff + i * header.phentsize, layout.segment, littleEndian);
+            if (segment.type === 1 && segment.offset + segment.fileSize > bytes.length) {
+                throw new Error('ELF file is truncated, segment ' + i + ' goes past the end of the file');
+            }
+            segments.push(segment);
+        }
+
+        // When there are too many sections, their number and the index of the string
+        // table are stored in the first section header instead.
+        let shnum = header.shnum;
+        let shstrndx = header.shstrndx;
+        if (header.shoff && (!shnum || shstrndx === 0xFFFF)) {
+            const first = elfStruct(view, header.shoff, layout.section, littleEndian);
+            shnum = shnum || first.size;
+            shstrndx = shstrndx === 0xFFFF ? first.link : shstrndx;
+        }
+
+        const sections = [];
+        for (let i = 0; header.shoff && i < shnum; i++) {
+            sections.push(elfStruct(view, header.shoff + i * header.shentsize, layout.section, littleEndian));
+        }
+        const sectionNames = sections[shstrndx];
+        for (const section of sections) {
+            section.name = sectionNames ? elfString(bytes, sectionNames.offset + section.name) : '';
+        }
+
+        const symbols = [];
+        const symbolTable = sections.find((section)=>section.type === 2);   // SHT_SYMTAB
+        if (symbolTable) {
+            const symbolNames = sections[symbolTable.link];
+            const symbolSize = symbolTable.entrySize || layout.symbolSize;
+            for (let offset = 0; offset + symbolSize <= symbolTable.size; offset += symbolSize) {
+                const symbol = elfStruct(view, symbolTable.offset + offset, layout.symbol, littleEndian);
+                const section = symbol.sectionIndex && symbol.sectionIndex < 0xFF00 ? sections[symbol.sectionIndex] : undefined;
+                symbols.push({
+                    name: symbolNames ? elfString(bytes, symbolNames.offset + symbol.name) : '',
+                    value: symbol.value,
+                    size: symbol.size,
+                    type: symbol.info & 0x0F,
+                    binding: symbol.info >> 4,
+                    visibility: symbol.other & 0x03,
+                    sectionIndex: symbol.sectionIndex,
+                    section: section ? section.name : undefined,
+                });
+            }
+        }
+
+        return {
+            bits,
+            littleEndian,
+            type: header.type,
+            machine: header.machine,
+            flags: header.flags,
+            entry: header.entry,
+            segments,
+            sections,
+            symbols,
+        };
+    }
+
+    /**
+     * Builds a {@linkcode MemoryMap} from the contents of an ELF (ELF32 or ELF64, little
+     * or big endian) file, in the same way as <tt>objcopy -O ihex</tt> would.
+     *<br/>
+     * Only the loadable segments (<tt>PT_LOAD</tt> program headers) are taken into account,
+     * and only the part of them which is in the file (i.e. <tt>.bss</tt>-like data is
+     * not). Segments are placed at their physical addresses (LMA) by default.
+     *<br/>
+     * The entry point is stored in the <tt>startLinearAddress</tt> property of the
+     * returned {@linkcode MemoryMap}, if it is not over 0xFFFFFFFF. Use
+     * {@linkcode MemoryMap.parseElf} to get the section headers and the symbol table.
+     *
+     * @param {Uint8Array|ArrayBuffer} data The contents of an ELF file.
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
+     * @param {Object} [options]
+     * @param {String} [options.addresses="physical"] Which addresses of the segments to use:
+     * <tt>"physical"</tt> (LMA) or <tt>"virtual"</tt> (VMA).
+     *
+     * @return {MemoryMap}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromElf(elfFileContents);
+     * let intelHexString = memMap.asHexString();
+     */
+    static fromElf(data, maxBlockSize = Infinity, options = {}) {
+        const addresses = options.addresses === undefined ? 'physical' : options.addresses;
+        if (addresses !== 'physical' && addresses !== 'virtual') {
+            throw new Error('Addresses must be "physical" or "virtual"');
+        }
+
+        const elf = MemoryMap.parseElf(data);
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+        const blocks = new BlockBuilder();
+
+        elf.segments.forEach((segment, i)=>{
+            if (segment.type !== 1) {
+                return; // Not PT_LOAD
+            }
+            const address = addresses === 'physical' ? segment.physicalAddress : segment.virtualAddress;
+            const found = blocks.findOverlap(address, segment.fileSize);
+            if (found) {
+                throw new Error('Segment ' + i + ' overlaps with a previous segment around address 0x' + found.address.toString(16));
+            }
+            // Add segments in chunks, so that toMemoryMap() can split them into blocks
+            const end = segment.offset + segment.fileSize;
+            const chunkSize = Math.min(maxBlockSize, segment.fileSize);
+            for (let offset = segment.offset; offset < end; offset += chunkSize) {
+                blocks.add(address + offset - segment.offset, bytes.subarray(offset, Math.min(offset + chunkSize, end)));
+            }
+        });
+
+        const memMap = blocks.toMemoryMap(maxBlockSize);
+        if (elf.entry <= 0xFFFFFFFF) {
+            memMap.startLinearAddress = elf.entry;
+        }
+        return memMap;
+    }
+
+
+    /**
+     * Parses the contents of a UF2 file into a {@linkcode MemoryMap}.
+     *<br/>
+     * UF2 files are made of 512-byte blocks, each of them with some magic numbers, a
+     * target address, a payload of up to 476 bytes, its block number and the total
+     * number of blocks, and (optionally) a family ID identifying the target device.
+     * See {@link https://github.com/microsoft/uf2}.
+     *<br/>
+     * An error is thrown on bad magic numbers, payloads over 476 bytes, overlapping data,
+     * and blocks which are missing or out of order (block numbers are checked separately
+     * for each family ID, as UF2 files may contain data for several families).
+     * Blocks flagged as "not main flash" or as file containers are skipped.
+     *<br/>
+     * The family ID of the blocks (if any) is stored in the <tt>familyId</tt> property of the
+     * returned {@linkcode MemoryMap}. If the file contains blocks for several families,
+     * one of them must be chosen with the <tt>familyId</tt> option.
+     *
+     * @param {Uint8Array|ArrayBuffer} data The contents of a UF2 file.
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the returned <tt>Uint8Array</tt>s.
+     * @param {Object} [options]
+     * @param {Number|String} [options.familyId] Only take into account the blocks with this
+     * family ID. Either a <tt>Number</tt> or one of <tt>"NRF52"</tt>, <tt>"NRF52833"</tt>
+     * or <tt>"NRF52840"</tt>.
+     *
+     * @return {MemoryMap}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromUf2(uf2FileContents);
+     * console.log(memMap.familyId.toString(16));  // e.g. "ada52840"
+     */
+    static fromUf2(data, maxBlockSize = Infinity, options = {}) {
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+        if (!(bytes instanceof Uint8Array)) {
+            throw new Error('Contents of a UF2 file must be an Uint8Array or an ArrayBuffer');
+        }
+        if (bytes.length % 512) {
+            throw new Error('Size of a UF2 file must be a multiple of 512 bytes');
+        }
+        const wantedFamilyId = options.familyId === undefined ? undefined : uf2FamilyId(options.familyId);
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const blocks = new BlockBuilder();
+        const familyIds = [];
+        // Number of blocks seen and total number of blocks, by family ID
+        const numbering = new Map();
+
+        for (let i = 0, l = bytes.length / 512; i < l; i++) {
+            const offset = i * 512;
+            if (view.getUint32(offset, true) !== uf2MagicStart0 ||
+                view.getUint32(offset + 4, true) !== uf2MagicStart1 ||
+                view.getUint32(offset + 508, true) !== uf2MagicEnd) {
+                throw new Error('Bad magic numbers in UF2 block ' + i);
+            }
+            const flags = view.getUint32(offset + 8, true);
+            const address = view.getUint32(offset + 12, true);
+            const payloadSize = view.getUint32(offset + 16, true);
+            const blockNo = view.getUint32(offset + 20, true);
+            const numBlocks = view.getUint32(offset + 24, true);
+            const familyId = flags & uf2FlagFamilyIdPresent ? view.getUint32(offset + 28, true) : undefined;
+
+            if (payloadSize > uf2MaxPayloadSize) {
+                throw new Error('Payload size of UF2 block ' + i + ' is ' + payloadSize + ' bytes, over the maximum of ' + uf2MaxPayloadSize);
+            }
+
+            const seen = numbering.get(familyId) || { count: 0, numBlocks };
+            numbering.set(familyId, seen);
+            if (numBlocks !== seen.numBlocks) {
+                throw new Error('UF2 block ' + i + ' says there are ' + numBlocks + ' blocks, but previous blocks said ' + seen.numBlocks);
+            }
+            if (blockNo !== seen.count) {
+                throw new Error('UF2 block ' + i + ' has block number ' + blockNo + ', expected ' + seen.count);
+            }
+            seen.count++;
+
+            if (flags & (uf2FlagNotMainFlash | uf2FlagFileContainer)) {
+                continue;
+            }
+            if (wantedFamilyId !== undefined && familyId !== wantedFamilyId) {
+                continue;
+            }
+            if (familyIds.indexOf(familyId) === -1) {
+                familyIds.push(familyId);
+            }
+
+            const found = blocks.findOverlap(address, payloadSize);
+            if (found) {
+                throw new Error('Overlapping data in UF2 block ' + i + ' around address 0x' + found.address.toString(16));
+            }
+            blocks.add(address, bytes.subarray(offset + 32, offset + 32 + payloadSize));
+        }
+
+        for (const [familyId, seen] of numbering) {
+            if (seen.count !== seen.numBlocks) {
+                throw new Error('UF2 file is missing blocks' +
+                    (familyId === undefined ? '' : ' for family ID 0x' + familyId.toString(16)) +
+                    ': found ' + seen.count + ' out of ' + seen.numBlocks);
+            }
+        }
+        if (familyIds.length > 1) {
+            throw new Error('UF2 file contains blocks for several family IDs (' +
+                familyIds.map((id)=>(id === undefined ? 'none' : '0x' + id.toString(16))).join(', ') +
+                '), one must be chosen with the familyId option');
+        }
+
+        const memMap = blocks.toMemoryMap(maxBlockSize);
+        if (familyIds[0] !== undefined) {
+            memMap.familyId = familyIds[0];
+        }
+        return memMap;
+    }
+
+
+    /**
+     * Builds a Nordic DFU package (a zip file with a <tt>manifest.json</tt> plus a <tt>.bin</tt>
+     * and a <tt>.dat</tt> file per image), as <tt>nrfutil pkg generate</tt> does.
+     *<br/>
+     * The images are given as an object, whose keys are the types of the images:
+     * <tt>application</tt>, <tt>bootloader</tt>, <tt>softdevice</tt> and/or
+     * <tt>softdevice_bootloader</tt>. Each value is either a {@linkcode MemoryMap}, or an
+     * object with:
+     * <ul>
+     *  <li><tt>memMap</tt>: the {@linkcode MemoryMap} of the image (for the
+     *      <tt>softdevice_bootloader</tt> type, <tt>softdevice</tt> and <tt>bootloader</tt>
+     *      {@linkcode MemoryMap}s instead)</li>
+     *  <li><tt>initPacket</tt>: the contents of the <tt>.dat</tt> file, as an
+     *      <tt>Uint8Array</tt>. It can also be given as the fields of an init packet (see
+     *      {@linkcode MemoryMap.encodeInitPacket}), in which case the type, sizes and hash
+     *      are filled in from the image.</li>
+     * </ul>
+     * Each image is written as a binary file, from its lowest to its highest address, padded
+     * with <tt>0xFF</tt>. The MBR (the first 4KiB) is left out of SoftDevices, and UICR data
+     * is left out of all images.
+     *
+     * @param {Object} images The images to put in the package
+     *
+     * @return {Uint8Array} The contents of the zip file
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let zip = MemoryMap.createDfuPackage({
+     *     application: { memMap: MemoryMap.fromHex(appHexString), initPacket: appDat },
+     *     softdevice_bootloader: {
+     *         softdevice: MemoryMap.fromHex(softDeviceHexString),
+     *         bootloader: MemoryMap.fromHex(bootloaderHexString),
+     *         initPacket: sdBlDat,
+     *     },
+     * });
+     */
+    static createDfuPackage(images) {
+        const manifest = {};
+        const files = new Map();
+
+        for (const type of Object.keys(images)) {
+            if (dfuImageTypes.indexOf(type) === -1) {
+                throw new Error('Type of DFU image must be "application", "bootloader", "softdevice" or "softdevice_bootloader"');
+            }
+            const image = images[type] instanceof MemoryMap ? { memMap: images[type] } : images[type];
+            const entry = { bin_file: type + '.bin' };
+            const firmware = dfuFirmware(type, image, type);
+            if (type === 'softdevice_bootloader') {
+                entry.info_read_only_metadata = { bl_size: firmware.blSize, sd_size: firmware.sdSize };
+            }
+            files.set(entry.bin_file, firmware.bin);
+
+            let initPacket = image.initPacket;
+            if (initPacket !== undefined && !(initPacket instanceof Uint8Array)) {
+                if (typeof initPacket !== 'object' || initPacket === null || Array.isArray(initPacket)) {
+                    throw new Error('Init packet of DFU image "' + type + '" must be an Uint8Array or an Object');
+                }
+                initPacket = encodeInitPacket(initPacket, firmware);
+            }
+            if (initPacket !== undefined) {
+                entry.dat_file = type + '.dat';
+                files.set(entry.dat_file, initPacket);
+            }
+            manifest[type] = entry;
+        }
+
+        const json = JSON.stringify({ manifest }, null, 4);
+        const jsonBytes = new Uint8Array(json.length);
+        for (let i = 0; i < json.length; i++) {
+            jsonBytes[i] = json.charCodeAt(i);
+        }
+        files.set('manifest.json', jsonBytes);
+
+        return zip(files);
+    }
+
+    /**
+     * Reads a Nordic DFU package (a zip file, as built by <tt>nrfutil pkg generate</tt> or by
+     * {@linkcode MemoryMap.createDfuPackage}).
+     *<br/>
+     * Returns an object with:
+     * <ul>
+     *  <li><tt>manifest</tt>: the contents of <tt>manifest.json</tt></li>
+     *  <li><tt>images</tt>: an object, with one property per image type found in the manifest
+     *      (<tt>application</tt>, <tt>bootloader</tt>, <tt>softdevice</tt> and/or
+     *      <tt>softdevice_bootloader</tt>). Each of them is an object with <tt>memMap</tt>
+     *      (a {@linkcode MemoryMap}), <tt>bin</tt> (the contents of the <tt>.bin</tt>
+     *      file) and <tt>initPacket</tt> (the contents of the <tt>.dat</tt> file, if any).</li>
+     * </ul>
+     *<br/>
+     * The <tt>.bin</tt> files in DFU packages do not say at which address they go, so the
+     * addresses for the {@linkcode MemoryMap}s are taken from <tt>options.addresses</tt>.
+     * By default, SoftDevices start at 0x1000 (right after the MBR), the bootloader of a
+     * <tt>softdevice_bootloader</tt> image right after its SoftDevice, and any other image
+     * at zero.
+     *
+     * @param {Uint8Array|ArrayBuffer} data The contents of the zip file
+     * @param {Object} [options]
+     * @param {Object} [options.addresses] The start addresses of the images, as an object
+     * with <tt>application</tt>, <tt>bootloader</tt> and/or <tt>softdevice</tt> properties.
+     *
+     * @return {Object}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let { images } = MemoryMap.parseDfuPackage(zip, { addresses: { application: 0x27000 } });
+     * let appMemMap = images.application.memMap;
+     */
+    static parseDfuPackage(data, options = {}) {
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+        if (!(bytes instanceof Uint8Array)) {
+            throw new Error('Contents of a DFU package must be an Uint8Array or an ArrayBuffer');
+        }
+        const addresses = options.addresses || {};
+        const files = unzip(bytes);
+
+        const manifestFile = files.get('manifest.json');
+        if (!manifestFile) {
+            throw new Error('DFU package has no manifest.json');
+        }
+        let manifest;
+        try {
+            manifest = JSON.parse(charCodesToString(manifestFile)).manifest;
+        } catch (ex) {
+            throw new Error('Malformed manifest.json in DFU package: ' + ex.message);
+        }
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error('Malformed manifest.json in DFU package: no "manifest" object');
+        }
+
+        function file(name) {
+            const contents = files.get(name);
+            if (!contents) {
+                throw new Error('DFU package has no "' + name + '" file, as referenced by manifest.json');
+            }
+            return contents;
+        }
+
+        const images = {};
+        for (const type of dfuImageTypes) {
+            const entry = manifest[type];
+            if (!entry) {
+                continue;
+            }
+            const bin = file(entry.bin_file);
+            const image = { bin, initPacket: entry.dat_file ? file(entry.dat_file) : undefined };
+
+            if (type === 'softdevice_bootloader') {
+                const sizes = entry.info_read_only_metadata || {};
+                if (sizes.sd_size + sizes.bl_size !== bin.length) {
+                    throw new Error('Sizes of the SoftDevice and bootloader in manifest.json do not match the size of "' + entry.bin_file + '"');
+                }
+                const sdAddress = addresses.softdevice === undefined ? dfuMbrSize : addresses.softdevice;
+                const blAddress = addresses.bootloader === undefined ? sdAddress + sizes.sd_size : addresses.bootloader;
+                image.memMap = new MemoryMap([
+                    [sdAddress, bin.subarray(0, sizes.sd_size)],
+                    [blAddress, bin.subarray(sizes.sd_size)],
+                ]);
+            } else {
+                const address = addresses[type] === undefined ? (type === 'softdevice' ? dfuMbrSize : 0) : addresses[type];
+                image.memMap = new MemoryMap([[address, bin]]);
+            }
+            images[type] = image;
+        }
+
+        return { manifest, images };
+    }
+
+
+    /**
+     * Encodes an init packet (the <tt>.dat</tt> file of a DFU package) for Nordic's secure
+     * DFU bootloader. This is a protobuf message (see <tt>dfu-cc.proto</tt> in the nRF5 SDK),
+     * built the same way <tt>nrfutil pkg generate</tt> does.
+     *<br/>
+     * The type, sizes and hash of the firmware can be filled in from {@linkcode MemoryMap}s,
+     * given in <tt>fields.images</tt> as <tt>application</tt>, <tt>bootloader</tt>,
+     * <tt>softdevice</tt>, or both <tt>softdevice</tt> and <tt>bootloader</tt>. Their binary
+     * images are the same as in {@linkcode MemoryMap.createDfuPackage}. Otherwise, the
+     * <tt>type</tt>, the sizes and the <tt>hash</tt> must be given explicitly.
+     *
+     * @param {Object} fields
+     * @param {Object} [fields.images] {@linkcode MemoryMap}s to take the type, sizes and hash from.
+     * @param {String} [fields.type] Type of firmware: <tt>"application"</tt>, <tt>"softdevice"</tt>,
+     * <tt>"bootloader"</tt>, <tt>"softdevice_bootloader"</tt> or <tt>"external_application"</tt>.
+     * @param {Number} [fields.fwVersion=0xFFFFFFFF] Version of the firmware.
+     * @param {Number} [fields.hwVersion=0xFFFFFFFF] Version of the hardware.
+     * @param {Array<Number>} [fields.sdReq=[]] IDs of the SoftDevices the firmware can run with.
+     * @param {Number} [fields.sdSize=0] Size of the SoftDevice.
+     * @param {Number} [fields.blSize=0] Size of the bootloader.
+     * @param {Number} [fields.appSize=0] Size of the application.
+     * @param {String} [fields.hashType="sha256"] Type of hash: <tt>"no_hash"</tt>, <tt>"crc"</tt>,
+     * <tt>"sha128"</tt>, <tt>"sha256"</tt> or <tt>"sha512"</tt>.
+     * @param {Uint8Array} [fields.hash] The hash of the firmware. When filled in from
+     * <tt>fields.images</tt>, this is the SHA-256 hash of the binary image, in little
+     * endian order (as nrfutil does).
+     * @param {Boolean} [fields.isDebug=false] Whether this is a debug init packet.
+     * @param {Array<Object>} [fields.bootValidation] Boot validations, as objects with a
+     * <tt>type</tt> (<tt>"no_validation"</tt>, <tt>"validate_generated_crc"</tt>,
+     * <tt>"validate_sha256"</tt> or <tt>"validate_ecdsa_p256_sha256"</tt>) and <tt>bytes</tt>.
+     * @param {Uint8Array} [fields.signature] A signature of the command. If given, the init
+     * packet is a signed command.
+     * @param {String} [fields.signatureType="ecdsa_p256_sha256"] Type of signature:
+     * <tt>"ecdsa_p256_sha256"</tt> or <tt>"ed25519"</tt>.
+     *
+     * @return {Uint8Array} The contents of the <tt>.dat</tt> file
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let dat = MemoryMap.encodeInitPacket({
+     *     images: { application: appMemMap },
+     *     fwVersion: 1,
+     *     hwVersion: 52,
+     *     sdReq: [0xB6],
+     * });
+     */
+    static encodeInitPacket(fields) {
+        let firmware;
+        if (fields.images) {
+            const { application, bootloader, softdevice } = fields.images;
+            if (softdevice && bootloader && !application) {
+                firmware = dfuFirmware('softdevice_bootloader', fields.images, 'softdevice_bootloader');
+            } else if ([application, bootloader, softdevice].filter((memMap)=>memMap).length === 1) {
+                const type = application ? 'application' : bootloader ? 'bootloader' : 'softdevice';
+                firmware = dfuFirmware(type, { memMap: fields.images[type] }, type);
+            } else {
+                throw new Error('Images of an init packet must be an application, a bootloader, a SoftDevice, or a SoftDevice and a bootloader');
+            }
+        }
+        return encodeInitPacket(fields, firmware);
+    }
+
+    /**
+     * Decodes an init packet (the <tt>.dat</tt> file of a DFU package) for Nordic's secure
+     * DFU bootloader, as encoded by {@linkcode MemoryMap.encodeInitPacket} or nrfutil.
+     *<br/>
+     * Returns an object with the same fields as {@linkcode MemoryMap.encodeInitPacket} takes
+     * (<tt>type</tt>, <tt>fwVersion</tt>, <tt>hwVersion</tt>, <tt>sdReq</tt>, <tt>sdSize</tt>,
+     * <tt>blSize</tt>, <tt>appSize</tt>, <tt>hashType</tt>, <tt>hash</tt>, <tt>isDebug</tt>,
+     * <tt>bootValidation</tt>, and <tt>signatureType</tt> and <tt>signature</tt> for signed
+     * init packets). Fields not present in the init packet are <tt>undefined</tt>. Values of
+     * enums are given by name, or as <tt>Number</tt>s if unknown.
+     *<br/>
+     * Also, <tt>command</tt> holds the bytes of the encoded command, which are the ones
+     * covered by the signature.
+     *
+     * @param {Uint8Array} bytes The contents of the <tt>.dat</tt> file
+     *
+     * @return {Object}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let { fwVersion, sdReq, hash } = MemoryMap.decodeInitPacket(dat);
+     */
+    static decodeInitPacket(bytes) {
+        if (!(bytes instanceof Uint8Array)) {
+            throw new Error('Init packet must be an Uint8Array');
+        }
+        function first(fields, fieldNumber, names) {
+            const value = fields.has(fieldNumber) ? fields.get(fieldNumber)[0] : undefined;
+            return names && value !== undefined && names[value] ? names[value] : value;
+        }
+
+        const packet = protobufFields(bytes);
+        const result = {};
+        let command = first(packet, 1);
+        const signed = first(packet, 2);
+        if (signed instanceof Uint8Array) {
+            const signedFields = protobufFields(signed);
+            command = first(signedFields, 1);
+            result.signatureType = first(signedFields, 2, initPacketSignatureTypes);
+            result.signature = first(signedFields, 3);
+        }
+        const init = command instanceof Uint8Array ? first(protobufFields(command), 2) : undefined;
+        if (!(init instanceof Uint8Array)) {
+            throw new Error('Init packet has no init command');
+        }
+
+        const initFields = protobufFields(init);
+        const sdReq = [];
+        for (const value of initFields.get(3) || []) {
+            if (typeof value === 'number') {
+                sdReq.push(value);
+            } else {
+                // Packed
+                const varint = protobufReader(value);
+                while (varint.pos < value.length) {
+                    sdReq.push(varint());
+                }
+            }
+        }
+        const hash = first(initFields, 8);
+        const hashFields = hash instanceof Uint8Array ? protobufFields(hash) : new Map();
+        const isDebug = first(initFields, 9);
+
+        return Object.assign({
+            type: first(initFields, 4, initPacketFwTypes),
+            fwVersion: first(initFields, 1),
+            hwVersion: first(initFields, 2),
+            sdReq,
+            sdSize: first(initFields, 5),
+            blSize: first(initFields, 6),
+            appSize: first(initFields, 7),
+            hashType: first(hashFields, 1, initPacketHashTypes),
+            hash: first(hashFields, 2),
+            isDebug: isDebug === undefined ? undefined : !!isDebug,
+            bootValidation: (initFields.get(10) || []).map((validation)=>{
+                const validationFields = protobufFields(validation);
+                return {
+                    type: first(validationFields, 1, initPacketValidationTypes),
+                    bytes: first(validationFields, 2),
+                };
+            }),
+            command,
+        }, result);
+    }
+
+
+    /**
+     * Returns a <strong>new</strong> instance of {@linkcode MemoryMap}, containing
+     * the same data, but concatenating together those memory blocks that are adjacent.
+     *<br/>
+     * The insertion order of keys in the {@linkcode MemoryMap} is guaranteed to be strictly
+     * ascending. In other words, when iterating through the {@linkcode MemoryMap}, the addresses
+     * will be ordered in ascending order.
+     *<br/>
+     * If <tt>maxBlockSize</tt> is given, blocks will be concatenated together only
+     * until the joined block reaches this size in bytes. This means that the output
+     * {@linkcode MemoryMap} might have more entries than the input one.
+     *<br/>
+     * If there is any overlap between blocks, an error will be thrown.
+     *<br/>
+     * The returned {@linkcode MemoryMap} will use newly allocated memory, and keep
+     * the same start addresses.
+     *
+     * @param {Number} [maxBlockSize=Infinity] Maximum size of the <tt>Uint8Array</tt>s in the
+     * returned {@linkcode MemoryMap}.
+     *
+     * @return {MemoryMap}
+     */
+    join(maxBlockSize = Infinity) {
+
+        // First pass, create a Map of address→length of contiguous blocks
+        const sortedKeys = Array.from(this.keys()).sort((a,b)=>a-b);
+        const blockSizes = new Map();
+        let lastBlockAddr = -1;
+        let lastBlockEndAddr = -1;
+
+        for (let i=0,l=sortedKeys.length; i<l; i++) {
+            const blockAddr = sortedKeys[i];
+            const blockLength = this.get(sortedKeys[i]).length;
+
+            if (lastBlockEndAddr === blockAddr && (lastBlockEndAddr - lastBlockAddr) < maxBlockSize) {
+                // Grow when the previous end address equals the current,
+                // and we don't go over the maximum block size.
+                blockSizes.set(lastBlockAddr, blockSizes.get(lastBlockAddr) + blockLength);
+                lastBlockEndAddr += blockLength;
+            } else if (lastBlockEndAddr <= blockAddr) {
+                // Else mark a new block.
+                blockSizes.set(blockAddr, blockLength);
+                lastBlockAddr = blockAddr;
+                lastBlockEndAddr = blockAddr + blockLength;
+            } else {
+                throw new Error('Overlapping data around address 0x' + blockAddr.toString(16));
+            }
+        }
+
+        // Second pass: allocate memory for the contiguous blocks and copy data around.
+        const mergedBlocks = copyStartAddresses(this, new MemoryMap());
+        let mergingBlock;
+        let mergingBlockAddr = -1;
+        for (let i=0,l=sortedKeys.length; i<l; i++) {
+            const blockAddr = sortedKeys[i];
+            if (blockSizes.has(blockAddr)) {
+                mergingBlock = new Uint8Array(blockSizes.get(blockAddr));
+                mergedBlocks.set(blockAddr, mergingBlock);
+                mergingBlockAddr = blockAddr;
+            }
+            mergingBlock.set(this.get(blockAddr), blockAddr - mergingBlockAddr);
+        }
+
+        return mergedBlocks;
+    }
+
+    /**
+     * Given a {@link https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/Map|<tt>Map</tt>}
+     * of {@linkcode MemoryMap}s, indexed by a alphanumeric ID,
+     * returns a <tt>Map</tt> of address to tuples (<tt>Arrays</tt>s of length 2) of the form
+     * <tt>(id, Uint8Array)</tt>s.
+     *<br/>
+     * The scenario for using this is having several {@linkcode MemoryMap}s, from several calls to
+     * {@link module:nrf-intel-hex~hexToArrays|hexToArrays}, each having a different identifier.
      * This function locates where those memory block sets overlap, and returns a <tt>Map</tt>
      * containing addresses as keys, and arrays as values. Each array will contain 1 or more
      * <tt>(id, Uint8Array)</tt> tuples: the identifier of the memory block set that has
@@ -449,32 +4401,143 @@ class MemoryMap {
             }
         }
 
-        return overlaps;
-    }
-
-
-    /**
-     * Given the output of the {@linkcode MemoryMap.overlapMemoryMaps|overlapMemoryMaps}
-     * (a <tt>Map</tt> of address to an <tt>Array</tt> of <tt>(id, Uint8Array)</tt> tuples),
-     * returns a {@linkcode MemoryMap}. This discards the IDs in the process.
-     *<br/>
-     * The output <tt>Map</tt> contains as many entries as the input one (using the same addresses
-     * as keys), but the value for each entry will be the <tt>Uint8Array</tt> of the <b>last</b>
-     * tuple for each address in the input data.
-     *<br/>
-     * The scenario is wanting to join together several parsed .hex files, not worrying about
-     * their overlaps.
-     *<br/>
-     *
-     * @param {Map.Array<mixed,Uint8Array>} overlaps The (possibly overlapping) input memory blocks
-     * @return {MemoryMap} The flattened memory blocks
-     */
-    static flattenOverlaps(overlaps) {
-        return new MemoryMap(
-            Array.from(overlaps.entries()).map(([address, tuples]) => {
-                return [address, tuples[tuples.length - 1][1] ];
-            })
-        );
+        return overlaps;
+    }
+
+
+    /**
+     * Given the output of the {@linkcode MemoryMap.overlapMemoryMaps|overlapMemoryMaps}
+     * (a <tt>Map</tt> of address to an <tt>Array</tt> of <tt>(id, Uint8Array)</tt> tuples),
+     * returns a {@linkcode MemoryMap}. This discards the IDs in the process.
+     *<br/>
+     * The output <tt>Map</tt> contains as many entries as the input one (using the same addresses
+     * as keys), but the value for each entry will be the <tt>Uint8Array</tt> of the <b>last</b>
+     * tuple for each address in the input data.
+     *<br/>
+     * The scenario is wanting to join together several parsed .hex files, not worrying about
+     * their overlaps.
+     *<br/>
+     *
+     * @param {Map.Array<mixed,Uint8Array>} overlaps The (possibly overlapping) input memory blocks
+     * @return {MemoryMap} The flattened memory blocks
+     */
+    static flattenOverlaps(overlaps) {
+        return new MemoryMap(
+            Array.from(overlaps.entries()).map(([address, tuples]) => {
+                return [address, tuples[tuples.length - 1][1] ];
+            })
+        );
+    }
+
+
+    /**
+     * Merges several {@linkcode MemoryMap}s (e.g. several parsed .hex files) into one,
+     * following an overlap policy, and reports the address ranges where their data
+     * disagrees.
+     *<br/>
+     * This is built on top of {@linkcode MemoryMap.overlapMemoryMaps}, and takes the same
+     * input: a <tt>Map</tt> of identifiers to {@linkcode MemoryMap}s. The overlap policies
+     * are:
+     * <ul>
+     *  <li><tt>"error"</tt>: throw an error if there is any overlap.</li>
+     *  <li><tt>"first-wins"</tt>: keep the data of the first input for each address.</li>
+     *  <li><tt>"last-wins"</tt>: keep the data of the last input for each address (like
+     *  {@linkcode MemoryMap.flattenOverlaps} does).</li>
+     *  <li><tt>"allow-if-identical"</tt>: throw an error if there is any overlap with
+     *  different data.</li>
+     * </ul>
+     * Start addresses are merged following the same policy: with <tt>"error"</tt> or
+     * <tt>"allow-if-identical"</tt>, an error is thrown if two inputs have different
+     * values for the same start address.
+     *<br/>
+     * Each conflict in the report is an <tt>Object</tt> with the following properties:
+     * <tt>address</tt> and <tt>length</tt> (the address range where the data is not
+     * the same in all the inputs) and <tt>ids</tt> (an <tt>Array</tt> with the
+     * identifiers of the input whose data is kept and of the inputs whose data differs
+     * from it in that range, in input order).
+     *
+     * @param {Map.MemoryMap} memoryMaps The input memory block sets
+     * @param {Object} [options]
+     * @param {String} [options.overlap="error"] How to handle overlapping data.
+     *
+     * @return {Object} An object with a <tt>memMap</tt> property (the merged
+     * {@linkcode MemoryMap}, with newly allocated memory) and a <tt>conflicts</tt> property
+     * (an <tt>Array</tt> of conflicts).
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let { memMap, conflicts } = MemoryMap.mergeMemoryMaps(new Map([
+     *  ['bootloader.hex', MemoryMap.fromHex(hexdata1)],
+     *  ['application.hex', MemoryMap.fromHex(hexdata2)],
+     * ]), { overlap: 'last-wins' });
+     *
+     * for (let conflict of conflicts) {
+     *     console.log('Data at', conflict.address, 'differs between', conflict.ids);
+     * }
+     */
+    static mergeMemoryMaps(memoryMaps, options = {}) {
+        const overlap = overlapPolicy(options);
+
+        const conflicts = [];
+        const addConflict = (address, length, ids)=>{
+            // Extend the previous conflict if it is contiguous and between the same inputs
+            const last = conflicts[conflicts.length - 1];
+            if (last && last.address + last.length === address &&
+                last.ids.length === ids.length && last.ids.every((id, i)=>id === ids[i])) {
+                last.length += length;
+            } else {
+                conflicts.push({ address, length, ids });
+            }
+        };
+
+        const merged = new MemoryMap();
+        for (const [address, tuples] of MemoryMap.overlapMemoryMaps(memoryMaps)) {
+            const winner = tuples[overlap === 'last-wins' ? tuples.length - 1 : 0];
+            if (tuples.length > 1) {
+                if (overlap === 'error') {
+                    throw new Error('Overlapping data around address 0x' + address.toString(16) + ' between "' + tuples.map(([id])=>id).join('", "') + '"');
+                }
+
+                // Report the inputs which disagree with the winning one, together with it
+                const chosen = winner[1];
+                for (let i = 0; i < chosen.length; i++) {
+                    if (tuples.some(([, bytes])=>bytes[i] !== chosen[i])) {
+                        const ids = tuples.filter(([, bytes])=>bytes === chosen || bytes[i] !== chosen[i]).map(([id])=>id);
+                        addConflict(address + i, 1, ids);
+                    }
+                }
+            }
+            merged.set(address, winner[1]);
+        }
+
+        if (overlap === 'allow-if-identical' && conflicts.length) {
+            const conflict = conflicts[0];
+            throw new Error('Overlapping data with different values at addresses 0x' +
+                conflict.address.toString(16) + ' to 0x' + (conflict.address + conflict.length - 1).toString(16) +
+                ' between "' + conflict.ids.join('", "') + '"');
+        }
+
+        const memMap = merged.join();
+        for (const property of ['startSegmentAddress', 'startLinearAddress']) {
+            for (const [id, blocks] of memoryMaps) {
+                const startAddress = blocks[property];
+                if (startAddress === undefined) {
+                    continue;
+                }
+                if (memMap[property] !== undefined && memMap[property] !== startAddress) {
+                    if (overlap === 'error' || overlap === 'allow-if-identical') {
+                        throw new Error('Different values for ' + property + ' in "' + id + '"');
+                    }
+                    if (overlap === 'first-wins') {
+                        continue;
+                    }
+                }
+                memMap[property] = startAddress;
+            }
+        }
+
+        return { memMap, conflicts };
     }
 
 
@@ -496,7 +4559,8 @@ class MemoryMap {
      * to be strictly ascending. In other words, when iterating through the
      * {@linkcode MemoryMap}, the addresses will be ordered in ascending order.
      *<br/>
-     * The <tt>Uint8Array</tt>s in the output will be newly allocated.
+     * The <tt>Uint8Array</tt>s in the output will be newly allocated. The start addresses
+     * are kept.
      *<br/>
      *
      * @param {Number} [pageSize=1024] The size of the output pages, in bytes
@@ -507,7 +4571,7 @@ class MemoryMap {
         if (pageSize <= 0) {
             throw new Error('Page size must be greater than zero');
         }
-        const outPages = new MemoryMap();
+        const outPages = copyStartAddresses(this, new MemoryMap());
         let page;
 
         const sortedKeys = Array.from(this.keys()).sort((a,b)=>a-b);
@@ -526,211 +4590,955 @@ class MemoryMap {
                     outPages.set(pageAddr, page);
                 }
 
-                const offset = pageAddr - blockAddr;
-                let subBlock;
-                if (offset <= 0) {
-                    // First page which intersects the block
-                    subBlock = block.subarray(0, Math.min(pageSize + offset, blockLength));
-                    page.set(subBlock, -offset);
-                } else {
-                    // Any other page which intersects the block
-                    subBlock = block.subarray(offset, offset + Math.min(pageSize, blockLength - offset));
-                    page.set(subBlock, 0);
-                }
+                const offset = pageAddr - blockAddr;
+                let subBlock;
+                if (offset <= 0) {
+                    // First page which intersects the block
+                    subBlock = block.subarray(0, Math.min(pageSize + offset, blockLength));
+                    page.set(subBlock, -offset);
+                } else {
+                    // Any other page which intersects the block
+                    subBlock = block.subarray(offset, offset + Math.min(pageSize, blockLength - offset));
+                    page.set(subBlock, 0);
+                }
+            }
+        }
+
+        return outPages;
+    }
+
+
+    /**
+     * Locates the <tt>Uint8Array</tt> which contains the given offset,
+     * and returns the four bytes held at that offset, as a 32-bit unsigned integer.
+     *
+     *<br/>
+     * Behaviour is similar to {@linkcode https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/DataView/getUint32|DataView.prototype.getUint32},
+     * except that this operates over a {@linkcode MemoryMap} instead of
+     * over an <tt>ArrayBuffer</tt>, and that this may return <tt>undefined</tt> if
+     * the address is not <em>entirely</em> contained within one of the <tt>Uint8Array</tt>s.
+     *<br/>
+     *
+     * @param {Number} offset The memory offset to read the data
+     * @param {Boolean} [littleEndian=false] Whether to fetch the 4 bytes as a little- or big-endian integer
+     * @return {Number|undefined} An unsigned 32-bit integer number
+     */
+    getUint32(offset, littleEndian) {
+        const keys = Array.from(this.keys());
+
+        for (let i=0,l=keys.length; i<l; i++) {
+            const blockAddr = keys[i];
+            const block = this.get(blockAddr);
+            const blockLength = block.length;
+            const blockEnd = blockAddr + blockLength;
+
+            if (blockAddr <= offset && (offset+4) <= blockEnd) {
+                return (new DataView(block.buffer, offset - blockAddr, 4)).getUint32(0, littleEndian);
+            }
+        }
+        return;
+    }
+
+
+    /**
+     * Returns a <tt>String</tt> of text representing a .hex file.
+     * <br/>
+     * The writer has an opinionated behaviour. Check the project's
+     * {@link https://github.com/NordicSemiconductor/nrf-intel-hex#Features|README file} for details.
+     * <br/>
+     * If the <tt>startSegmentAddress</tt> and/or <tt>startLinearAddress</tt> properties are
+     * set, the corresponding 0x03 and/or 0x05 records are written just before the EOF record.
+     *
+     * @param {Number} [lineSize=16] Maximum number of bytes to be encoded in each data record.
+     * Must have a value between 1 and 255, as per the specification.
+     * @param {Object} [options]
+     * @param {String} [options.lineTerminator="\n"] The record separator: <tt>"\n"</tt>,
+     * <tt>"\r\n"</tt> or <tt>"\r"</tt>.
+     * @param {Boolean} [options.lowercase=false] Whether to use lowercase hex digits.
+     * @param {Boolean} [options.trailingNewline=false] Whether to write a record separator
+     * after the last record.
+     * @param {Boolean} [options.eof=true] Whether to write the EOF (0x01) record at the end.
+     * @param {String} [options.addressing="I32HEX"] The variant of the format to write:
+     * <tt>"I32HEX"</tt> (0x04 records, for up to 4GiB of data), <tt>"I16HEX"</tt> (0x02
+     * records, for up to 1MiB of data) or <tt>"I8HEX"</tt> (no extended address records,
+     * for up to 64KiB of data). 0x05 records cannot be written in I16HEX mode, and no
+     * start address records can be written in I8HEX mode.
+     * @param {Boolean} [options.alignRecords=false] When <tt>true</tt>, data records are
+     * aligned to multiples of <tt>lineSize</tt>, as other tools (e.g. objcopy) do: a block
+     * at 0x1003 is written in records at 0x1003 (with 13 bytes), 0x1010, 0x1020 and so on.
+     *
+     * @return {String} String of text with the .hex representation of the input binary data
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = new MemoryMap();
+     * let bytes = new Uint8Array(....);
+     * memMap.set(0x0FF80000, bytes); // The block with 'bytes' will start at offset 0x0FF80000
+     *
+     * let string = memMap.asHexString();
+     *
+     * // Windows-style line endings, as some older tools expect
+     * let crlfString = memMap.asHexString(32, { lineTerminator: '\r\n', trailingNewline: true });
+     */
+    asHexString(lineSize = 16, options = {}) {
+        return Array.from(this.hexRecords(lineSize, options)).join('');
+    }
+
+
+    /**
+     * Yields the lines of a .hex file representing this {@linkcode MemoryMap}, one by
+     * one, each of them with its line terminator. Joined together, they are the same
+     * as the output of {@linkcode MemoryMap#asHexString}, but they are generated as they
+     * are requested, so the whole text of a big .hex file does not have to be in memory
+     * at once.
+     *<br/>
+     * Any error is thrown when iterating, not when calling this method.
+     *
+     * @param {Number} [lineSize=16] Maximum number of bytes to be encoded in each data record.
+     * @param {Object} [options] See {@linkcode MemoryMap#asHexString}.
+     * @return {Iterator<String>}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     * import fs from 'fs';
+     * import stream from 'stream';
+     *
+     * for (let line of memMap.hexRecords()) {
+     *     console.log(line);
+     * }
+     *
+     * // In Node.js v12 or higher
+     * stream.Readable.from(memMap.hexRecords()).pipe(fs.createWriteStream('firmware.hex'));
+     */
+    *hexRecords(lineSize = 16, options = {}) {
+        if (lineSize <=0) {
+            throw new Error('Size of record must be greater than zero');
+        } else if (lineSize > 255) {
+            throw new Error('Size of record must be less than 256');
+        }
+        const lineTerminator = lineTerminatorOption(options);
+        const addressing = options.addressing === undefined ? 'I32HEX' : options.addressing;
+        if (Object.keys(addressSpaces).indexOf(addressing) === -1) {
+            throw new Error('Addressing mode must be "I8HEX", "I16HEX" or "I32HEX"');
+        }
+
+        const line = (record, separator)=>{
+            const str = serializeRecord(record) + separator;
+            return options.lowercase ? str.toLowerCase() : str;
+        };
+
+        // Each record is written once the next one is known, since the last
+        // one might not have a line terminator
+        let previous;
+        for (const record of hexFileRecords(this, lineSize, addressing, !!options.alignRecords, options.eof !== false)) {
+            if (previous) {
+                yield line(previous, lineTerminator);
+            }
+            previous = record;
+        }
+        if (previous) {
+            yield line(previous, options.trailingNewline ? lineTerminator : '');
+        }
+    }
+
+
+    /**
+     * Returns a WHATWG <tt>ReadableStream</tt> with the text of a .hex file representing
+     * this {@linkcode MemoryMap}, as chunks of several lines. The text is generated as the
+     * stream is read (see {@linkcode MemoryMap#hexRecords}).
+     *
+     * @param {Number} [lineSize=16] Maximum number of bytes to be encoded in each data record.
+     * @param {Object} [options] See {@linkcode MemoryMap#asHexString}.
+     * @return {ReadableStream}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * // Chunks are Strings, so encode them for a Response
+     * new Response(memMap.asHexStream().pipeThrough(new TextEncoderStream()))
+     *     .blob()
+     *     .then((blob)=>{ link.href = URL.createObjectURL(blob); });
+     */
+    asHexStream(lineSize = 16, options = {}) {
+        const chunks = hexChunks(this.hexRecords(lineSize, options));
+        return new ReadableStream({
+            pull: (controller)=>{
+                const { done, value } = chunks.next();
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
+                }
+            },
+            cancel: ()=>{ chunks.return(); }
+        });
+    }
+
+
+    /**
+     * Writes the text of a .hex file representing this {@linkcode MemoryMap} into a
+     * stream, and returns a <tt>Promise</tt> which resolves once it is done.
+     * The text is generated as the stream can take it (see {@linkcode MemoryMap#hexRecords}),
+     * and the stream is closed at the end.
+     *<br/>
+     * Works with both Node.js writable streams (e.g. from <tt>fs.createWriteStream</tt>,
+     * or an HTTP response) and WHATWG <tt>WritableStream</tt>s. Chunks are Strings of
+     * several lines.
+     *
+     * @param {stream.Writable|WritableStream} stream
+     * @param {Number} [lineSize=16] Maximum number of bytes to be encoded in each data record.
+     * @param {Object} [options] See {@linkcode MemoryMap#asHexString}.
+     * @return {Promise}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     * import fs from 'fs';
+     *
+     * memMap.writeHexTo(fs.createWriteStream('firmware.hex')).then(()=>{
+     *     console.log('Done');
+     * });
+     */
+    writeHexTo(stream, lineSize = 16, options = {}) {
+        const chunks = hexChunks(this.hexRecords(lineSize, options));
+
+        if (stream && typeof stream.getWriter === 'function') {
+            // WHATWG WritableStream
+            const writer = stream.getWriter();
+            const pump = ()=>writer.ready.then(()=>{
+                let next;
+                try {
+                    next = chunks.next();
+                } catch (err) {
+                    writer.abort(err);
+                    throw err;
+                }
+                if (next.done) {
+                    return writer.close();
+                }
+                // Errors while writing also reject writer.ready
+                writer.write(next.value).catch(()=>{});
+                return pump();
+            });
+            return pump();
+        }
+
+        if (stream && typeof stream.write === 'function' && typeof stream.on === 'function') {
+            // Node.js writable stream
+            return new Promise((resolve, reject)=>{
+                stream.once('error', reject);
+                const writeMore = ()=>{
+                    try {
+                        for (let next = chunks.next(); !next.done; next = chunks.next()) {
+                            if (!stream.write(next.value)) {
+                                stream.once('drain', writeMore);
+                                return;
+                            }
+                        }
+                    } catch (err) {
+                        stream.removeListener('error', reject);
+                        if (typeof stream.destroy === 'function') {
+                            stream.destroy();
+                        }
+                        reject(err);
+                        return;
+                    }
+                    stream.end(()=>{
+                        stream.removeListener('error', reject);
+                        resolve();
+                    });
+                };
+                writeMore();
+            });
+        }
+
+        return Promise.reject(new Error('Stream passed to writeHexTo() is neither a Node.js writable stream nor a WHATWG WritableStream'));
+    }
+
+
+    /**
+     * Returns a <tt>String</tt> of text representing an S-record file, the same way
+     * {@linkcode MemoryMap#asHexString} does with .hex files.
+     *<br/>
+     * The type of the data records is chosen depending on the highest address (of both
+     * the data and the start address): S1 records (and an S9 termination record) for
+     * 16-bit addresses, S2 (and S8) for 24-bit addresses, or S3 (and S7) for 32-bit
+     * addresses. The start address in the termination record is the value of the
+     * <tt>startLinearAddress</tt> property, or zero if there is none.
+     *
+     * @param {Number} [lineSize=16] Maximum number of bytes to be encoded in each data record.
+     * Must have a value between 1 and 250.
+     * @param {Object} [options]
+     * @param {String} [options.header] The text for the S0 header record. Defaults to
+     * the <tt>header</tt> property (as set by {@linkcode MemoryMap.fromSRecord}). No S0
+     * record is written if there is no header.
+     * @param {Boolean} [options.count=true] Whether to write an S5 (or S6) record with the
+     * number of data records. Not written if there are more than 0xFFFFFF data records.
+     * @param {String} [options.lineTerminator="\n"] The record separator: <tt>"\n"</tt>,
+     * <tt>"\r\n"</tt> or <tt>"\r"</tt>.
+     * @param {Boolean} [options.trailingNewline=false] Whether to write a record separator
+     * after the last record.
+     *
+     * @return {String} String of text with the S-record representation of the data
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = new MemoryMap([[0x1000, new Uint8Array([1, 2, 3, 4])]]);
+     *
+     * let string = memMap.asSRecord(16, { header: 'HDR' });
+     */
+    asSRecord(lineSize = 16, options = {}) {
+        if (lineSize <= 0) {
+            throw new Error('Size of record must be greater than zero');
+        } else if (lineSize > 250) {
+            throw new Error('Size of record must be less than 251');
+        }
+        const lineTerminator = lineTerminatorOption(options);
+        const header = options.header === undefined ? this.header : options.header;
+        if (header !== undefined && (typeof header !== 'string' || header.length > 252)) {
+            throw new Error('Header must be a String of at most 252 characters');
+        }
+        const startAddress = this.startLinearAddress === undefined ? 0 : this.startLinearAddress;
+        if (!Number.isInteger(startAddress) || startAddress < 0 || startAddress > 0xFFFFFFFF) {
+            throw new Error('Start address must be an integer between 0 and 0xFFFFFFFF');
+        }
+
+        // Sanity checks, and find out the highest address
+        const sortedKeys = Array.from(this.keys()).sort((a,b)=>a-b);
+        let maxAddress = startAddress;
+        let lastEnd = 0;
+        for (const blockAddr of sortedKeys) {
+            const block = this.get(blockAddr);
+            if (!(block instanceof Uint8Array)) {
+                throw new Error('Block at offset ' + blockAddr + ' is not an Uint8Array');
+            }
+            if (blockAddr < 0) {
+                throw new Error('Block at offset ' + blockAddr + ' has a negative thus invalid address');
+            }
+            if (!block.length) { continue; }   // Skip zero-length blocks
+            if (blockAddr < lastEnd) {
+                throw new Error('Block starting at 0x' + blockAddr.toString(16) + ' overlaps with a previous block.');
+            }
+            lastEnd = blockAddr + block.length;
+            if (lastEnd > 0xFFFFFFFF) {
+                throw new Error('Data cannot be over 0xFFFFFFFF');
+            }
+            maxAddress = Math.max(maxAddress, lastEnd - 1);
+        }
+        const addressSize = maxAddress > 0xFFFFFF ? 4 : maxAddress > 0xFFFF ? 3 : 2;
+
+        const lines = [];
+        if (header !== undefined) {
+            const headerBytes = new Uint8Array(header.length);
+            for (let i = 0; i < header.length; i++) {
+                headerBytes[i] = header.charCodeAt(i);
+            }
+            lines.push(sRecordLine(0, 0, 2, headerBytes));
+        }
+
+        let dataRecordCount = 0;
+        for (const blockAddr of sortedKeys) {
+            const block = this.get(blockAddr);
+            for (let offset = 0; offset < block.length; offset += lineSize) {
+                lines.push(sRecordLine(addressSize - 1, blockAddr + offset, addressSize, block.subarray(offset, offset + lineSize)));
+                dataRecordCount++;
+            }
+        }
+
+        if (options.count !== false && dataRecordCount <= 0xFFFFFF) {
+            lines.push(dataRecordCount > 0xFFFF ?
+                sRecordLine(6, dataRecordCount, 3, new Uint8Array(0)) :
+                sRecordLine(5, dataRecordCount, 2, new Uint8Array(0)));
+        }
+
+        lines.push(sRecordLine(11 - addressSize, startAddress, addressSize, new Uint8Array(0)));
+
+        return lines.join(lineTerminator) + (options.trailingNewline ? lineTerminator : '');
+    }
+
+
+    /**
+     * Returns a <tt>String</tt> of text representing a TI-TXT file (as used to program
+     * MSP430 and some CC-series devices).
+     *<br/>
+     * Each contiguous block of data is written as a section: an <tt>@ADDR</tt> line followed
+     * by lines of space-separated hex bytes. The file ends with a <tt>q</tt> line.
+     *<br/>
+     * TI-TXT files have no start addresses, so <tt>startSegmentAddress</tt> and
+     * <tt>startLinearAddress</tt> are not written.
+     *
+     * @param {Number} [bytesPerLine=16] Maximum number of bytes to be written in each line.
+     * @param {Object} [options]
+     * @param {String} [options.lineTerminator="\n"] The line terminator: <tt>"\n"</tt>,
+     * <tt>"\r\n"</tt> or <tt>"\r"</tt>.
+     *
+     * @return {String} String of text with the TI-TXT representation of the data
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = new MemoryMap([[0xF000, new Uint8Array([0x31, 0x40, 0x00, 0x03])]]);
+     *
+     * let string = memMap.asTiTxt();
+     * // "@F000\n31 40 00 03\nq\n"
+     */
+    asTiTxt(bytesPerLine = 16, options = {}) {
+        if (!Number.isInteger(bytesPerLine) || bytesPerLine <= 0) {
+            throw new Error('Bytes per line must be an integer greater than zero');
+        }
+        const lineTerminator = lineTerminatorOption(options);
+
+        const sortedKeys = Array.from(this.keys()).sort((a,b)=>a-b);
+        const lines = [];
+        let lastEnd = 0;
+        for (const blockAddr of sortedKeys) {
+            const block = this.get(blockAddr);
+            if (!(block instanceof Uint8Array)) {
+                throw new Error('Block at offset ' + blockAddr + ' is not an Uint8Array');
+            }
+            if (blockAddr < 0) {
+                throw new Error('Block at offset ' + blockAddr + ' has a negative thus invalid address');
+            }
+            if (!block.length) { continue; }   // Skip zero-length blocks
+            if (blockAddr < lastEnd) {
+                throw new Error('Block starting at 0x' + blockAddr.toString(16) + ' overlaps with a previous block.');
+            }
+            if (blockAddr + block.length > 0x100000000) {
+                throw new Error('Data cannot be over 0xFFFFFFFF');
+            }
+
+            // Adjacent blocks go into the same section
+            if (blockAddr !== lastEnd || !lines.length) {
+                lines.push('@' + blockAddr.toString(16).toUpperCase().padStart(4, '0'));
+            }
+            lastEnd = blockAddr + block.length;
+
+            for (let offset = 0; offset < block.length; offset += bytesPerLine) {
+                const end = Math.min(offset + bytesPerLine, block.length);
+                const bytes = new Array(end - offset);
+                for (let i = offset; i < end; i++) {
+                    bytes[i - offset] = hexBytes[block[i]];
+                }
+                lines.push(bytes.join(' '));
+            }
+        }
+        lines.push('q');
+
+        return lines.join(lineTerminator) + lineTerminator;
+    }
+
+
+    /**
+     * Returns the contents of the {@linkcode MemoryMap} as C (or C++) source code, to embed
+     * a firmware image into another firmware: an object with the text of a <tt>header</tt>
+     * file and of a <tt>source</tt> file.
+     *<br/>
+     * By default, there is one array per block, named <tt>name_0</tt>, <tt>name_1</tt> and
+     * so on, in ascending order of address. The header file declares the arrays, and defines
+     * the address and the length (in bytes) of each block as <tt>NAME_0_ADDRESS</tt>,
+     * <tt>NAME_0_LENGTH</tt>, etc, plus their number as <tt>NAME_BLOCK_COUNT</tt>.
+     *<br/>
+     * If <tt>padded</tt> is set, there is one single array named <tt>name</tt>, from the
+     * lowest to the highest address with data, with gaps filled with <tt>padByte</tt> (see
+     * {@linkcode MemoryMap#slicePad}). Its address and length are <tt>NAME_ADDRESS</tt> and
+     * <tt>NAME_LENGTH</tt>.
+     *<br/>
+     * Bytes can be packed into <tt>uint16_t</tt> or <tt>uint32_t</tt> words, in either
+     * endianness. The last word of an array is padded with <tt>padByte</tt> if needed.
+     *
+     * @param {String} [name="firmware"] The name of the arrays, which must be a valid C
+     * identifier. The names of the constants are in uppercase.
+     * @param {Object} [options]
+     * @param {String} [options.headerName] The name of the header file, as included by
+     * the source file. Defaults to <tt>name</tt> plus <tt>".h"</tt>.
+     * @param {Boolean} [options.padded=false] Whether to output one padded array instead
+     * of one array per block
+     * @param {Number} [options.padByte=0xFF] The value of the bytes used as padding
+     * @param {Number} [options.bytesPerLine=16] Number of bytes in each line of the arrays.
+     * Must be a multiple of <tt>wordSize</tt>.
+     * @param {Number} [options.align] Alignment of the arrays, in bytes. If given, the arrays
+     * have an <tt>__attribute__((aligned(align)))</tt>.
+     * @param {Number} [options.wordSize=1] Size of the elements of the arrays: 1
+     * (<tt>uint8_t</tt>), 2 (<tt>uint16_t</tt>) or 4 (<tt>uint32_t</tt>)
+     * @param {String} [options.endianness="little"] Order of the bytes in each word:
+     * <tt>"little"</tt> or <tt>"big"</tt>
+     * @param {String} [options.lineTerminator="\n"] The line terminator: <tt>"\n"</tt>,
+     * <tt>"\r\n"</tt> or <tt>"\r"</tt>
+     *
+     * @return {Object} An object with <tt>header</tt> and <tt>source</tt> properties,
+     * both <tt>String</tt>s
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromHex(intelHexString);
+     * let { header, source } = memMap.asCSource('coprocessor_fw', { padded: true, align: 4 });
+     * // Save header to coprocessor_fw.h, and source to coprocessor_fw.c
+     */
+    asCSource(name = 'firmware', options = {}) {
+        if (typeof name !== 'string' || !name.match(/^[A-Za-z_][A-Za-z0-9_]*$/)) {
+            throw new Error('Name of the arrays must be a valid C identifier');
+        }
+        const headerName = options.headerName === undefined ? name + '.h' : options.headerName;
+        const padByte = options.padByte === undefined ? 0xFF : options.padByte;
+        const bytesPerLine = options.bytesPerLine === undefined ? 16 : options.bytesPerLine;
+        const wordSize = options.wordSize === undefined ? 1 : options.wordSize;
+        const littleEndian = wordOptions(wordSize, options.endianness === undefined ? 'little' : options.endianness);
+        if (!Number.isInteger(bytesPerLine) || bytesPerLine <= 0 || bytesPerLine % wordSize) {
+            throw new Error('Bytes per line must be an integer multiple of the word size');
+        }
+        const align = options.align;
+        if (align !== undefined && !(Number.isInteger(align) && align > 0 && (align & (align - 1)) === 0)) {
+            throw new Error('Alignment must be a power of two');
+        }
+        const lineTerminator = lineTerminatorOption(options);
+
+        // Each array is [name, constant prefix, address, bytes]
+        const constant = name.toUpperCase();
+        let arrays;
+        if (options.padded) {
+            const { address, bytes } = this.asPaddedUint8Array(padByte);
+            arrays = [[name, constant, address, bytes]];
+        } else {
+            arrays = Array.from(this.keys()).sort((a,b)=>a-b)
+                .filter((blockAddr)=>this.get(blockAddr).length)
+                .map((blockAddr, i)=>[name + '_' + i, constant + '_' + i, blockAddr, this.get(blockAddr)]);
+        }
+
+        const type = 'uint' + (wordSize * 8) + '_t';
+        const hexAddress = (address)=>'0x' + address.toString(16).toUpperCase().padStart(8, '0');
+        const guard = headerName.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+
+        const header = [
+            '#ifndef ' + guard,
+            '#define ' + guard,
+            '',
+            '#include <stdint.h>',
+            '',
+            '#ifdef __cplusplus',
+            'extern "C" {',
+            '#endif',
+            '',
+        ];
+        if (!options.padded) {
+            header.push('#define ' + constant + '_BLOCK_COUNT ' + arrays.length, '');
+        }
+        for (const [arrayName, arrayConstant, address, bytes] of arrays) {
+            header.push(
+                '#define ' + arrayConstant + '_ADDRESS ' + hexAddress(address),
+                '#define ' + arrayConstant + '_LENGTH ' + bytes.length,
+                'extern const ' + type + ' ' + arrayName + '[' + Math.ceil(bytes.length / wordSize) + '];',
+                ''
+            );
+        }
+        header.push(
+            '#ifdef __cplusplus',
+            '}',
+            '#endif',
+            '',
+            '#endif /* ' + guard + ' */',
+            ''
+        );
+
+        const source = ['#include "' + headerName + '"', ''];
+        const wordsPerLine = bytesPerLine / wordSize;
+        for (const [arrayName, , , bytes] of arrays) {
+            const words = bytesToWords(bytes, wordSize, littleEndian, padByte)
+                .map((word)=>'0x' + word.toString(16).toUpperCase().padStart(wordSize * 2, '0'));
+            source.push('const ' + type + ' ' + arrayName + '[' + words.length + ']' +
+                (align === undefined ? '' : ' __attribute__((aligned(' + align + ')))') + ' = {');
+            for (let i = 0; i < words.length; i += wordsPerLine) {
+                source.push('    ' + words.slice(i, i + wordsPerLine).join(', ') + ',');
             }
+            source.push('};', '');
         }
 
-        return outPages;
+        return {
+            header: header.join(lineTerminator),
+            source: source.join(lineTerminator),
+        };
     }
 
 
     /**
-     * Locates the <tt>Uint8Array</tt> which contains the given offset,
-     * and returns the four bytes held at that offset, as a 32-bit unsigned integer.
-     *
-     *<br/>
-     * Behaviour is similar to {@linkcode https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/DataView/getUint32|DataView.prototype.getUint32},
-     * except that this operates over a {@linkcode MemoryMap} instead of
-     * over an <tt>ArrayBuffer</tt>, and that this may return <tt>undefined</tt> if
-     * the address is not <em>entirely</em> contained within one of the <tt>Uint8Array</tt>s.
+     * Returns the contents of the {@linkcode MemoryMap} as a Verilog memory initialization
+     * file, as read by <tt>$readmemh</tt> (or <tt>$readmemb</tt>, with a <tt>radix</tt> of 2).
      *<br/>
+     * Bytes are packed into words of <tt>wordSize</tt> bytes in the given endianness. Word
+     * indices are counted from <tt>baseAddress</tt>, which defaults to the lowest address
+     * with data. Each group of contiguous words starts with an <tt>@ADDR</tt> directive
+     * (where <tt>ADDR</tt> is the index of the word, in hexadecimal). If <tt>padded</tt>
+     * is set, there are no directives; instead, all the words from index zero up to the
+     * <tt>depth</tt> are written, with gaps filled with <tt>padByte</tt>.
      *
-     * @param {Number} offset The memory offset to read the data
-     * @param {Boolean} [littleEndian=false] Whether to fetch the 4 bytes as a little- or big-endian integer
-     * @return {Number|undefined} An unsigned 32-bit integer number
+     * @param {Object} [options]
+     * @param {Number} [options.radix=16] 16 for <tt>$readmemh</tt>, 2 for <tt>$readmemb</tt>
+     * @param {Number} [options.wordSize=1] Size of the words, in bytes: 1, 2 or 4
+     * @param {String} [options.endianness="little"] Order of the bytes of each word:
+     * <tt>"little"</tt> or <tt>"big"</tt>
+     * @param {Number} [options.baseAddress] The address of the first word. Defaults to the
+     * lowest address with data.
+     * @param {Number} [options.depth] The number of words of the memory. Defaults to the
+     * number of words up to the last one with data. An error is thrown if there is data
+     * past it.
+     * @param {Boolean} [options.padded=false] Whether to write all the words, instead of
+     * using <tt>@ADDR</tt> directives
+     * @param {Number} [options.padByte=0xFF] The value of the bytes without data
+     * @param {Number} [options.wordsPerLine=1] Number of words in each line
+     * @param {String} [options.lineTerminator="\n"] The line terminator: <tt>"\n"</tt>,
+     * <tt>"\r\n"</tt> or <tt>"\r"</tt>
+     *
+     * @return {String}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromHex(intelHexString);
+     * let memFile = memMap.asReadmem({ wordSize: 4, depth: 4096, padded: true });
      */
-    getUint32(offset, littleEndian) {
-        const keys = Array.from(this.keys());
-
-        for (let i=0,l=keys.length; i<l; i++) {
-            const blockAddr = keys[i];
-            const block = this.get(blockAddr);
-            const blockLength = block.length;
-            const blockEnd = blockAddr + blockLength;
+    asReadmem(options = {}) {
+        const radix = hdlRadix(options);
+        const wordsPerLine = options.wordsPerLine === undefined ? 1 : options.wordsPerLine;
+        if (!Number.isInteger(wordsPerLine) || wordsPerLine <= 0) {
+            throw new Error('Words per line must be an integer greater than zero');
+        }
+        const lineTerminator = lineTerminatorOption(options);
+        const { wordSize, runs } = hdlWordRuns(this, options, options.padded);
 
-            if (blockAddr <= offset && (offset+4) <= blockEnd) {
-                return (new DataView(block.buffer, offset - blockAddr, 4)).getUint32(0, littleEndian);
+        const lines = [];
+        for (const [first, words] of runs) {
+            if (!options.padded) {
+                lines.push('@' + first.toString(16).toUpperCase());
+            }
+            for (let i = 0; i < words.length; i += wordsPerLine) {
+                lines.push(words.slice(i, i + wordsPerLine).map((word)=>hdlWord(word, wordSize, radix)).join(' '));
             }
         }
-        return;
-    }
 
+        return lines.join(lineTerminator) + lineTerminator;
+    }
 
     /**
-     * Returns a <tt>String</tt> of text representing a .hex file.
-     * <br/>
-     * The writer has an opinionated behaviour. Check the project's
-     * {@link https://github.com/NordicSemiconductor/nrf-intel-hex#Features|README file} for details.
+     * Returns the contents of the {@linkcode MemoryMap} as a Xilinx coefficient
+     * (<tt>.coe</tt>) file, as used to initialize block RAMs.
+     *<br/>
+     * Bytes are packed into words of <tt>wordSize</tt> bytes in the given endianness,
+     * from <tt>baseAddress</tt> (which defaults to the lowest address with data). Since COE
+     * files have no addresses, all the words up to the <tt>depth</tt> are written, with
+     * gaps filled with <tt>padByte</tt>.
      *
-     * @param {Number} [lineSize=16] Maximum number of bytes to be encoded in each data record.
-     * Must have a value between 1 and 255, as per the specification.
+     * @param {Object} [options]
+     * @param {Number} [options.radix=16] The radix of the words: 16 or 2
+     * @param {Number} [options.wordSize=1] Size of the words, in bytes: 1, 2 or 4
+     * @param {String} [options.endianness="little"] Order of the bytes of each word:
+     * <tt>"little"</tt> or <tt>"big"</tt>
+     * @param {Number} [options.baseAddress] The address of the first word. Defaults to the
+     * lowest address with data.
+     * @param {Number} [options.depth] The number of words of the memory. Defaults to the
+     * number of words up to the last one with data.
+     * @param {Number} [options.padByte=0xFF] The value of the bytes without data
+     * @param {String} [options.lineTerminator="\n"] The line terminator: <tt>"\n"</tt>,
+     * <tt>"\r\n"</tt> or <tt>"\r"</tt>
      *
-     * @return {String} String of text with the .hex representation of the input binary data
+     * @return {String}
      *
      * @example
      * import MemoryMap from 'nrf-intel-hex';
      *
-     * let memMap = new MemoryMap();
-     * let bytes = new Uint8Array(....);
-     * memMap.set(0x0FF80000, bytes); // The block with 'bytes' will start at offset 0x0FF80000
-     *
-     * let string = memMap.asHexString();
+     * let memMap = MemoryMap.fromHex(intelHexString);
+     * let coe = memMap.asCoe({ wordSize: 4, endianness: 'little', depth: 1024 });
      */
-    asHexString(lineSize = 16) {
-        let lowAddress  = 0;    // 16 least significant bits of the current addr
-        let highAddress = -1 << 16; // 16 most significant bits of the current addr
-        const records = [];
-        if (lineSize <=0) {
-            throw new Error('Size of record must be greater than zero');
-        } else if (lineSize > 255) {
-            throw new Error('Size of record must be less than 256');
-        }
+    asCoe(options = {}) {
+        const radix = hdlRadix(options);
+        const lineTerminator = lineTerminatorOption(options);
+        const { wordSize, runs } = hdlWordRuns(this, options, true);
+        const words = runs[0][1].map((word)=>hdlWord(word, wordSize, radix));
 
-        // Placeholders
-        const offsetRecord = new Uint8Array(6);
-        const recordHeader = new Uint8Array(4);
+        return [
+            'memory_initialization_radix=' + radix + ';',
+            'memory_initialization_vector=',
+            words.join(',' + lineTerminator) + ';',
+        ].join(lineTerminator) + lineTerminator;
+    }
 
-        const sortedKeys = Array.from(this.keys()).sort((a,b)=>a-b);
-        for (let i=0,l=sortedKeys.length; i<l; i++) {
-            const blockAddr = sortedKeys[i];
-            const block = this.get(blockAddr);
+    /**
+     * Returns the contents of the {@linkcode MemoryMap} as an Intel (Altera) memory
+     * initialization (<tt>.mif</tt>) file.
+     *<br/>
+     * Bytes are packed into words of <tt>wordSize</tt> bytes in the given endianness. Word
+     * addresses are counted from <tt>baseAddress</tt>, which defaults to the lowest address
+     * with data. There is one entry per word with data, and the gaps up to the
+     * <tt>depth</tt> are filled with <tt>padByte</tt> with <tt>[first..last]</tt> entries.
+     *
+     * @param {Object} [options]
+     * @param {Number} [options.radix=16] The radix of the words: 16 (<tt>HEX</tt>) or 2
+     * (<tt>BIN</tt>). Addresses are always in hexadecimal.
+     * @param {Number} [options.wordSize=1] Size of the words, in bytes: 1, 2 or 4
+     * @param {String} [options.endianness="little"] Order of the bytes of each word:
+     * <tt>"little"</tt> or <tt>"big"</tt>
+     * @param {Number} [options.baseAddress] The address of the first word. Defaults to the
+     * lowest address with data.
+     * @param {Number} [options.depth] The number of words of the memory. Defaults to the
+     * number of words up to the last one with data.
+     * @param {Number} [options.padByte=0xFF] The value of the bytes without data
+     * @param {String} [options.lineTerminator="\n"] The line terminator: <tt>"\n"</tt>,
+     * <tt>"\r\n"</tt> or <tt>"\r"</tt>
+     *
+     * @return {String}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromHex(intelHexString);
+     * let mif = memMap.asMif({ wordSize: 4, depth: 8192 });
+     */
+    asMif(options = {}) {
+        const radix = hdlRadix(options);
+        const lineTerminator = lineTerminatorOption(options);
+        const { wordSize, depth, runs, padWord } = hdlWordRuns(this, options, false);
+        const addressDigits = (depth - 1).toString(16).length;
+        const hexAddress = (address)=>address.toString(16).toUpperCase().padStart(addressDigits, '0');
 
-            // Sanity checks
-            if (!(block instanceof Uint8Array)) {
-                throw new Error('Block at offset ' + blockAddr + ' is not an Uint8Array');
+        const lines = [
+            'WIDTH=' + (wordSize * 8) + ';',
+            'DEPTH=' + depth + ';',
+            '',
+            'ADDRESS_RADIX=HEX;',
+            'DATA_RADIX=' + (radix === 16 ? 'HEX' : 'BIN') + ';',
+            '',
+            'CONTENT BEGIN',
+        ];
+        const gap = (first, last)=>{
+            if (last === first) {
+                lines.push('    ' + hexAddress(first) + ' : ' + hdlWord(padWord, wordSize, radix) + ';');
+            } else if (last > first) {
+                lines.push('    [' + hexAddress(first) + '..' + hexAddress(last) + '] : ' + hdlWord(padWord, wordSize, radix) + ';');
             }
-            if (blockAddr < 0) {
-                throw new Error('Block at offset ' + blockAddr + ' has a negative thus invalid address');
+        };
+        let next = 0;
+        for (const [first, words] of runs) {
+            gap(next, first - 1);
+            for (let i = 0; i < words.length; i++) {
+                lines.push('    ' + hexAddress(first + i) + ' : ' + hdlWord(words[i], wordSize, radix) + ';');
             }
-            const blockSize = block.length;
-            if (!blockSize) { continue; }   // Skip zero-length blocks
-
+            next = first + words.length;
+        }
+        gap(next, depth - 1);
+        lines.push('END;');
 
-            if (blockAddr > (highAddress + 0xFFFF)) {
-                // Insert a new 0x04 record to jump to a new 64KiB block
+        return lines.join(lineTerminator) + lineTerminator;
+    }
 
-                // Round up the least significant 16 bits - no bitmasks because they trigger
-                // base-2 negative numbers, whereas subtracting the modulo maintains precision
-                highAddress = blockAddr - blockAddr % 0x10000;
-                lowAddress = 0;
 
-                offsetRecord[0] = 2;    // Length
-                offsetRecord[1] = 0;    // Load offset, high byte
-                offsetRecord[2] = 0;    // Load offset, low byte
-                offsetRecord[3] = 4;    // Record type
-                offsetRecord[4] = highAddress >> 24;    // new address offset, high byte
-                offsetRecord[5] = highAddress >> 16;    // new address offset, low byte
-
-                records.push(
-                    ':' +
-                    Array.prototype.map.call(offsetRecord, hexpad).join('') +
-                    hexpad(checksum(offsetRecord))
-                );
-            }
+    /**
+     * Returns an <tt>Uint8Array</tt> with the contents of a UF2 file, as used to flash
+     * devices with a UF2 bootloader (such as the nRF52840 dongle).
+     *<br/>
+     * The data is laid out in pages of <tt>payloadSize</tt> bytes (see
+     * {@linkcode MemoryMap#paginate}), and each page is written as the payload of one
+     * 512-byte UF2 block.
+     *
+     * @param {Number} [payloadSize=256] Number of bytes of data in each UF2 block. Must be
+     * between 1 and 476. Most bootloaders only accept 256.
+     * @param {Object} [options]
+     * @param {Number|String} [options.familyId] The family ID to write in every block. Either a
+     * <tt>Number</tt> or one of <tt>"NRF52"</tt>, <tt>"NRF52833"</tt> or <tt>"NRF52840"</tt>.
+     * Defaults to the <tt>familyId</tt> property (as set by {@linkcode MemoryMap.fromUf2}).
+     * No family ID is written if there is none.
+     * @param {Number} [options.padByte=0xFF] The value of the bytes in each payload which have
+     * no data.
+     *
+     * @return {Uint8Array}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromHex(intelHexString);
+     * let uf2FileContents = memMap.asUf2(256, { familyId: 'NRF52840' });
+     */
+    asUf2(payloadSize = 256, options = {}) {
+        if (!Number.isInteger(payloadSize) || payloadSize <= 0 || payloadSize > uf2MaxPayloadSize) {
+            throw new Error('Payload size must be an integer between 1 and ' + uf2MaxPayloadSize);
+        }
+        const familyId = options.familyId === undefined ?
+            (this.familyId === undefined ? undefined : uf2FamilyId(this.familyId)) :
+            uf2FamilyId(options.familyId);
+        const padByte = options.padByte === undefined ? 0xFF : options.padByte;
 
-            if (blockAddr < (highAddress + lowAddress)) {
-                throw new Error(
-                    'Block starting at 0x' +
-                    blockAddr.toString(16) +
-                    ' overlaps with a previous block.');
-            }
+        const pages = this.paginate(payloadSize, padByte);
+        const numBlocks = pages.size;
+        const out = new Uint8Array(numBlocks * 512);
+        const view = new DataView(out.buffer);
+        let blockNo = 0;
 
-            lowAddress = blockAddr % 0x10000;
-            let blockOffset = 0;
-            const blockEnd = blockAddr + blockSize;
-            if (blockEnd > 0xFFFFFFFF) {
+        for (const [address, page] of pages) {
+            if (address + payloadSize > 0x100000000) {
                 throw new Error('Data cannot be over 0xFFFFFFFF');
             }
+            const offset = blockNo * 512;
+            view.setUint32(offset, uf2MagicStart0, true);
+            view.setUint32(offset + 4, uf2MagicStart1, true);
+            view.setUint32(offset + 8, familyId === undefined ? 0 : uf2FlagFamilyIdPresent, true);
+            view.setUint32(offset + 12, address, true);
+            view.setUint32(offset + 16, payloadSize, true);
+            view.setUint32(offset + 20, blockNo, true);
+            view.setUint32(offset + 24, numBlocks, true);
+            view.setUint32(offset + 28, familyId === undefined ? 0 : familyId, true);
+            out.set(page, offset + 32);
+            view.setUint32(offset + 508, uf2MagicEnd, true);
+            blockNo++;
+        }
+
+        return out;
+    }
 
-            // Loop for every 64KiB memory segment that spans this block
-            while (highAddress + lowAddress < blockEnd) {
 
-                if (lowAddress > 0xFFFF) {
-                    // Insert a new 0x04 record to jump to a new 64KiB block
-                    highAddress += 1 << 16; // Increase by one
-                    lowAddress = 0;
+    /**
+     * Returns a <tt>String</tt> of text representing a .hex file, laid out like
+     * <tt>originalHexText</tt>. This is meant for patching existing .hex files, so that
+     * the differences between the original and the patched file are as small as possible.
+     *<br/>
+     * The records of the original file are kept as they are (including their line endings,
+     * letter case, and 0x02/0x04 records), as well as anything between records.
+     * Only the records whose data differs from the data in this {@linkcode MemoryMap}
+     * are written again, with their checksums recalculated:
+     * <ul>
+     * <li>Data records with changed bytes are replaced by a record at the same offset.</li>
+     * <li>Data records with no data in this {@linkcode MemoryMap} are removed. If only
+     * part of their data is missing, they are replaced by records with the rest of it.</li>
+     * <li>Any data which was not in the original file is written in new records (and 0x04
+     * records) just before the EOF record. These are as long as the longest data record
+     * of the original file.</li>
+     * <li>0x03 and 0x05 records are replaced, removed or added (just before the EOF record)
+     * depending on the <tt>startSegmentAddress</tt> and <tt>startLinearAddress</tt>
+     * properties.</li>
+     * </ul>
+     * Thus, for a {@linkcode MemoryMap} which has not been modified after parsing
+     * <tt>originalHexText</tt>, the original file is returned as is.
+     *
+     * @param {String|Uint8Array|ArrayBuffer} originalHexText The contents of the original
+     * .hex file.
+     * @return {String} String of text with the .hex representation of the data in this
+     * {@linkcode MemoryMap}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromHex(originalHexText);
+     * memMap.get(0x1000)[4] = 0x2A;
+     *
+     * let patchedHexText = memMap.asPatchedHexString(originalHexText);
+     * // Only the record with the byte at 0x1004 differs from originalHexText
+     */
+    asPatchedHexString(originalHexText) {
+        const records = MemoryMap.parseRecords(originalHexText);
+        const text = typeof originalHexText === 'string' ?
+            originalHexText :
+            charCodesToString(toCharCodes(originalHexText));
+        const memMap = this.join();
 
-                    offsetRecord[0] = 2;    // Length
-                    offsetRecord[1] = 0;    // Load offset, high byte
-                    offsetRecord[2] = 0;    // Load offset, low byte
-                    offsetRecord[3] = 4;    // Record type
-                    offsetRecord[4] = highAddress >> 24;    // new address offset, high byte
-                    offsetRecord[5] = highAddress >> 16;    // new address offset, low byte
+        // Records which were not in the original file follow the style of the first one
+        const isLowercase = (recordText)=>/[a-f]/.test(recordText) && !/[A-F]/.test(recordText);
+        const firstSeparator = records.find((record)=>record.separator);
+        const separator = firstSeparator ? firstSeparator.separator : '\n';
+        const lowercase = records.length > 0 && isLowercase(records[0].text);
+        const lineSize = records.reduce((max, record)=>
+            (record.type === 0 ? Math.max(max, record.data.length) : max), 0) || 16;
 
-                    records.push(
-                        ':' +
-                        Array.prototype.map.call(offsetRecord, hexpad).join('') +
-                        hexpad(checksum(offsetRecord))
-                    );
-                }
+        const output = [];
+        const emit = (record, recordSeparator, lowercaseRecord)=>{
+            const serialized = serializeRecord(record);
+            output.push((lowercaseRecord ? serialized.toLowerCase() : serialized) + recordSeparator);
+        };
 
-                let recordSize = -1;
-                // Loop for every record for that spans the current 64KiB memory segment
-                while (lowAddress < 0x10000 && recordSize) {
-                    recordSize = Math.min(
-                        lineSize,                            // Normal case
-                        blockEnd - highAddress - lowAddress, // End of block
-                        0x10000 - lowAddress                 // End of low addresses
-                    );
+        const covered = [];     // Address and length of every data record in the original file
+        const startAddresses = {
+            3: this.startSegmentAddress,
+            5: this.startLinearAddress,
+        };
+        const startAddressesFound = {};
+        let ulba = 0;   // Upper Linear Base Address, as per 0x02 and 0x04 records
+        let lastCharacterParsed = 0;
+        let newRecordsWritten = false;
 
-                    if (recordSize) {
+        const emitNewRecords = ()=>{
+            for (const record of dataRecords(subtractRanges(memMap, covered), lineSize)) {
+                emit(record, separator, lowercase);
+            }
+            for (const recordType of [3, 5]) {
+                if (!startAddressesFound[recordType] && startAddresses[recordType] !== undefined) {
+                    emit(startAddressRecord(recordType, startAddresses[recordType]), separator, lowercase);
+                }
+            }
+            newRecordsWritten = true;
+        };
 
-                        recordHeader[0] = recordSize;   // Length
-                        recordHeader[1] = lowAddress >> 8;    // Load offset, high byte
-                        recordHeader[2] = lowAddress;    // Load offset, low byte
-                        recordHeader[3] = 0;    // Record type
+        for (const record of records) {
+            // Keep anything between records
+            output.push(text.slice(lastCharacterParsed, record.position));
+            lastCharacterParsed = record.position + record.text.length + record.separator.length;
 
-                        const subBlock = block.subarray(blockOffset, blockOffset + recordSize);   // Data bytes for this record
+            const unchanged = record.text + record.separator;
+            const lowercaseRecord = isLowercase(record.text);
 
-                        records.push(
-                            ':' +
-                            Array.prototype.map.call(recordHeader, hexpad).join('') +
-                            Array.prototype.map.call(subBlock, hexpad).join('') +
-                            hexpad(checksumTwo(recordHeader, subBlock))
-                        );
+            if (record.type === 0) {
+                const address = ulba + record.offset;
+                const length = record.data.length;
+                covered.push([address, length]);
 
-                        blockOffset += recordSize;
-                        lowAddress += recordSize;
+                const sliced = Array.from(memMap.slice(address, length));
+                if (!length || (sliced.length === 1 && sliced[0][0] === address && sliced[0][1].length === length &&
+                    sliced[0][1].every((byte, i)=>byte === record.data[i]))) {
+                    output.push(unchanged);
+                } else {
+                    // Write whatever data is left in this record's addresses, if any
+                    for (const [blockAddr, block] of sliced) {
+                        emit({ type: 0, offset: blockAddr - ulba, data: block }, record.separator, lowercaseRecord);
                     }
                 }
+            } else if (record.type === 3 || record.type === 5) {
+                const startAddress = startAddresses[record.type];
+                startAddressesFound[record.type] = true;
+                if (startAddress === undefined) {
+                    continue;
+                }
+                if (record.data.length === 4 &&
+                    new DataView(record.data.buffer).getUint32(0) === startAddress) {
+                    output.push(unchanged);
+                } else {
+                    emit(startAddressRecord(record.type, startAddress), record.separator, lowercaseRecord);
+                }
+            } else {
+                if (record.type === 1 && !newRecordsWritten) {
+                    emitNewRecords();
+                } else if (record.type === 2 && record.data.length >= 2) {
+                    ulba = ((record.data[0] << 8) + record.data[1]) * 0x10;
+                } else if (record.type === 4 && record.data.length >= 2) {
+                    ulba = ((record.data[0] << 8) + record.data[1]) * 0x10000;
+                }
+                output.push(unchanged);
             }
         }
 
-        records.push(':00000001FF');    // EOF record
+        if (!newRecordsWritten) {
+            emitNewRecords();
+        }
+        output.push(text.slice(lastCharacterParsed));
 
-        return records.join('\n');
+        return output.join('');
     }
 
 
     /**
      * Performs a deep copy of the current {@linkcode MemoryMap}, returning a new one
-     * with exactly the same contents, but allocating new memory for each of its
-     * <tt>Uint8Array</tt>s.
+     * with exactly the same contents (including start addresses), but allocating new
+     * memory for each of its <tt>Uint8Array</tt>s.
      *
      * @return {MemoryMap}
      */
     clone() {
-        const cloned = new MemoryMap();
+        const cloned = copyStartAddresses(this, new MemoryMap());
 
         for (let [addr, value] of this) {
             cloned.set(addr, new Uint8Array(value));
@@ -831,6 +5639,9 @@ class MemoryMap {
      * <br/>
      * Internally, this uses <tt>subarray</tt>, so new memory is not allocated.
      *
+     * <br/>
+     * The start addresses are kept, even if they point outside of the slice.
+     *
      * @param {Number} address The start address of the slice
      * @param {Number} length The length of memory map to slice out
      * @return {MemoryMap}
@@ -840,7 +5651,7 @@ class MemoryMap {
             throw new Error('Length of the slice cannot be negative');
         }
 
-        const sliced = new MemoryMap();
+        const sliced = copyStartAddresses(this, new MemoryMap());
 
         for (let [blockAddr, block] of this) {
             const blockLength = block.length;
@@ -896,6 +5707,431 @@ class MemoryMap {
         return out;
     }
 
+
+    /**
+     * Returns the contents of the {@linkcode MemoryMap} as one contiguous, padded
+     * <tt>Uint8Array</tt> (e.g. to be saved as a <tt>.bin</tt> file), together with the
+     * address it starts at. This is the inverse of {@linkcode MemoryMap.fromPaddedUint8Array}.
+     *
+     * <br/>
+     * By default, the returned <tt>Uint8Array</tt> spans from the lowest to the highest address
+     * with data (as <tt>objcopy -O binary</tt> does). A different span can be given with
+     * <tt>options.start</tt> and <tt>options.end</tt>; data outside of it is left out.
+     *
+     * <br/>
+     * This method allocates new memory.
+     *
+     * @param {Number} [padByte=0xFF] The value of the byte used as padding
+     * @param {Object} [options]
+     * @param {Number} [options.start] The address of the first byte of the image
+     * @param {Number} [options.end] The address after the last byte of the image
+     * @return {Object} An object with <tt>address</tt> (the address of the first byte) and
+     * <tt>bytes</tt> (an <tt>Uint8Array</tt>)
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromHex(intelHexString);
+     * let { address, bytes } = memMap.asPaddedUint8Array(0xFF);
+     */
+    asPaddedUint8Array(padByte=0xFF, options={}) {
+        let start = options.start;
+        let end = options.end;
+
+        if (start === undefined || end === undefined) {
+            const images = this.asPaddedUint8Arrays(Infinity, padByte);
+            const span = images.length ? images[0] : { address: 0, bytes: new Uint8Array(0) };
+            start = start === undefined ? span.address : start;
+            end = end === undefined ? span.address + span.bytes.length : end;
+        }
+        if (end < start) {
+            throw new Error('End address of the image cannot be lower than its start address');
+        }
+
+        return { address: start, bytes: this.slicePad(start, end - start, padByte) };
+    }
+
+    /**
+     * Returns the contents of the {@linkcode MemoryMap} as several padded <tt>Uint8Array</tt>s
+     * (e.g. to be saved as several <tt>.bin</tt> files), each of them together with the address
+     * it starts at.
+     *
+     * <br/>
+     * Blocks of data separated by gaps of up to <tt>maxGap</tt> bytes are put in the same
+     * <tt>Uint8Array</tt>, with the gaps filled with <tt>padByte</tt>. Larger gaps start a new
+     * <tt>Uint8Array</tt>. A <tt>maxGap</tt> of <tt>Infinity</tt> returns one single
+     * <tt>Uint8Array</tt> (see {@linkcode MemoryMap#asPaddedUint8Array}), and a <tt>maxGap</tt>
+     * of zero returns one per contiguous block of data.
+     *
+     * <br/>
+     * This method allocates new memory.
+     *
+     * @param {Number} maxGap The maximum number of padding bytes between two blocks of data
+     * in the same <tt>Uint8Array</tt>
+     * @param {Number} [padByte=0xFF] The value of the byte used as padding
+     * @return {Array<Object>} An <tt>Array</tt> of objects with <tt>address</tt> and
+     * <tt>bytes</tt>, in ascending order of address
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromHex(intelHexString);
+     * for (let { address, bytes } of memMap.asPaddedUint8Arrays(0x1000)) {
+     *     // Save bytes to a file, e.g. "0x" + address.toString(16) + ".bin"
+     * }
+     */
+    asPaddedUint8Arrays(maxGap, padByte=0xFF) {
+        if (typeof maxGap !== 'number' || !(maxGap >= 0)) {
+            throw new Error('Maximum gap must be a number not lower than zero');
+        }
+
+        // Group the blocks into spans, then fill each span
+        const spans = [];
+        let span;
+        for (const blockAddr of Array.from(this.keys()).sort((a,b)=>a-b)) {
+            const blockEnd = blockAddr + this.get(blockAddr).length;
+            if (blockEnd === blockAddr) { continue; }   // Skip zero-length blocks
+
+            if (span && blockAddr - span.end <= maxGap) {
+                span.end = Math.max(span.end, blockEnd);
+            } else {
+                span = { start: blockAddr, end: blockEnd };
+                spans.push(span);
+            }
+        }
+
+        return spans.map(({start, end})=>({
+            address: start,
+            bytes: this.slicePad(start, end - start, padByte),
+        }));
+    }
+
+
+    /**
+     * Signs the contents of the {@linkcode MemoryMap} with ECDSA on the P-256 curve and
+     * SHA-256, as used by Nordic's secure DFU bootloaders and by MCUboot. Returns a
+     * <tt>Promise</tt> for the signature.
+     *<br/>
+     * The signed bytes are, by default, the ones from the lowest to the highest address
+     * with data, with any gaps filled with <tt>padByte</tt> (as in
+     * {@linkcode MemoryMap#asPaddedUint8Array}). Otherwise, they are the concatenation
+     * of the given <tt>ranges</tt>, padded the same way.
+     *<br/>
+     * The key can be given as PEM text (<tt>"PRIVATE KEY"</tt> or <tt>"EC PRIVATE KEY"</tt>,
+     * as made by <tt>openssl</tt>, <tt>nrfutil keys generate</tt> or <tt>imgtool keygen</tt>),
+     * or as an <tt>Uint8Array</tt> with the 32 bytes of a raw private key.
+     *<br/>
+     * The signature can be formatted as:
+     * <ul>
+     *  <li><tt>"raw"</tt>: the 32-byte big endian <i>r</i> and <i>s</i> integers, one after
+     *  the other (as Web Crypto does).</li>
+     *  <li><tt>"raw-le"</tt>: the same, but each integer in little endian (as nrfutil
+     *  puts in signed init packets, see {@linkcode MemoryMap.encodeInitPacket}).</li>
+     *  <li><tt>"der"</tt>: an ASN.1 DER structure (as OpenSSL and MCUboot do).</li>
+     * </ul>
+     * This uses Web Crypto in browsers, and the <tt>crypto</tt> module in Node.js.
+     *
+     * @param {String|Uint8Array} key The private key
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.ranges] The address ranges to sign, as objects with
+     * <tt>address</tt> and <tt>length</tt> properties
+     * @param {Number} [options.padByte=0xFF] The value of the bytes without data
+     * @param {String} [options.format="raw"] The format of the signature: <tt>"raw"</tt>,
+     * <tt>"raw-le"</tt> or <tt>"der"</tt>
+     * @param {SubtleCrypto} [options.subtle] The Web Crypto implementation to use, instead
+     * of the global one
+     * @return {Promise<Uint8Array>}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromHex(intelHexString);
+     * memMap.sign(privateKeyPem, { ranges: [{ address: 0x1000, length: 0x4000 }], format: 'der' })
+     *     .then((signature)=>console.log(signature));
+     */
+    sign(key, options = {}) {
+        return Promise.resolve().then(()=>{
+            const format = signatureFormat(options);
+            const bytes = signedBytes(this, options);
+            const subtle = subtleCrypto(options);
+            return ecdsaKey(key, 'sign', subtle)
+                .then((cryptoKey)=>subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, cryptoKey, bytes))
+                .then((signature)=>encodeSignature(new Uint8Array(signature), format));
+        });
+    }
+
+    /**
+     * Verifies an ECDSA P-256/SHA-256 signature of the contents of the {@linkcode MemoryMap},
+     * as made by {@linkcode MemoryMap#sign}. Returns a <tt>Promise</tt> for a <tt>Boolean</tt>,
+     * <tt>true</tt> if the signature is valid.
+     *<br/>
+     * The signed bytes are taken the same way as in {@linkcode MemoryMap#sign}, so the same
+     * <tt>ranges</tt> and <tt>padByte</tt> must be given.
+     *<br/>
+     * The key can be given as PEM text (<tt>"PUBLIC KEY"</tt>, or any of the private keys
+     * that {@linkcode MemoryMap#sign} takes), or as an <tt>Uint8Array</tt> with a raw
+     * public key: the 32-byte <i>x</i> and <i>y</i> coordinates, optionally preceded by
+     * a <tt>0x04</tt> byte.
+     *
+     * @param {Uint8Array} signature The signature, in the given format
+     * @param {String|Uint8Array} key The public key (or the private key)
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.ranges] The address ranges which were signed
+     * @param {Number} [options.padByte=0xFF] The value of the bytes without data
+     * @param {String} [options.format="raw"] The format of the signature: <tt>"raw"</tt>,
+     * <tt>"raw-le"</tt> or <tt>"der"</tt>
+     * @param {SubtleCrypto} [options.subtle] The Web Crypto implementation to use, instead
+     * of the global one
+     * @return {Promise<Boolean>}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromHex(intelHexString);
+     * memMap.verify(signature, publicKeyPem, { format: 'der' })
+     *     .then((valid)=>console.log(valid ? 'Valid signature' : 'Invalid signature'));
+     */
+    verify(signature, key, options = {}) {
+        return Promise.resolve().then(()=>{
+            const rawSignature = decodeSignature(signature, signatureFormat(options));
+            const bytes = signedBytes(this, options);
+            const subtle = subtleCrypto(options);
+            return ecdsaKey(key, 'verify', subtle)
+                .then((cryptoKey)=>subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, cryptoKey, rawSignature, bytes));
+        });
+    }
+
+
+    /**
+     * Parses the MCUboot image at the given address of the {@linkcode MemoryMap}: its
+     * 32-byte header, and its protected and unprotected TLV areas (the trailer with the
+     * hash, signatures, security counter, etc), and checks its SHA-256 hash.
+     *<br/>
+     * Returns an object with the following properties:
+     * <ul>
+     *  <li><tt>address</tt>: the address of the image (i.e. of its header)</li>
+     *  <li><tt>loadAddress</tt>, <tt>headerSize</tt>, <tt>protectedTlvSize</tt>,
+     *      <tt>imageSize</tt> and <tt>flags</tt>: the fields of the header</li>
+     *  <li><tt>version</tt>: the version of the image, as a <tt>String</tt> like
+     *      <tt>"1.2.3+4"</tt></li>
+     *  <li><tt>size</tt>: the total size of the image, including its TLV areas</li>
+     *  <li><tt>tlvs</tt>: an <tt>Array</tt> of TLVs, as objects with a <tt>type</tt>
+     *      (<tt>Number</tt>), a <tt>name</tt> (as imgtool calls them, e.g.
+     *      <tt>"SHA256"</tt> or <tt>"ECDSASIG"</tt>), its <tt>data</tt> (an
+     *      <tt>Uint8Array</tt>), and whether it is <tt>protected</tt></li>
+     *  <li><tt>hash</tt>: the SHA-256 hash of the image, as computed from the header, the
+     *      image and the protected TLV area</li>
+     *  <li><tt>hashValid</tt>: whether <tt>hash</tt> matches the <tt>SHA256</tt> TLV, or
+     *      <tt>undefined</tt> if there is none</li>
+     *  <li><tt>signedRange</tt>: the address range covered by the hash and the signature,
+     *      as an object with <tt>address</tt> and <tt>length</tt>. This can be passed to
+     *      {@linkcode MemoryMap#verify} to check an <tt>ECDSASIG</tt> TLV.</li>
+     * </ul>
+     * Bytes without data in the {@linkcode MemoryMap} are read as <tt>0xFF</tt>.
+     *
+     * @param {Number} [address] The address of the image. Defaults to the lowest address
+     * with data.
+     * @return {Object}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let memMap = MemoryMap.fromHex(signedHexString);
+     * let image = memMap.parseMcubootImage(0xC000);
+     * console.log(image.version, image.hashValid);
+     *
+     * let signature = image.tlvs.find((tlv)=>tlv.name === 'ECDSASIG').data;
+     * memMap.verify(signature, publicKeyPem, { ranges: [image.signedRange], format: 'der' })
+     *     .then((valid)=>console.log(valid));
+     */
+    parseMcubootImage(address) {
+        if (address === undefined) {
+            address = this.asPaddedUint8Array().address;
+        }
+        const read = (offset, length)=>{
+            const bytes = this.slicePad(offset, length, 0xFF);
+            return { bytes, view: new DataView(bytes.buffer) };
+        };
+        const hex = (value)=>'0x' + value.toString(16).toUpperCase();
+
+        const { view: header } = read(address, mcubootHeaderLength);
+        if (header.getUint32(0, true) !== mcubootImageMagic) {
+            throw new Error('No MCUboot image at address ' + hex(address) + ' (bad magic number)');
+        }
+        const image = {
+            address,
+            loadAddress: header.getUint32(4, true),
+            headerSize: header.getUint16(8, true),
+            protectedTlvSize: header.getUint16(10, true),
+            imageSize: header.getUint32(12, true),
+            flags: header.getUint32(16, true),
+            version: header.getUint8(20) + '.' + header.getUint8(21) + '.' +
+                header.getUint16(22, true) + '+' + header.getUint32(24, true),
+            tlvs: [],
+        };
+        if (image.headerSize < mcubootHeaderLength) {
+            throw new Error('Malformed MCUboot image at address ' + hex(address) + ', its header size is ' + image.headerSize);
+        }
+
+        let offset = address + image.headerSize + image.imageSize;
+        image.signedRange = { address, length: offset + image.protectedTlvSize - address };
+
+        const readTlvArea = (magic, isProtected)=>{
+            const { view: info } = read(offset, 4);
+            const length = info.getUint16(2, true);
+            if (info.getUint16(0, true) !== magic || length < 4 ||
+                (isProtected && length !== image.protectedTlvSize)) {
+                throw new Error('No ' + (isProtected ? 'protected ' : '') + 'TLV area at address ' + hex(offset) +
+                    ', after the MCUboot image at address ' + hex(address));
+            }
+            const { bytes, view } = read(offset, length);
+            for (let pos = 4; pos < length; ) {
+                if (pos + 4 > length || pos + 4 + view.getUint16(pos + 2, true) > length) {
+                    throw new Error('Malformed TLV at address ' + hex(offset + pos) + ', it goes past the end of its TLV area');
+                }
+                const type = view.getUint16(pos, true);
+                const data = bytes.slice(pos + 4, pos + 4 + view.getUint16(pos + 2, true));
+                image.tlvs.push({ type, name: mcubootTlvTypes[type], data, protected: isProtected });
+                pos += 4 + data.length;
+            }
+            offset += length;
+        };
+        if (image.protectedTlvSize) {
+            readTlvArea(mcubootProtectedTlvInfoMagic, true);
+        }
+        readTlvArea(mcubootTlvInfoMagic, false);
+        image.size = offset - address;
+
+        image.hash = sha256(this.slicePad(image.signedRange.address, image.signedRange.length, 0xFF));
+        const hashTlv = image.tlvs.find((tlv)=>tlv.name === 'SHA256' && !tlv.protected);
+        image.hashValid = hashTlv ? hashTlv.data.length === 32 && hashTlv.data.every((byte, i)=>byte === image.hash[i]) : undefined;
+
+        return image;
+    }
+
+    /**
+     * Wraps the contents of the {@linkcode MemoryMap} (e.g. an application) into an MCUboot
+     * image, the same way <tt>imgtool create</tt> (or <tt>imgtool sign</tt>) does: with a
+     * header before the data, and TLV areas after it. Returns a <tt>Promise</tt> for a new
+     * {@linkcode MemoryMap} with the image as one contiguous block.
+     *<br/>
+     * The header takes the first <tt>headerSize</tt> bytes of the image, which must be
+     * zeroes or have no data. If <tt>padHeader</tt> is set, the image starts
+     * <tt>headerSize</tt> bytes before the lowest address with data instead (as with
+     * <tt>imgtool --pad-header</tt>).
+     *<br/>
+     * The unprotected TLV area holds the SHA-256 hash of the image and, if a
+     * <tt>key</tt> is given, the SHA-256 hash of its public key and the ECDSA P-256
+     * signature of the image (see {@linkcode MemoryMap#sign}). A security counter goes
+     * into a protected TLV area.
+     *
+     * @param {Object} [options]
+     * @param {Number} [options.headerSize=0x200] The size of the header, including padding
+     * @param {Boolean} [options.padHeader=false] Whether to add the header before the data,
+     * instead of over its first bytes
+     * @param {Number} [options.address] The address of the image. Defaults to the lowest
+     * address with data (minus <tt>headerSize</tt>, if <tt>padHeader</tt> is set).
+     * @param {String} [options.version="0.0.0+0"] The version of the image
+     * @param {Number} [options.loadAddress] The address to load the image into RAM at.
+     * If given, the image is flagged to be loaded into RAM.
+     * @param {Number} [options.securityCounter] The security counter of the image
+     * @param {String|Uint8Array} [options.key] The ECDSA P-256 private key to sign the image with
+     * @param {SubtleCrypto} [options.subtle] The Web Crypto implementation to sign with, instead
+     * of the global one (see {@linkcode MemoryMap#sign})
+     * @param {Number} [options.padByte=0xFF] The value of the bytes without data (the
+     * erased value of the flash)
+     * @return {Promise<MemoryMap>}
+     *
+     * @example
+     * import MemoryMap from 'nrf-intel-hex';
+     *
+     * let app = MemoryMap.fromHex(appHexString);
+     * app.asMcubootImage({ version: '1.2.3+4', key: privateKeyPem, padHeader: true })
+     *     .then((signed)=>console.log(signed.asHexString()));
+     */
+    asMcubootImage(options = {}) {
+        return Promise.resolve().then(()=>{
+            const headerSize = options.headerSize === undefined ? 0x200 : options.headerSize;
+            const padByte = options.padByte === undefined ? 0xFF : options.padByte;
+            const version = mcubootVersion(options.version === undefined ? '0.0.0+0' : options.version);
+            if (!Number.isInteger(headerSize) || headerSize < mcubootHeaderLength || headerSize > 0xFFFF) {
+                throw new Error('Header size must be an integer between 32 and 0xFFFF');
+            }
+            if (options.loadAddress !== undefined && !(Number.isInteger(options.loadAddress) && options.loadAddress >= 0 && options.loadAddress <= 0xFFFFFFFF)) {
+                throw new Error('Load address must be an integer between 0 and 0xFFFFFFFF');
+            }
+            if (options.securityCounter !== undefined && !(Number.isInteger(options.securityCounter) && options.securityCounter >= 0 && options.securityCounter <= 0xFFFFFFFF)) {
+                throw new Error('Security counter must be an integer between 0 and 0xFFFFFFFF');
+            }
+
+            const span = this.asPaddedUint8Array(padByte);
+            if (!span.bytes.length) {
+                throw new Error('Cannot create an MCUboot image with no data');
+            }
+            let address = options.address;
+            if (address === undefined) {
+                address = options.padHeader ? span.address - headerSize : span.address;
+            }
+            if (address < 0) {
+                throw new Error('There is no room for the header of the MCUboot image before address 0x' + span.address.toString(16).toUpperCase());
+            }
+            const end = span.address + span.bytes.length;
+            if (Array.from(this.slice(address, headerSize).values()).some((block)=>block.some((byte)=>byte !== 0))) {
+                throw new Error('The first 0x' + headerSize.toString(16).toUpperCase() +
+                    ' bytes of the MCUboot image must be zeroes to make room for the header, unless padHeader is set');
+            }
+            if (end <= address + headerSize) {
+                throw new Error('MCUboot image has no data after its header');
+            }
+
+            const protectedTlvs = [];
+            if (options.securityCounter !== undefined) {
+                const counter = new Uint8Array(4);
+                new DataView(counter.buffer).setUint32(0, options.securityCounter, true);
+                protectedTlvs.push([0x50, counter]);
+            }
+            const protectedTlvArea = protectedTlvs.length ? mcubootTlvArea(mcubootProtectedTlvInfoMagic, protectedTlvs) : new Uint8Array(0);
+
+            const imageSize = end - address - headerSize;
+            const bytes = this.slicePad(address, end - address + protectedTlvArea.length, padByte);
+            const view = new DataView(bytes.buffer);
+            view.setUint32(0, mcubootImageMagic, true);
+            view.setUint32(4, options.loadAddress === undefined ? 0 : options.loadAddress, true);
+            view.setUint16(8, headerSize, true);
+            view.setUint16(10, protectedTlvArea.length, true);
+            view.setUint32(12, imageSize, true);
+            view.setUint32(16, options.loadAddress === undefined ? 0 : mcubootRamLoadFlag, true);
+            view.setUint8(20, version[0]);
+            view.setUint8(21, version[1]);
+            view.setUint16(22, version[2], true);
+            view.setUint32(24, version[3], true);
+            view.setUint32(28, 0, true);
+            bytes.set(protectedTlvArea, headerSize + imageSize);
+
+            const signed = new MemoryMap([[address, bytes]]);
+            const tlvs = [[0x10, sha256(bytes)]];
+            let signing = Promise.resolve(tlvs);
+            if (options.key !== undefined) {
+                const subtle = subtleCrypto(options);
+                signing = ecdsaKey(options.key, 'verify', subtle)
+                    .then((publicKey)=>subtle.exportKey('spki', publicKey))
+                    .then((spki)=>{
+                        tlvs.push([0x01, sha256(new Uint8Array(spki))]);
+                        return signed.sign(options.key, { format: 'der', subtle });
+                    })
+                    .then((signature)=>tlvs.concat([[0x22, signature]]));
+            }
+
+            return signing.then((tlvs)=>{
+                const tlvArea = mcubootTlvArea(mcubootTlvInfoMagic, tlvs);
+                const image = new Uint8Array(bytes.length + tlvArea.length);
+                image.set(bytes);
+                image.set(tlvArea, bytes.length);
+                return new MemoryMap([[address, image]]);
+            });
+        });
+    }
+
     /**
      * Checks whether the current memory map contains the one given as a parameter.
      *
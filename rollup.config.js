@@ -14,7 +14,7 @@ export default [
         name: 'MemoryMap',
         plugins: [
             buble({
-                transforms: { forOf: false }
+                transforms: { forOf: false, generator: false }
             }),
         ]
     },
@@ -27,7 +27,7 @@ export default [
         ],
         plugins: [
             buble({
-                transforms: { forOf: false }
+                transforms: { forOf: false, generator: false }
             }),
         ]
     }
@@ -328,6 +328,128 @@ describe("MemoryMap utilities", function() {
         });
     });
 
+    describe("mergeMemoryMaps", ()=>{
+        const memMaps = ()=>new Map([
+            ['foo', new MemoryMap([[0x00, new Uint8Array([1, 2, 3, 4])]])],
+            ['bar', new MemoryMap([[0x02, new Uint8Array([3, 0xB1, 0xB2, 6])]])],
+            ['quux', new MemoryMap([[0x10, new Uint8Array([0xC0])]])],
+        ]);
+
+        it('throws on unknown policies', ()=>{
+            expect(()=>MemoryMap.mergeMemoryMaps(memMaps(), { overlap: 'foo' })).toThrow(new Error(
+                'Overlap policy must be "error", "first-wins", "last-wins" or "allow-if-identical"'));
+        });
+
+        it('merges non-overlapping memory maps', ()=>{
+            const result = MemoryMap.mergeMemoryMaps(new Map([
+                ['foo', new MemoryMap([[0x00, new Uint8Array([1, 2])]])],
+                ['bar', new MemoryMap([[0x02, new Uint8Array([3, 4])]])],
+            ]));
+
+            expect(result.memMap).toEqual(new MemoryMap([[0x00, new Uint8Array([1, 2, 3, 4])]]));
+            expect(result.conflicts).toEqual([]);
+        });
+
+        it('throws on any overlap by default', ()=>{
+            expect(()=>MemoryMap.mergeMemoryMaps(memMaps())).toThrow(new Error(
+                'Overlapping data around address 0x2 between "foo", "bar"'));
+        });
+
+        it('keeps the first data with "first-wins"', ()=>{
+            const result = MemoryMap.mergeMemoryMaps(memMaps(), { overlap: 'first-wins' });
+
+            expect(result.memMap).toEqual(new MemoryMap([
+                [0x00, new Uint8Array([1, 2, 3, 4, 0xB2, 6])],
+                [0x10, new Uint8Array([0xC0])],
+            ]));
+            expect(result.conflicts).toEqual([{ address: 0x03, length: 1, ids: ['foo', 'bar'] }]);
+        });
+
+        it('keeps the last data with "last-wins"', ()=>{
+            const result = MemoryMap.mergeMemoryMaps(memMaps(), { overlap: 'last-wins' });
+
+            expect(result.memMap).toEqual(new MemoryMap([
+                [0x00, new Uint8Array([1, 2, 3, 0xB1, 0xB2, 6])],
+                [0x10, new Uint8Array([0xC0])],
+            ]));
+            expect(result.conflicts).toEqual([{ address: 0x03, length: 1, ids: ['foo', 'bar'] }]);
+        });
+
+        it('reports contiguous conflicts between three inputs', ()=>{
+            const result = MemoryMap.mergeMemoryMaps(new Map([
+                ['foo', new MemoryMap([[0x00, new Uint8Array([1, 2, 3, 4])]])],
+                ['bar', new MemoryMap([[0x00, new Uint8Array([1, 0xB0, 0xB1, 4])]])],
+                ['quux', new MemoryMap([[0x02, new Uint8Array([0xC0, 0xC1])]])],
+            ]), { overlap: 'last-wins' });
+
+            expect(result.memMap).toEqual(new MemoryMap([[0x00, new Uint8Array([1, 0xB0, 0xC0, 0xC1])]]));
+            expect(result.conflicts).toEqual([
+                { address: 0x01, length: 1, ids: ['foo', 'bar'] },
+                { address: 0x02, length: 2, ids: ['foo', 'bar', 'quux'] },
+            ]);
+        });
+
+        it('only reports the inputs which disagree with the kept data', ()=>{
+            const inputs = new Map([
+                ['foo', new MemoryMap([[0x00, new Uint8Array([1, 2, 3, 4])]])],
+                ['bar', new MemoryMap([[0x00, new Uint8Array([1, 2, 0xB0, 4])]])],
+                ['quux', new MemoryMap([[0x00, new Uint8Array([1, 0xC0, 3, 4])]])],
+            ]);
+
+            const first = MemoryMap.mergeMemoryMaps(inputs, { overlap: 'first-wins' });
+            expect(first.memMap).toEqual(new MemoryMap([[0x00, new Uint8Array([1, 2, 3, 4])]]));
+            expect(first.conflicts).toEqual([
+                { address: 0x01, length: 1, ids: ['foo', 'quux'] },
+                { address: 0x02, length: 1, ids: ['foo', 'bar'] },
+            ]);
+
+            const last = MemoryMap.mergeMemoryMaps(inputs, { overlap: 'last-wins' });
+            expect(last.memMap).toEqual(new MemoryMap([[0x00, new Uint8Array([1, 0xC0, 3, 4])]]));
+            expect(last.conflicts).toEqual([
+                { address: 0x01, length: 1, ids: ['foo', 'bar', 'quux'] },
+                { address: 0x02, length: 1, ids: ['bar', 'quux'] },
+            ]);
+        });
+
+        it('allows identical overlaps with "allow-if-identical"', ()=>{
+            const result = MemoryMap.mergeMemoryMaps(new Map([
+                ['foo', new MemoryMap([[0x00, new Uint8Array([1, 2, 3, 4])]])],
+                ['bar', new MemoryMap([[0x02, new Uint8Array([3, 4, 5])]])],
+            ]), { overlap: 'allow-if-identical' });
+
+            expect(result.memMap).toEqual(new MemoryMap([[0x00, new Uint8Array([1, 2, 3, 4, 5])]]));
+            expect(result.conflicts).toEqual([]);
+        });
+
+        it('throws on different overlaps with "allow-if-identical"', ()=>{
+            expect(()=>MemoryMap.mergeMemoryMaps(memMaps(), { overlap: 'allow-if-identical' })).toThrow(new Error(
+                'Overlapping data with different values at addresses 0x3 to 0x3 between "foo", "bar"'));
+        });
+
+        it('merges start addresses', ()=>{
+            const inputs = memMaps();
+            inputs.get('foo').startLinearAddress = 0x1000;
+            inputs.get('bar').startLinearAddress = 0x2000;
+            inputs.get('quux').startSegmentAddress = 0x3000;
+
+            const first = MemoryMap.mergeMemoryMaps(inputs, { overlap: 'first-wins' }).memMap;
+            expect(first.startLinearAddress).toBe(0x1000);
+            expect(first.startSegmentAddress).toBe(0x3000);
+
+            const last = MemoryMap.mergeMemoryMaps(inputs, { overlap: 'last-wins' }).memMap;
+            expect(last.startLinearAddress).toBe(0x2000);
+            expect(last.startSegmentAddress).toBe(0x3000);
+        });
+
+        it('throws on different start addresses with "allow-if-identical"', ()=>{
+            expect(()=>MemoryMap.mergeMemoryMaps(new Map([
+                ['foo', Object.assign(new MemoryMap(), { startLinearAddress: 0x1000 })],
+                ['bar', Object.assign(new MemoryMap(), { startLinearAddress: 0x2000 })],
+            ]), { overlap: 'allow-if-identical' })).toThrow(new Error(
+                'Different values for startLinearAddress in "bar"'));
+        });
+    });
+
     describe("paginate", ()=>{
 
         describe("Input sanity", ()=>{
@@ -737,6 +859,45 @@ describe("MemoryMap utilities", function() {
     });
 
 
+    describe("start addresses", function() {
+        let memMap;
+        beforeEach(()=>{
+            memMap = new MemoryMap([
+                [0x000000, new Uint8Array([1,2,3,4])],
+                [0x000004, new Uint8Array([5,6,7,8])],
+            ]);
+            memMap.startSegmentAddress = 0x12345678;
+            memMap.startLinearAddress = 0x0001C0C1;
+        });
+
+        it('are kept by clone()', () => {
+            const cloned = memMap.clone();
+            expect(cloned.startSegmentAddress).toBe(0x12345678);
+            expect(cloned.startLinearAddress).toBe(0x0001C0C1);
+        });
+
+        it('are kept by join()', () => {
+            const joined = memMap.join();
+            expect(joined.size).toBe(1);
+            expect(joined.startSegmentAddress).toBe(0x12345678);
+            expect(joined.startLinearAddress).toBe(0x0001C0C1);
+        });
+
+        it('are kept by slice()', () => {
+            const sliced = memMap.slice(0x10, 4);
+            expect(sliced.size).toBe(0);
+            expect(sliced.startSegmentAddress).toBe(0x12345678);
+            expect(sliced.startLinearAddress).toBe(0x0001C0C1);
+        });
+
+        it('are kept by paginate()', () => {
+            const pages = memMap.paginate(16);
+            expect(pages.startSegmentAddress).toBe(0x12345678);
+            expect(pages.startLinearAddress).toBe(0x0001C0C1);
+        });
+    });
+
+
     describe("contains", function() {
         const bytes1 = new Uint8Array([1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16]);
         const bytes2 = new Uint8Array([1,2,3,4,5,6,7,8]);
@@ -937,4 +1098,119 @@ describe("MemoryMap utilities", function() {
         
     });
 
+    describe("asPaddedUint8Array", function() {
+        const bytes2 = new Uint8Array([1,2,3,4]);
+        const bytes3 = new Uint8Array([5,6,7,8]);
+
+        it('spans from the lowest to the highest address', () => {
+            let memMap = new MemoryMap([
+                [0x001006, bytes3],
+                [0x001000, bytes2],
+            ]);
+
+            expect(memMap.asPaddedUint8Array()).toEqual({
+                address: 0x1000,
+                bytes: Uint8Array.from([1,2,3,4,0xFF,0xFF,5,6,7,8]),
+            });
+            expect(memMap.asPaddedUint8Array(0x00).bytes).toEqual(Uint8Array.from(
+                [1,2,3,4,0,0,5,6,7,8]
+            ));
+        });
+
+        it('honours the start and end addresses', () => {
+            let memMap = new MemoryMap([
+                [0x001000, bytes2],
+                [0x001006, bytes3],
+            ]);
+
+            expect(memMap.asPaddedUint8Array(0xFF, {start: 0xFFE})).toEqual({
+                address: 0xFFE,
+                bytes: Uint8Array.from([0xFF,0xFF,1,2,3,4,0xFF,0xFF,5,6,7,8]),
+            });
+            expect(memMap.asPaddedUint8Array(0xFF, {end: 0x100C})).toEqual({
+                address: 0x1000,
+                bytes: Uint8Array.from([1,2,3,4,0xFF,0xFF,5,6,7,8,0xFF,0xFF]),
+            });
+            expect(memMap.asPaddedUint8Array(0xFF, {start: 0x1002, end: 0x1007})).toEqual({
+                address: 0x1002,
+                bytes: Uint8Array.from([3,4,0xFF,0xFF,5]),
+            });
+        });
+
+        it('of an empty map is empty', () => {
+            let memMap = new MemoryMap();
+
+            expect(memMap.asPaddedUint8Array()).toEqual({address: 0, bytes: new Uint8Array(0)});
+            expect(memMap.asPaddedUint8Array(0xA5, {start: 0x10, end: 0x12})).toEqual({
+                address: 0x10,
+                bytes: Uint8Array.from([0xA5,0xA5]),
+            });
+        });
+
+        it('is the inverse of fromPaddedUint8Array', () => {
+            const padded = Uint8Array.from([1,2,3,4,0xFF,0xFF,0xFF,0xFF,5,6,7,8]);
+            let memMap = MemoryMap.fromPaddedUint8Array(padded, 0xFF, 4);
+
+            expect(memMap.size).toBe(2);
+            expect(memMap.asPaddedUint8Array()).toEqual({address: 0, bytes: padded});
+        });
+
+        it('fails when the end is lower than the start', () => {
+            let memMap = new MemoryMap([[0x001000, bytes2]]);
+
+            expect(()=>memMap.asPaddedUint8Array(0xFF, {start: 0x1000, end: 0xFFF})).toThrow(new Error(
+                'End address of the image cannot be lower than its start address'));
+        });
+    });
+
+    describe("asPaddedUint8Arrays", function() {
+        const bytes2 = new Uint8Array([1,2,3,4]);
+        const bytes3 = new Uint8Array([5,6,7,8]);
+        const memMap = new MemoryMap([
+            [0x001000, bytes2],
+            [0x001006, bytes3],
+            [0x020000, bytes2],
+        ]);
+
+        it('splits where gaps are bigger than maxGap', () => {
+            expect(memMap.asPaddedUint8Arrays(0x1000)).toEqual([
+                { address: 0x1000, bytes: Uint8Array.from([1,2,3,4,0xFF,0xFF,5,6,7,8]) },
+                { address: 0x20000, bytes: Uint8Array.from([1,2,3,4]) },
+            ]);
+            expect(memMap.asPaddedUint8Arrays(2, 0)).toEqual([
+                { address: 0x1000, bytes: Uint8Array.from([1,2,3,4,0,0,5,6,7,8]) },
+                { address: 0x20000, bytes: Uint8Array.from([1,2,3,4]) },
+            ]);
+        });
+
+        it('returns one Uint8Array per block when maxGap is zero', () => {
+            expect(memMap.asPaddedUint8Arrays(1)).toEqual([
+                { address: 0x1000, bytes: bytes2 },
+                { address: 0x1006, bytes: bytes3 },
+                { address: 0x20000, bytes: bytes2 },
+            ]);
+            expect(memMap.asPaddedUint8Arrays(0).length).toBe(3);
+        });
+
+        it('returns one Uint8Array when maxGap is Infinity', () => {
+            const images = memMap.asPaddedUint8Arrays(Infinity);
+
+            expect(images.length).toBe(1);
+            expect(images[0].address).toBe(0x1000);
+            expect(images[0].bytes.length).toBe(0x1F004);
+            expect(images[0]).toEqual(memMap.asPaddedUint8Array());
+        });
+
+        it('of an empty map is empty', () => {
+            expect((new MemoryMap()).asPaddedUint8Arrays(0)).toEqual([]);
+        });
+
+        it('fails on invalid gaps', () => {
+            expect(()=>memMap.asPaddedUint8Arrays(-1)).toThrow(new Error(
+                'Maximum gap must be a number not lower than zero'));
+            expect(()=>memMap.asPaddedUint8Arrays()).toThrow(new Error(
+                'Maximum gap must be a number not lower than zero'));
+        });
+    });
+
 });
@@ -0,0 +1,143 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+
+describe("asCSource", function() {
+
+    const memMap = new MemoryMap([
+        [0x2000, new Uint8Array([0xAA, 0xBB])],
+        [0x1000, new Uint8Array([1, 2, 3, 4, 5])],
+    ]);
+
+    it("outputs one array per block", function() {
+        const { header, source } = memMap.asCSource('fw', { align: 4, bytesPerLine: 4 });
+
+        expect(header).toBe(
+            '#ifndef FW_H\n' +
+            '#define FW_H\n' +
+            '\n' +
+            '#include <stdint.h>\n' +
+            '\n' +
+            '#ifdef __cplusplus\n' +
+            'extern "C" {\n' +
+            '#endif\n' +
+            '\n' +
+            '#define FW_BLOCK_COUNT 2\n' +
+            '\n' +
+            '#define FW_0_ADDRESS 0x00001000\n' +
+            '#define FW_0_LENGTH 5\n' +
+            'extern const uint8_t fw_0[5];\n' +
+            '\n' +
+            '#define FW_1_ADDRESS 0x00002000\n' +
+            '#define FW_1_LENGTH 2\n' +
+            'extern const uint8_t fw_1[2];\n' +
+            '\n' +
+            '#ifdef __cplusplus\n' +
+            '}\n' +
+            '#endif\n' +
+            '\n' +
+            '#endif /* FW_H */\n'
+        );
+        expect(source).toBe(
+            '#include "fw.h"\n' +
+            '\n' +
+            'const uint8_t fw_0[5] __attribute__((aligned(4))) = {\n' +
+            '    0x01, 0x02, 0x03, 0x04,\n' +
+            '    0x05,\n' +
+            '};\n' +
+            '\n' +
+            'const uint8_t fw_1[2] __attribute__((aligned(4))) = {\n' +
+            '    0xAA, 0xBB,\n' +
+            '};\n'
+        );
+    });
+
+    it("outputs one padded array", function() {
+        const small = new MemoryMap([[0x10, new Uint8Array([1, 2])], [0x14, new Uint8Array([5])]]);
+        const { header, source } = small.asCSource('image', { padded: true, padByte: 0, headerName: 'gen/image.h' });
+
+        expect(header).toContain('#ifndef GEN_IMAGE_H\n');
+        expect(header).toContain(
+            '#define IMAGE_ADDRESS 0x00000010\n' +
+            '#define IMAGE_LENGTH 5\n' +
+            'extern const uint8_t image[5];\n'
+        );
+        expect(header).not.toContain('BLOCK_COUNT');
+        expect(source).toBe(
+            '#include "gen/image.h"\n' +
+            '\n' +
+            'const uint8_t image[5] = {\n' +
+            '    0x01, 0x02, 0x00, 0x00, 0x05,\n' +
+            '};\n'
+        );
+    });
+
+    it("packs bytes into words", function() {
+        expect(memMap.asCSource('fw', { wordSize: 4 }).source).toContain(
+            'const uint32_t fw_0[2] = {\n' +
+            '    0x04030201, 0xFFFFFF05,\n' +
+            '};\n'
+        );
+        expect(memMap.asCSource('fw', { wordSize: 4, endianness: 'big', bytesPerLine: 4 }).source).toContain(
+            'const uint32_t fw_0[2] = {\n' +
+            '    0x01020304,\n' +
+            '    0x05FFFFFF,\n' +
+            '};\n'
+        );
+        expect(memMap.asCSource('fw', { wordSize: 2, padByte: 0 }).source).toContain(
+            'const uint16_t fw_0[3] = {\n' +
+            '    0x0201, 0x0403, 0x0005,\n' +
+            '};\n'
+        );
+        expect(memMap.asCSource('fw', { wordSize: 4 }).header).toContain(
+            '#define FW_0_LENGTH 5\n' +
+            'extern const uint32_t fw_0[2];\n'
+        );
+    });
+
+    it("uses the given line terminator", function() {
+        const { header, source } = memMap.asCSource('fw', { lineTerminator: '\r\n' });
+        expect(header.split('\r\n').length).toBe(header.split('\n').length);
+        expect(source.split('\r\n').length).toBe(source.split('\n').length);
+    });
+
+    it("fails on invalid options", function() {
+        expect(()=>memMap.asCSource('1fw')).toThrow(new Error('Name of the arrays must be a valid C identifier'));
+        expect(()=>memMap.asCSource('fw', { wordSize: 3 })).toThrow(new Error('Word size must be 1, 2 or 4'));
+        expect(()=>memMap.asCSource('fw', { endianness: 'middle' })).toThrow(new Error(
+            'Endianness must be "little" or "big"'));
+        expect(()=>memMap.asCSource('fw', { wordSize: 4, bytesPerLine: 6 })).toThrow(new Error(
+            'Bytes per line must be an integer multiple of the word size'));
+        expect(()=>memMap.asCSource('fw', { align: 3 })).toThrow(new Error('Alignment must be a power of two'));
+        expect(()=>memMap.asCSource('fw', { lineTerminator: ';' })).toThrow(new Error(
+            'Line terminator must be "\\n", "\\r\\n" or "\\r"'));
+    });
+});
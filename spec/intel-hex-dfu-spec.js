@@ -0,0 +1,230 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+function fromHexDump(str) {
+    const bytes = new Uint8Array(str.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(str.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function toText(bytes) {
+    return String.fromCharCode.apply(null, bytes);
+}
+
+// A DFU package zipped by Python's zipfile module, with a manifest.json (compressed with
+// fixed Huffman codes), a nrf52840_xxaa.bin (compressed with dynamic Huffman codes) and
+// a nrf52840_xxaa.dat (deflated, but stored).
+const pythonZip = fromHexDump(
+    '504b03041400000008000060424c55357eea53000000970000000d0000006d61' +
+    '6e69666573742e6a736f6eabe6520002a5dcc4bcccb4d4e212252b856ab00858' +
+    '34b1a020273339b124333f0f45022c999499179f9699930a9451ca2b4a3335b2' +
+    '303188afa8484cd403ca28e9a02a4e492cc1a11828a304575bcb05216b01504b' +
+    '03041400000008000060424c015a46445500000090010000110000006e726635' +
+    '323834305f787861612e62696e95d04b0ec0200845514401f183fbdf6d07b684' +
+    '419bd4f9c9e306e09175f1c0baa86335eaa95a6949666920332b3c4023e80e1a' +
+    'f074b0676e60114004e860cfb0dfa11822a7212386d869483e0df978d9cf90f7' +
+    '975d504b03041400000008000060424c3aa9c1d9080000000300000011000000' +
+    '6e726635323834305f787861612e646174010300fcff123456504b0102140314' +
+    '00000008000060424c55357eea53000000970000000d00000000000000000000' +
+    '008001000000006d616e69666573742e6a736f6e504b01021403140000000800' +
+    '0060424c015a4644550000009001000011000000000000000000000080017e00' +
+    '00006e726635323834305f787861612e62696e504b0102140314000000080000' +
+    '60424c3aa9c1d908000000030000001100000000000000000000008001020100' +
+    '006e726635323834305f787861612e646174504b05060000000003000300b900' +
+    '0000390100000000');
+
+// The contents of nrf52840_xxaa.bin in the above
+const pythonZipBin = new Uint8Array(400).map((_, i)=>Math.floor((i * 1103515245 + 12345) / 0x10000) % 16);
+
+
+describe("createDfuPackage", function() {
+
+    const app = new MemoryMap([[0x27000, new Uint8Array([1, 2, 3, 4])], [0x27008, new Uint8Array([5, 6])]]);
+
+    it("writes the manifest, binary and init packet files", function() {
+        const zip = MemoryMap.createDfuPackage({
+            application: { memMap: app, initPacket: new Uint8Array([0x12, 0x34]) },
+        });
+        const { manifest, images } = MemoryMap.parseDfuPackage(zip);
+
+        expect(manifest).toEqual({
+            application: { bin_file: 'application.bin', dat_file: 'application.dat' },
+        });
+        expect(images.application.bin).toEqual(new Uint8Array([1, 2, 3, 4, 0xFF, 0xFF, 0xFF, 0xFF, 5, 6]));
+        expect(images.application.initPacket).toEqual(new Uint8Array([0x12, 0x34]));
+    });
+
+    it("writes a zip file, with the manifest formatted like nrfutil does", function() {
+        const zip = MemoryMap.createDfuPackage({ application: app });
+
+        // Local file header of the first file
+        expect(zip.subarray(0, 4)).toEqual(new Uint8Array([0x50, 0x4B, 0x03, 0x04]));
+        expect(toText(zip.subarray(30, 45))).toBe('application.bin');
+        // End of central directory record, with two files
+        expect(zip.subarray(zip.length - 22, zip.length - 18)).toEqual(new Uint8Array([0x50, 0x4B, 0x05, 0x06]));
+        expect(zip[zip.length - 12]).toBe(2);
+
+        expect(toText(zip)).toContain(
+            '{\n' +
+            '    "manifest": {\n' +
+            '        "application": {\n' +
+            '            "bin_file": "application.bin"\n' +
+            '        }\n' +
+            '    }\n' +
+            '}'
+        );
+    });
+
+    it("leaves out the MBR of SoftDevices, and the UICR", function() {
+        const softdevice = new MemoryMap([
+            [0x0000, new Uint8Array(0x1000).fill(0xAA)],
+            [0x1000, new Uint8Array([1, 2, 3])],
+        ]);
+        const bootloader = new MemoryMap([
+            [0xF8000, new Uint8Array([4, 5])],
+            [0x10001014, new Uint8Array([0x00, 0x80, 0x0F, 0x00])],
+        ]);
+        const { images } = MemoryMap.parseDfuPackage(MemoryMap.createDfuPackage({ softdevice, bootloader }));
+
+        expect(images.softdevice.bin).toEqual(new Uint8Array([1, 2, 3]));
+        expect(images.bootloader.bin).toEqual(new Uint8Array([4, 5]));
+    });
+
+    it("writes combined SoftDevice and bootloader images", function() {
+        const zip = MemoryMap.createDfuPackage({
+            softdevice_bootloader: {
+                softdevice: new MemoryMap([[0x1000, new Uint8Array([1, 2, 3])]]),
+                bootloader: new MemoryMap([[0xF8000, new Uint8Array([4, 5])]]),
+                initPacket: new Uint8Array([6]),
+            },
+        });
+        const { manifest, images } = MemoryMap.parseDfuPackage(zip);
+
+        expect(manifest.softdevice_bootloader).toEqual({
+            bin_file: 'softdevice_bootloader.bin',
+            dat_file: 'softdevice_bootloader.dat',
+            info_read_only_metadata: { bl_size: 2, sd_size: 3 },
+        });
+        expect(images.softdevice_bootloader.bin).toEqual(new Uint8Array([1, 2, 3, 4, 5]));
+    });
+
+    it("fails on invalid images", function() {
+        expect(()=>MemoryMap.createDfuPackage({ app })).toThrow(new Error(
+            'Type of DFU image must be "application", "bootloader", "softdevice" or "softdevice_bootloader"'));
+        expect(()=>MemoryMap.createDfuPackage({ application: new Map() })).toThrow(new Error(
+            'Image "application" of the DFU package must be a MemoryMap'));
+        expect(()=>MemoryMap.createDfuPackage({ application: new MemoryMap() })).toThrow(new Error(
+            'Image "application" of the DFU package has no data'));
+        expect(()=>MemoryMap.createDfuPackage({ softdevice_bootloader: { softdevice: app } })).toThrow(new Error(
+            'Image "softdevice_bootloader.bootloader" of the DFU package must be a MemoryMap'));
+        expect(()=>MemoryMap.createDfuPackage({ application: { memMap: app, initPacket: [1, 2] } })).toThrow(new Error(
+            'Init packet of DFU image "application" must be an Uint8Array or an Object'));
+    });
+});
+
+
+describe("parseDfuPackage", function() {
+
+    it("reads zip files with deflated files", function() {
+        const { manifest, images } = MemoryMap.parseDfuPackage(pythonZip.buffer);
+
+        expect(manifest).toEqual({
+            application: { bin_file: 'nrf52840_xxaa.bin', dat_file: 'nrf52840_xxaa.dat' },
+        });
+        expect(images.application.bin).toEqual(pythonZipBin);
+        expect(images.application.initPacket).toEqual(new Uint8Array([0x12, 0x34, 0x56]));
+        expect(images.application.memMap).toEqual(new MemoryMap([[0, pythonZipBin]]));
+    });
+
+    it("places images at the given addresses", function() {
+        const zip = MemoryMap.createDfuPackage({
+            application: new MemoryMap([[0x27000, new Uint8Array([1, 2])]]),
+            softdevice_bootloader: {
+                softdevice: new MemoryMap([[0x1000, new Uint8Array([3, 4, 5])]]),
+                bootloader: new MemoryMap([[0xF8000, new Uint8Array([6])]]),
+            },
+        });
+
+        let { images } = MemoryMap.parseDfuPackage(zip);
+        expect(images.application.memMap).toEqual(new MemoryMap([[0, new Uint8Array([1, 2])]]));
+        expect(images.softdevice_bootloader.memMap).toEqual(new MemoryMap([
+            [0x1000, new Uint8Array([3, 4, 5])],
+            [0x1003, new Uint8Array([6])],
+        ]));
+
+        images = MemoryMap.parseDfuPackage(zip, { addresses: { application: 0x27000, bootloader: 0xF8000 } }).images;
+        expect(images.application.memMap).toEqual(new MemoryMap([[0x27000, new Uint8Array([1, 2])]]));
+        expect(images.softdevice_bootloader.memMap).toEqual(new MemoryMap([
+            [0x1000, new Uint8Array([3, 4, 5])],
+            [0xF8000, new Uint8Array([6])],
+        ]));
+    });
+
+    it("fails on invalid zip files", function() {
+        expect(()=>MemoryMap.parseDfuPackage('PK')).toThrow(new Error(
+            'Contents of a DFU package must be an Uint8Array or an ArrayBuffer'));
+        expect(()=>MemoryMap.parseDfuPackage(new Uint8Array(100))).toThrow(new Error(
+            'Not a zip file (could not find the end of central directory record)'));
+
+        const zip = MemoryMap.createDfuPackage({ application: new MemoryMap([[0, new Uint8Array([1, 2])]]) });
+        zip[45] = 0xFF;
+        expect(()=>MemoryMap.parseDfuPackage(zip)).toThrow(new Error(
+            'File "application.bin" in zip file is corrupted (CRC mismatch)'));
+
+        const corrupted = pythonZip.slice();
+        corrupted[0x4A] ^= 0xFF;    // Inside the compressed manifest.json
+        expect(()=>MemoryMap.parseDfuPackage(corrupted)).toThrow();
+    });
+
+    it("fails on invalid packages", function() {
+        // Renames a file in a zip file (to a name of the same length), by changing all the
+        // occurrences of its name except for the ones (quoted) in manifest.json
+        function rename(zip, from, to) {
+            const renamed = zip.slice();
+            let pos = -1;
+            while ((pos = toText(renamed).indexOf(from, pos + 1)) !== -1) {
+                for (let i = 0; renamed[pos - 1] !== 0x22 && i < to.length; i++) {
+                    renamed[pos + i] = to.charCodeAt(i);
+                }
+            }
+            return renamed;
+        }
+
+        const zip = MemoryMap.createDfuPackage({ application: new MemoryMap([[0, new Uint8Array([1])]]) });
+
+        expect(()=>MemoryMap.parseDfuPackage(rename(zip, 'manifest.json', 'Manifest.json'))).toThrow(new Error(
+            'DFU package has no manifest.json'));
+        expect(()=>MemoryMap.parseDfuPackage(rename(zip, 'application.bin', 'Application.bin'))).toThrow(new Error(
+            'DFU package has no "application.bin" file, as referenced by manifest.json'));
+    });
+});
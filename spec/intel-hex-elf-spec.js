@@ -0,0 +1,295 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+function fromHexDump(str) {
+    const bytes = new Uint8Array(str.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(str.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+// An ELF64 x86-64 executable built from:
+//     .text: _start: .byte 1, 2, 3, 4   (in FLASH, at 0x1000)
+//     .data: counter: .byte 0xAA, 0xBB  (in RAM at 0x20000000, loaded into FLASH at 0x1004)
+//     .bss:  buf: .skip 8               (in RAM)
+// "objcopy -O ihex" outputs 01 02 03 04 AA BB at 0x1000.
+const elf64 = fromHexDump(
+    '7f454c4602010100000000000000000002003e00010000000010000000000000' +
+    '4000000000000000880100000000000000000000400038000200400007000600' +
+    '0100000005000000b00000000000000000100000000000000010000000000000' +
+    '0400000000000000040000000000000010000000000000000100000006000000' +
+    'c000000000000000000000200000000004100000000000000200000000000000' +
+    '0a00000000000000100000000000000001020304000000000000000000000000' +
+    'aabb000000000000000000000000000000000000000000000000000000000000' +
+    '010000000400f1ff000000000000000000000000000000000500000000000300' +
+    '0200002000000000000000000000000009000000100001000010000000000000' +
+    '0000000000000000100000001000020000000020000000000000000000000000' +
+    '00742e6f00627566005f737461727400636f756e74657200002e73796d746162' +
+    '002e737472746162002e7368737472746162002e74657874002e64617461002e' +
+    '6273730000000000000000000000000000000000000000000000000000000000' +
+    '0000000000000000000000000000000000000000000000000000000000000000' +
+    '00000000000000001b0000000100000006000000000000000010000000000000' +
+    'b000000000000000040000000000000000000000000000000100000000000000' +
+    '0000000000000000210000000100000003000000000000000000002000000000' +
+    'c000000000000000020000000000000000000000000000000100000000000000' +
+    '0000000000000000270000000800000003000000000000000200002000000000' +
+    'c200000000000000080000000000000000000000000000000100000000000000' +
+    '0000000000000000010000000200000000000000000000000000000000000000' +
+    'c800000000000000780000000000000005000000030000000800000000000000' +
+    '1800000000000000090000000300000000000000000000000000000000000000' +
+    '4001000000000000180000000000000000000000000000000100000000000000' +
+    '0000000000000000110000000300000000000000000000000000000000000000' +
+    '58010000000000002c0000000000000000000000000000000100000000000000' +
+    '0000000000000000');
+
+// The same as above, as an ELF32 i386 executable.
+const elf32 = fromHexDump(
+    '7f454c4601010100000000000000000002000300010000000010000034000000' +
+    '2c01000000000000340020000200280007000600010000008000000000100000' +
+    '0010000004000000040000000500000010000000010000009000000000000020' +
+    '04100000020000000a0000000600000010000000000000000000000000000000' +
+    '01020304000000000000000000000000aabb0000000000000000000000000000' +
+    '000000000100000000000000000000000400f1ff070000000200002000000000' +
+    '000003000b000000001000000000000010000100120000000000002000000000' +
+    '10000200007433322e6f00627566005f737461727400636f756e74657200002e' +
+    '73796d746162002e737472746162002e7368737472746162002e74657874002e' +
+    '64617461002e6273730000000000000000000000000000000000000000000000' +
+    '00000000000000000000000000000000000000001b0000000100000006000000' +
+    '0010000080000000040000000000000000000000010000000000000021000000' +
+    '0100000003000000000000209000000002000000000000000000000001000000' +
+    '0000000027000000080000000300000002000020920000000800000000000000' +
+    '0000000001000000000000000100000002000000000000000000000094000000' +
+    '5000000005000000030000000400000010000000090000000300000000000000' +
+    '00000000e40000001a0000000000000000000000010000000000000011000000' +
+    '030000000000000000000000fe0000002c000000000000000000000001000000' +
+    '00000000');
+
+// Builds a minimal ELF file, with no sections, the given entry point and one
+// PT_LOAD segment per [physicalAddress, virtualAddress, data, memorySize].
+function buildElf(bits, littleEndian, entry, segments) {
+    const headerSize = bits === 32 ? 52 : 64;
+    const phentsize = bits === 32 ? 32 : 56;
+    let size = headerSize + phentsize * segments.length;
+    const offsets = segments.map((segment)=>{ size += segment[2].length; return size - segment[2].length; });
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    const word = bits === 32 ?
+        (offset, value)=>view.setUint32(offset, value, littleEndian) :
+        (offset, value)=>{
+            view.setUint32(offset + (littleEndian ? 0 : 4), value % 0x100000000, littleEndian);
+            view.setUint32(offset + (littleEndian ? 4 : 0), Math.floor(value / 0x100000000), littleEndian);
+        };
+    const size64 = bits === 32 ? 4 : 8;
+
+    bytes.set([0x7F, 0x45, 0x4C, 0x46, bits === 32 ? 1 : 2, littleEndian ? 1 : 2, 1]);
+    view.setUint16(16, 2, littleEndian);    // ET_EXEC
+    view.setUint16(18, 40, littleEndian);   // EM_ARM
+    view.setUint32(20, 1, littleEndian);
+    word(24, entry);
+    word(24 + size64, headerSize);  // e_phoff
+    view.setUint16(headerSize - 12, headerSize, littleEndian);
+    view.setUint16(headerSize - 10, phentsize, littleEndian);
+    view.setUint16(headerSize - 8, segments.length, littleEndian);
+
+    segments.forEach((segment, i)=>{
+        const ph = headerSize + i * phentsize;
+        view.setUint32(ph, 1, littleEndian);    // PT_LOAD
+        if (bits === 32) {
+            [offsets[i], segment[1], segment[0], segment[2].length, segment[3]].forEach((value, j)=>word(ph + 4 + j * 4, value));
+        } else {
+            [offsets[i], segment[1], segment[0], segment[2].length, segment[3]].forEach((value, j)=>word(ph + 8 + j * 8, value));
+        }
+        bytes.set(segment[2], offsets[i]);
+    });
+
+    return bytes;
+}
+
+
+describe("parseElf", function() {
+
+    it("reads the header, program headers, sections and symbols of an ELF64 file", function() {
+        const elf = MemoryMap.parseElf(elf64);
+
+        expect(elf.bits).toBe(64);
+        expect(elf.littleEndian).toBe(true);
+        expect(elf.type).toBe(2);
+        expect(elf.machine).toBe(62);
+        expect(elf.entry).toBe(0x1000);
+
+        expect(elf.segments.length).toBe(2);
+        expect(elf.segments[1]).toEqual({
+            type: 1, flags: 6, offset: 0xC0, virtualAddress: 0x20000000, physicalAddress: 0x1004,
+            fileSize: 2, memorySize: 10, align: 16,
+        });
+
+        expect(elf.sections.map((section)=>section.name)).toEqual(
+            ['', '.text', '.data', '.bss', '.symtab', '.strtab', '.shstrtab']);
+        expect(elf.sections[3]).toEqual({
+            name: '.bss', type: 8, flags: 3, address: 0x20000002, offset: 0xC2, size: 8,
+            link: 0, info: 0, addressAlign: 1, entrySize: 0,
+        });
+
+        expect(elf.symbols.length).toBe(5);
+        expect(elf.symbols[3]).toEqual({
+            name: '_start', value: 0x1000, size: 0, type: 0, binding: 1, visibility: 0,
+            sectionIndex: 1, section: '.text',
+        });
+        expect(elf.symbols[1].name).toBe('t.o');
+        expect(elf.symbols[1].section).toBe(undefined);   // SHN_ABS
+    });
+
+    it("reads an ELF32 file", function() {
+        const elf = MemoryMap.parseElf(elf32.buffer);
+
+        expect(elf.bits).toBe(32);
+        expect(elf.machine).toBe(3);
+        expect(elf.entry).toBe(0x1000);
+        expect(elf.segments.map((segment)=>segment.physicalAddress)).toEqual([0x1000, 0x1004]);
+        expect(elf.symbols.map((symbol)=>symbol.name)).toEqual(['', 't32.o', 'buf', '_start', 'counter']);
+        expect(elf.symbols[4].section).toBe('.data');
+    });
+
+    it("reads big endian files", function() {
+        [32, 64].forEach((bits)=>{
+            const elf = MemoryMap.parseElf(buildElf(bits, false, 0x12345678, [[0x1000, 0x20000000, new Uint8Array([1, 2]), 4]]));
+
+            expect(elf.bits).toBe(bits);
+            expect(elf.littleEndian).toBe(false);
+            expect(elf.machine).toBe(40);
+            expect(elf.entry).toBe(0x12345678);
+            expect(elf.segments[0].physicalAddress).toBe(0x1000);
+            expect(elf.segments[0].virtualAddress).toBe(0x20000000);
+            expect(elf.segments[0].fileSize).toBe(2);
+            expect(elf.segments[0].memorySize).toBe(4);
+            expect(elf.sections).toEqual([]);
+            expect(elf.symbols).toEqual([]);
+        });
+    });
+
+    it("fails on invalid input", function() {
+        expect(()=>MemoryMap.parseElf('\x7FELF')).toThrow(new Error(
+            'Contents of an ELF file must be an Uint8Array or an ArrayBuffer'));
+        expect(()=>MemoryMap.parseElf(new Uint8Array(64))).toThrow(new Error(
+            'Not an ELF file (bad magic number)'));
+
+        const bad = elf64.slice();
+        bad[4] = 3;
+        expect(()=>MemoryMap.parseElf(bad)).toThrow(new Error(
+            'Unsupported ELF class 3 (should be 1 for ELF32 or 2 for ELF64)'));
+        bad[4] = 2;
+        bad[5] = 0;
+        expect(()=>MemoryMap.parseElf(bad)).toThrow(new Error(
+            'Unsupported ELF data encoding 0 (should be 1 for little endian or 2 for big endian)'));
+    });
+
+    it("fails on truncated files", function() {
+        expect(()=>MemoryMap.parseElf(elf64.subarray(0, 40))).toThrow(new Error(
+            'ELF file is truncated, could not read offset 0x28'));
+        expect(()=>MemoryMap.parseElf(elf64.subarray(0, 0xC1))).toThrow(new Error(
+            'ELF file is truncated, segment 1 goes past the end of the file'));
+    });
+});
+
+
+describe("fromElf", function() {
+
+    it("loads segments at their physical addresses, like objcopy does", function() {
+        const memMap = MemoryMap.fromElf(elf64);
+
+        expect(memMap.size).toBe(1);
+        expect(memMap.get(0x1000)).toEqual(new Uint8Array([1, 2, 3, 4, 0xAA, 0xBB]));
+        expect(memMap.startLinearAddress).toBe(0x1000);
+
+        expect(MemoryMap.fromElf(elf32.buffer)).toEqual(memMap);
+    });
+
+    it("loads segments at their virtual addresses", function() {
+        const memMap = MemoryMap.fromElf(elf64, Infinity, {addresses: 'virtual'});
+
+        expect(memMap.size).toBe(2);
+        expect(memMap.get(0x1000)).toEqual(new Uint8Array([1, 2, 3, 4]));
+        expect(memMap.get(0x20000000)).toEqual(new Uint8Array([0xAA, 0xBB]));
+    });
+
+    it("splits blocks bigger than maxBlockSize", function() {
+        const memMap = MemoryMap.fromElf(elf64, 4);
+
+        expect(memMap.size).toBe(2);
+        expect(memMap.get(0x1000)).toEqual(new Uint8Array([1, 2, 3, 4]));
+        expect(memMap.get(0x1004)).toEqual(new Uint8Array([0xAA, 0xBB]));
+    });
+
+    it("splits segments bigger than maxBlockSize", function() {
+        const data = new Uint8Array(10).map((_, i)=>i);
+        const memMap = MemoryMap.fromElf(buildElf(32, true, 0x8000, [[0x8000, 0x8000, data, 10]]), 4);
+
+        expect(memMap.size).toBe(3);
+        expect(memMap.get(0x8000)).toEqual(new Uint8Array([0, 1, 2, 3]));
+        expect(memMap.get(0x8004)).toEqual(new Uint8Array([4, 5, 6, 7]));
+        expect(memMap.get(0x8008)).toEqual(new Uint8Array([8, 9]));
+        expect(MemoryMap.fromElf(buildElf(32, true, 0x8000, [[0x8000, 0x8000, data, 10]])).get(0x8000)).toEqual(data);
+    });
+
+    it("loads big endian files", function() {
+        [32, 64].forEach((bits)=>{
+            const memMap = MemoryMap.fromElf(buildElf(bits, false, 0x8000, [
+                [0x8000, 0x8000, new Uint8Array([1, 2, 3]), 3],
+                [0x9000, 0x20000000, new Uint8Array([4, 5]), 0x100],
+            ]));
+
+            expect(memMap.size).toBe(2);
+            expect(memMap.get(0x8000)).toEqual(new Uint8Array([1, 2, 3]));
+            expect(memMap.get(0x9000)).toEqual(new Uint8Array([4, 5]));
+            expect(memMap.startLinearAddress).toBe(0x8000);
+        });
+    });
+
+    it("does not set a start address over 0xFFFFFFFF", function() {
+        const memMap = MemoryMap.fromElf(buildElf(64, true, 0x100000000, [[0, 0, new Uint8Array([1]), 1]]));
+
+        expect(memMap.startLinearAddress).toBe(undefined);
+    });
+
+    it("fails on overlapping segments", function() {
+        expect(()=>MemoryMap.fromElf(buildElf(32, true, 0, [
+            [0x8000, 0x8000, new Uint8Array([1, 2, 3]), 3],
+            [0x8002, 0x9000, new Uint8Array([4, 5]), 2],
+        ]))).toThrow(new Error('Segment 1 overlaps with a previous segment around address 0x8002'));
+    });
+
+    it("fails on invalid options", function() {
+        expect(()=>MemoryMap.fromElf(elf64, Infinity, {addresses: 'lma'})).toThrow(new Error(
+            'Addresses must be "physical" or "virtual"'));
+    });
+});
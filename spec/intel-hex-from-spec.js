@@ -0,0 +1,124 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+
+function fromHex(str) {
+    return new Uint8Array(str.match(/../g).map((byte)=>parseInt(byte, 16)));
+}
+
+function fromText(str) {
+    return new Uint8Array(Array.from(str).map((char)=>char.charCodeAt(0)));
+}
+
+// An ELF32 file with one loadable segment: 01 02 03 04 at 0x1000, which is also the entry point
+const elf = fromHex(
+    '7f454c46010101000000000000000000020028000100000000100000340000000000000000000000' +
+    '340020000100280000000000010000005400000000100000001000000400000004000000050000000400000001020304');
+
+
+describe("from", function() {
+
+    const memMap = new MemoryMap([[0x1000, new Uint8Array([1, 2, 3, 4])]]);
+
+    it("detects text formats, in Strings and in bytes", function() {
+        for (const [format, text] of [
+            ['hex', memMap.asHexString()],
+            ['srec', memMap.asSRecord()],
+            ['titxt', memMap.asTiTxt()],
+        ]) {
+            for (const input of [text, fromText(text), fromText(text).buffer]) {
+                const result = MemoryMap.from(input);
+                expect(result.format).toBe(format);
+                expect(result.memMap.get(0x1000)).toEqual(new Uint8Array([1, 2, 3, 4]));
+            }
+        }
+    });
+
+    it("detects ELF and UF2 files", function() {
+        let result = MemoryMap.from(elf);
+        expect(result.format).toBe('elf');
+        expect(result.memMap.get(0x1000)).toEqual(new Uint8Array([1, 2, 3, 4]));
+        expect(result.memMap.startLinearAddress).toBe(0x1000);
+
+        result = MemoryMap.from(memMap.asUf2(4).buffer);
+        expect(result.format).toBe('uf2');
+        expect(result.memMap.get(0x1000)).toEqual(new Uint8Array([1, 2, 3, 4]));
+    });
+
+    it("reads anything else as raw binary, at the given address", function() {
+        let result = MemoryMap.from(new Uint8Array([0, 1, 2, 3, 4]));
+        expect(result.format).toBe('binary');
+        expect(result.memMap).toEqual(new MemoryMap([[0, new Uint8Array([0, 1, 2, 3, 4])]]));
+
+        result = MemoryMap.from(new Uint8Array([0, 1, 2, 3, 4]).buffer, 2, { address: 0x2000 });
+        expect(result.memMap).toEqual(new MemoryMap([
+            [0x2000, new Uint8Array([0, 1])],
+            [0x2002, new Uint8Array([2, 3])],
+            [0x2004, new Uint8Array([4])],
+        ]));
+
+        // Text which is not in a known format
+        expect(MemoryMap.from(fromText('hello')).format).toBe('binary');
+    });
+
+    it("passes the options to the parser", function() {
+        const text = ':0400000001020304F2\n:0400000001020304F2\n:00000001FF';
+        expect(()=>MemoryMap.from(text)).toThrow(new Error(
+            'Could not parse the input as Intel HEX: Duplicated data at record 2 (:0400000001020304F2)'));
+        expect(MemoryMap.from(text, Infinity, { overlap: 'allow-if-identical' }).memMap).toEqual(new MemoryMap([
+            [0, new Uint8Array([1, 2, 3, 4])],
+        ]));
+    });
+
+    it("only tries the given formats", function() {
+        expect(MemoryMap.from(elf, Infinity, { formats: ['binary'] }).format).toBe('binary');
+        expect(()=>MemoryMap.from(new Uint8Array([1, 2]), Infinity, { formats: ['elf', 'uf2', 'hex'] })).toThrow(new Error(
+            'Could not detect the format of the input, tried ELF, UF2, Intel HEX'));
+        expect(()=>MemoryMap.from(elf, Infinity, { formats: ['exe'] })).toThrow(new Error(
+            'Formats must be an Array with any of "elf", "uf2", "hex", "srec", "titxt", "binary"'));
+    });
+
+    it("lists the formats it tried when nothing matches", function() {
+        expect(()=>MemoryMap.from('hello')).toThrow(new Error(
+            'Could not detect the format of the input, tried Intel HEX, S-record, TI-TXT'));
+        expect(()=>MemoryMap.from(42)).toThrow(new Error(
+            'Input must be a String, an Uint8Array or an ArrayBuffer'));
+    });
+
+    it("tells the detected format when parsing fails", function() {
+        expect(()=>MemoryMap.from(':zz')).toThrow(new Error(
+            'Could not parse the input as Intel HEX: Malformed .hex file, could not parse any registers'));
+        expect(()=>MemoryMap.from(elf.subarray(0, 60))).toThrow(new Error(
+            'Could not parse the input as ELF: ELF file is truncated, could not read offset 0x3c'));
+        expect(()=>MemoryMap.from(new Uint8Array([1]), Infinity, { address: -1 })).toThrow(new Error(
+            'Address must be an integer not lower than zero'));
+    });
+});
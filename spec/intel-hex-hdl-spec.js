@@ -0,0 +1,310 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+
+// Five bytes at 0x1000, and two at 0x1010
+const sparse = new MemoryMap([
+    [0x1000, new Uint8Array([1, 2, 3, 4, 5])],
+    [0x1010, new Uint8Array([0xAA, 0xBB])],
+]);
+
+
+describe("asReadmem", function() {
+
+    it("writes bytes, with @ADDR directives", function() {
+        expect(sparse.asReadmem()).toBe(
+            '@0\n01\n02\n03\n04\n05\n' +
+            '@10\nAA\nBB\n'
+        );
+    });
+
+    it("packs bytes into words, in either endianness", function() {
+        expect(sparse.asReadmem({ wordSize: 4 })).toBe(
+            '@0\n04030201\nFFFFFF05\n' +
+            '@4\nFFFFBBAA\n'
+        );
+        expect(sparse.asReadmem({ wordSize: 2, endianness: 'big', padByte: 0 })).toBe(
+            '@0\n0102\n0304\n0500\n' +
+            '@8\nAABB\n'
+        );
+    });
+
+    it("merges blocks which share a word", function() {
+        const memMap = new MemoryMap([[0x0, new Uint8Array([1])], [0x3, new Uint8Array([4])], [0x9, new Uint8Array([9])]]);
+        expect(memMap.asReadmem({ wordSize: 4, padByte: 0 })).toBe(
+            '@0\n04000001\n' +
+            '@2\n00000900\n'
+        );
+    });
+
+    it("counts words from the base address", function() {
+        expect(sparse.asReadmem({ wordSize: 4, baseAddress: 0xFF8 })).toBe(
+            '@2\n04030201\nFFFFFF05\n' +
+            '@6\nFFFFBBAA\n'
+        );
+        expect(sparse.asReadmem({ wordSize: 2, baseAddress: 0xFFF })).toBe(
+            '@0\n01FF\n0302\n0504\n' +
+            '@8\nAAFF\nFFBB\n'
+        );
+    });
+
+    it("writes padded binary files up to the depth", function() {
+        expect(sparse.asReadmem({ radix: 2, wordSize: 4, padded: true, depth: 6, wordsPerLine: 2, lineTerminator: '\r\n' })).toBe(
+            '00000100000000110000001000000001 11111111111111111111111100000101\r\n' +
+            '11111111111111111111111111111111 11111111111111111111111111111111\r\n' +
+            '11111111111111111011101110101010 11111111111111111111111111111111\r\n'
+        );
+    });
+
+    it("fails on invalid options", function() {
+        expect(()=>sparse.asReadmem({ radix: 10 })).toThrow(new Error('Radix must be 16 or 2'));
+        expect(()=>sparse.asReadmem({ wordSize: 8 })).toThrow(new Error('Word size must be 1, 2 or 4'));
+        expect(()=>sparse.asReadmem({ endianness: 'pdp' })).toThrow(new Error('Endianness must be "little" or "big"'));
+        expect(()=>sparse.asReadmem({ depth: 0x11 })).toThrow(new Error('Data does not fit in a depth of 17 words, it needs 18'));
+        expect(()=>sparse.asReadmem({ depth: 0 })).toThrow(new Error('Depth must be an integer greater than zero'));
+        expect(()=>new MemoryMap().asReadmem()).toThrow(new Error('Depth must be an integer greater than zero'));
+        expect(()=>sparse.asReadmem({ baseAddress: 0x1001 })).toThrow(new Error(
+            'There is data at address 0x1000, below the base address 0x1001'));
+        expect(()=>sparse.asReadmem({ wordsPerLine: 0 })).toThrow(new Error(
+            'Words per line must be an integer greater than zero'));
+    });
+});
+
+
+describe("fromReadmem", function() {
+
+    it("reads bytes and @ADDR directives, ignoring comments and underscores", function() {
+        const memMap = MemoryMap.fromReadmem(
+            '// A comment\n' +
+            '@10 01 02 /* another\n' +
+            'comment */ 03\n' +
+            '@20\n' +
+            'A_A // 0xAA\n'
+        );
+        expect(memMap).toEqual(new MemoryMap([
+            [0x10, new Uint8Array([1, 2, 3])],
+            [0x20, new Uint8Array([0xAA])],
+        ]));
+    });
+
+    it("reads words into bytes, in either endianness, from the base address", function() {
+        const text = '@1\n04030201\n@3\nFFFFBBAA\n';
+        expect(MemoryMap.fromReadmem(text, Infinity, { wordSize: 4, baseAddress: 0x1000 })).toEqual(new MemoryMap([
+            [0x1004, new Uint8Array([1, 2, 3, 4])],
+            [0x100C, new Uint8Array([0xAA, 0xBB, 0xFF, 0xFF])],
+        ]));
+        expect(MemoryMap.fromReadmem(text, Infinity, { wordSize: 4, endianness: 'big' }).get(4)).toEqual(
+            new Uint8Array([4, 3, 2, 1]));
+    });
+
+    it("reads binary files", function() {
+        expect(MemoryMap.fromReadmem('0000_0001 11111111\n', Infinity, { radix: 2 }).get(0)).toEqual(
+            new Uint8Array([1, 0xFF]));
+    });
+
+    it("round-trips through asReadmem", function() {
+        for (const options of [{ wordSize: 4 }, { wordSize: 2, endianness: 'big', radix: 2 }]) {
+            const text = sparse.asReadmem(options);
+            const read = MemoryMap.fromReadmem(text, Infinity, Object.assign({ baseAddress: 0x1000 }, options));
+            expect(read.asReadmem(options)).toBe(text);
+            expect(read.slicePad(0x1000, 0x12)).toEqual(sparse.slicePad(0x1000, 0x12));
+        }
+    });
+
+    it("fails on malformed files", function() {
+        expect(()=>MemoryMap.fromReadmem('01\n@xyz\n')).toThrow(new Error('Malformed address at line 2 (@xyz)'));
+        expect(()=>MemoryMap.fromReadmem('01\n0x\n')).toThrow(new Error(
+            'Malformed word at line 2 (0x), it must be a 8-bit number in base 16'));
+        expect(()=>MemoryMap.fromReadmem('10000\n', Infinity, { wordSize: 2 })).toThrow(new Error(
+            'Malformed word at line 1 (10000), it must be a 16-bit number in base 16'));
+        expect(()=>MemoryMap.fromReadmem('01\n2\n', Infinity, { radix: 2 })).toThrow(new Error(
+            'Malformed word at line 2 (2), it must be a 8-bit number in base 2'));
+        expect(()=>MemoryMap.fromReadmem('@1 01\n@0 02 03\n')).toThrow(new Error(
+            'Overlapping data around address 0x1'));
+        expect(MemoryMap.fromReadmem('@1 01\n@0 02 03\n', Infinity, { overlap: 'last-wins' }).get(0)).toEqual(
+            new Uint8Array([2, 3]));
+        expect(()=>MemoryMap.fromReadmem(42)).toThrow(new Error(
+            'Contents of a memory initialization file must be a String, an Uint8Array or an ArrayBuffer'));
+    });
+});
+
+
+describe("asCoe", function() {
+
+    it("writes all the words, padded", function() {
+        expect(sparse.asCoe({ wordSize: 4 })).toBe(
+            'memory_initialization_radix=16;\n' +
+            'memory_initialization_vector=\n' +
+            '04030201,\n' +
+            'FFFFFF05,\n' +
+            'FFFFFFFF,\n' +
+            'FFFFFFFF,\n' +
+            'FFFFBBAA;\n'
+        );
+    });
+
+    it("writes binary words, up to the depth", function() {
+        const memMap = new MemoryMap([[0x1010, new Uint8Array([0xAA, 0xBB])]]);
+        expect(memMap.asCoe({ radix: 2, wordSize: 2, endianness: 'big', depth: 2 })).toBe(
+            'memory_initialization_radix=2;\n' +
+            'memory_initialization_vector=\n' +
+            '1010101010111011,\n' +
+            '1111111111111111;\n'
+        );
+    });
+});
+
+
+describe("fromCoe", function() {
+
+    it("reads words in any radix, ignoring comments", function() {
+        const coe =
+            '; Generated by hand\n' +
+            'MEMORY_INITIALIZATION_RADIX = 10;\n' +
+            'memory_initialization_vector = 1, 2 ,513\n' +
+            '65535;\n';
+        expect(MemoryMap.fromCoe(coe, Infinity, { wordSize: 2, baseAddress: 0x20 }).get(0x20)).toEqual(
+            new Uint8Array([1, 0, 2, 0, 1, 2, 0xFF, 0xFF]));
+    });
+
+    it("round-trips through asCoe", function() {
+        const coe = sparse.asCoe({ wordSize: 4, endianness: 'big' });
+        expect(MemoryMap.fromCoe(coe, Infinity, { wordSize: 4, endianness: 'big' }).asCoe({ wordSize: 4, endianness: 'big' }))
+            .toBe(coe);
+    });
+
+    it("fails on malformed files", function() {
+        expect(()=>MemoryMap.fromCoe('memory_initialization_vector=1;')).toThrow(new Error(
+            'No memory_initialization_radix in COE file'));
+        expect(()=>MemoryMap.fromCoe('memory_initialization_radix=16;')).toThrow(new Error(
+            'No memory_initialization_vector in COE file'));
+        expect(()=>MemoryMap.fromCoe('memory_initialization_radix=8;memory_initialization_vector=1;')).toThrow(new Error(
+            'Unsupported memory_initialization_radix 8 in COE file, must be 2, 10 or 16'));
+        expect(()=>MemoryMap.fromCoe('memory_initialization_radix=16;memory_initialization_vector=1,100;')).toThrow(new Error(
+            'Malformed word at word 1 (100), it must be a 8-bit number in base 16'));
+    });
+});
+
+
+describe("asMif", function() {
+
+    it("writes one entry per word, and ranges for the gaps up to the depth", function() {
+        expect(sparse.asMif({ wordSize: 4, depth: 16 })).toBe(
+            'WIDTH=32;\n' +
+            'DEPTH=16;\n' +
+            '\n' +
+            'ADDRESS_RADIX=HEX;\n' +
+            'DATA_RADIX=HEX;\n' +
+            '\n' +
+            'CONTENT BEGIN\n' +
+            '    0 : 04030201;\n' +
+            '    1 : FFFFFF05;\n' +
+            '    [2..3] : FFFFFFFF;\n' +
+            '    4 : FFFFBBAA;\n' +
+            '    [5..F] : FFFFFFFF;\n' +
+            'END;\n'
+        );
+    });
+
+    it("writes binary words, and single-word gaps", function() {
+        const memMap = new MemoryMap([[0x1010, new Uint8Array([0xAA, 0xBB])]]);
+        expect(memMap.asMif({ radix: 2, baseAddress: 0x100E, padByte: 0 })).toBe(
+            'WIDTH=8;\n' +
+            'DEPTH=4;\n' +
+            '\n' +
+            'ADDRESS_RADIX=HEX;\n' +
+            'DATA_RADIX=BIN;\n' +
+            '\n' +
+            'CONTENT BEGIN\n' +
+            '    [0..1] : 00000000;\n' +
+            '    2 : 10101010;\n' +
+            '    3 : 10111011;\n' +
+            'END;\n'
+        );
+    });
+});
+
+
+describe("fromMif", function() {
+
+    it("reads entries, ranges and comments", function() {
+        const mif =
+            '-- A comment\n' +
+            'WIDTH = 16;\n' +
+            'DEPTH = 8;\n' +
+            '% A multi-line\n' +
+            '  comment %\n' +
+            'ADDRESS_RADIX = DEC;\n' +
+            'DATA_RADIX = HEX;\n' +
+            'CONTENT\n' +
+            'BEGIN\n' +
+            '    0 : 0201 0403;  -- Two words\n' +
+            '    [4..6] : AAAA BBBB;\n' +
+            '    7 : FFFF;\n' +
+            'END;\n';
+        expect(MemoryMap.fromMif(mif, Infinity, { endianness: 'big', baseAddress: 0x100 })).toEqual(new MemoryMap([
+            [0x100, new Uint8Array([2, 1, 4, 3])],
+            [0x108, new Uint8Array([0xAA, 0xAA, 0xBB, 0xBB, 0xAA, 0xAA, 0xFF, 0xFF])],
+        ]));
+    });
+
+    it("reads negative decimal words in two's complement", function() {
+        const mif = 'WIDTH=8; DEPTH=2; DATA_RADIX=DEC; CONTENT BEGIN 0 : -1 127; END;';
+        expect(MemoryMap.fromMif(mif).get(0)).toEqual(new Uint8Array([0xFF, 0x7F]));
+    });
+
+    it("reads back the output of asMif, with the gaps filled", function() {
+        const mif = sparse.asMif({ wordSize: 2, depth: 0x10 });
+        expect(MemoryMap.fromMif(mif, Infinity, { baseAddress: 0x1000 })).toEqual(new MemoryMap([
+            [0x1000, sparse.slicePad(0x1000, 0x20)],
+        ]));
+    });
+
+    it("fails on malformed files", function() {
+        expect(()=>MemoryMap.fromMif('WIDTH=8; DEPTH=2;')).toThrow(new Error('No CONTENT BEGIN ... END; in MIF file'));
+        expect(()=>MemoryMap.fromMif('WIDTH=12; DEPTH=2; CONTENT BEGIN END;')).toThrow(new Error(
+            'Unsupported WIDTH 12 in MIF file, must be 8, 16 or 32'));
+        expect(()=>MemoryMap.fromMif('WIDTH=8; DEPTH=X; CONTENT BEGIN END;')).toThrow(new Error(
+            'Malformed DEPTH X in MIF file'));
+        expect(()=>MemoryMap.fromMif('WIDTH=8; DEPTH=2; DATA_RADIX=FOO; CONTENT BEGIN END;')).toThrow(new Error(
+            'Unsupported radix in MIF file, must be HEX, BIN, OCT, DEC or UNS'));
+        expect(()=>MemoryMap.fromMif('WIDTH=8; FOO BAR; CONTENT BEGIN END;')).toThrow(new Error(
+            'Malformed MIF setting (FOO BAR)'));
+        expect(()=>MemoryMap.fromMif('WIDTH=8; DEPTH=2; CONTENT BEGIN 0 = 1; END;')).toThrow(new Error(
+            'Malformed MIF entry "0 = 1"'));
+        expect(()=>MemoryMap.fromMif('WIDTH=8; DEPTH=2; CONTENT BEGIN 0 : 100; END;')).toThrow(new Error(
+            'Malformed word at entry "0 : 100" (100), it must be a 8-bit number in base 16'));
+        expect(()=>MemoryMap.fromMif('WIDTH=8; DEPTH=2; CONTENT BEGIN [1..2] : 0; END;')).toThrow(new Error(
+            'Addresses of MIF entry "[1..2] : 0" are out of the DEPTH of 2'));
+        expect(()=>MemoryMap.fromMif('WIDTH=8; DEPTH=2; CONTENT BEGIN 0 : 1; 0 : 2; END;')).toThrow(new Error(
+            'Duplicated data at entry "0 : 2"'));
+    });
+});
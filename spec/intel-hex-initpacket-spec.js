@@ -0,0 +1,215 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+
+function toHex(bytes) {
+    return Array.from(bytes).map((byte)=>byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(str) {
+    return new Uint8Array(str.match(/../g).map((byte)=>parseInt(byte, 16)));
+}
+
+function fromText(str) {
+    return new Uint8Array(Array.from(str).map((char)=>char.charCodeAt(0)));
+}
+
+// Encoded with protoc, from dfu-cc.proto in the nRF5 SDK
+const unsignedPacket =
+    '0a2708011223080110341a04b60180022000280030003808420708031203' +
+    '0102034800520408011200';
+const signedPacket =
+    '122b0a230801121f08ffffffff0f10ffffffff0f200328882730ac023800' +
+    '420508031201ff480110001a02aabb';
+
+
+describe("encodeInitPacket", function() {
+
+    it("encodes the same bytes as protoc", function() {
+        expect(toHex(MemoryMap.encodeInitPacket({
+            type: 'application',
+            fwVersion: 1,
+            hwVersion: 52,
+            sdReq: [0xB6, 0x100],
+            appSize: 8,
+            hash: new Uint8Array([1, 2, 3]),
+            bootValidation: [{ type: 'validate_generated_crc' }],
+        }))).toBe(unsignedPacket);
+    });
+
+    it("encodes signed commands", function() {
+        expect(toHex(MemoryMap.encodeInitPacket({
+            type: 'softdevice_bootloader',
+            sdSize: 5000,
+            blSize: 300,
+            hash: new Uint8Array([0xFF]),
+            isDebug: true,
+            signature: new Uint8Array([0xAA, 0xBB]),
+        }))).toBe(signedPacket);
+    });
+
+    it("fills in the type, size and hash from an application", function() {
+        const memMap = new MemoryMap([[0x1000, fromText('abc')]]);
+        const decoded = MemoryMap.decodeInitPacket(MemoryMap.encodeInitPacket({
+            images: { application: memMap },
+            sdReq: [0xB6],
+        }));
+
+        expect(decoded.type).toBe('application');
+        expect(decoded.appSize).toBe(3);
+        expect(decoded.sdSize).toBe(0);
+        expect(decoded.blSize).toBe(0);
+        expect(decoded.sdReq).toEqual([0xB6]);
+        expect(decoded.hashType).toBe('sha256');
+        // SHA-256 of "abc", in little endian order
+        expect(toHex(decoded.hash)).toBe(toHex(
+            fromHex('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad').reverse()));
+    });
+
+    it("fills in the sizes and hash from a SoftDevice and a bootloader", function() {
+        const softdevice = new MemoryMap([[0x0000, new Uint8Array(0x1000)], [0x1000, new Uint8Array(100)]]);
+        const bootloader = new MemoryMap([[0x78000, new Uint8Array(64)]]);
+        const decoded = MemoryMap.decodeInitPacket(MemoryMap.encodeInitPacket({
+            images: { softdevice, bootloader },
+        }));
+
+        expect(decoded.type).toBe('softdevice_bootloader');
+        expect(decoded.sdSize).toBe(100);
+        expect(decoded.blSize).toBe(64);
+        expect(decoded.appSize).toBe(0);
+        // SHA-256 of 164 zeroes, in little endian order
+        expect(toHex(decoded.hash)).toBe(
+            '4b22ee6807a2e4ddfd1bf16851609a7a009f4c6bd5aeb78162f121cb89492f02'.match(/../g).reverse().join(''));
+    });
+
+    it("hashes messages longer than one SHA-256 block", function() {
+        const memMap = new MemoryMap([[0, fromText('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq')]]);
+        const decoded = MemoryMap.decodeInitPacket(MemoryMap.encodeInitPacket({ images: { bootloader: memMap } }));
+
+        expect(decoded.type).toBe('bootloader');
+        expect(decoded.blSize).toBe(56);
+        expect(toHex(decoded.hash)).toBe(
+            '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'.match(/../g).reverse().join(''));
+    });
+
+    it("fails on invalid fields", function() {
+        const hash = new Uint8Array(32);
+        expect(()=>MemoryMap.encodeInitPacket({ type: 'foo', hash })).toThrow(new Error(
+            'type must be "application", "softdevice", "bootloader", "softdevice_bootloader" or "external_application"'));
+        expect(()=>MemoryMap.encodeInitPacket({ type: 'application' })).toThrow(new Error(
+            'hash must be an Uint8Array'));
+        expect(()=>MemoryMap.encodeInitPacket({ type: 'application', hash, fwVersion: -1 })).toThrow(new Error(
+            'fwVersion must be an integer between 0 and 0xFFFFFFFF'));
+        expect(()=>MemoryMap.encodeInitPacket({ type: 'application', hash, sdReq: [0.5] })).toThrow(new Error(
+            'sdReq must be an Array of integers between 0 and 0xFFFFFFFF'));
+        expect(()=>MemoryMap.encodeInitPacket({ type: 'application', hash, hashType: 'md5' })).toThrow(new Error(
+            'hashType must be "no_hash", "crc", "sha128", "sha256" or "sha512"'));
+        expect(()=>MemoryMap.encodeInitPacket({ images: {} })).toThrow(new Error(
+            'Images of an init packet must be an application, a bootloader, a SoftDevice, or a SoftDevice and a bootloader'));
+        expect(()=>MemoryMap.encodeInitPacket({ images: { application: new MemoryMap() } })).toThrow(new Error(
+            'Image "application" of the DFU package has no data'));
+    });
+});
+
+
+describe("decodeInitPacket", function() {
+
+    it("decodes init packets encoded by protoc", function() {
+        const decoded = MemoryMap.decodeInitPacket(fromHex(unsignedPacket));
+
+        expect(decoded.type).toBe('application');
+        expect(decoded.fwVersion).toBe(1);
+        expect(decoded.hwVersion).toBe(52);
+        expect(decoded.sdReq).toEqual([0xB6, 0x100]);
+        expect(decoded.appSize).toBe(8);
+        expect(decoded.hashType).toBe('sha256');
+        expect(decoded.hash).toEqual(new Uint8Array([1, 2, 3]));
+        expect(decoded.isDebug).toBe(false);
+        expect(decoded.bootValidation).toEqual([{ type: 'validate_generated_crc', bytes: new Uint8Array(0) }]);
+        expect(decoded.signature).toBe(undefined);
+    });
+
+    it("decodes signed init packets", function() {
+        const decoded = MemoryMap.decodeInitPacket(fromHex(signedPacket));
+
+        expect(decoded.type).toBe('softdevice_bootloader');
+        expect(decoded.fwVersion).toBe(0xFFFFFFFF);
+        expect(decoded.sdSize).toBe(5000);
+        expect(decoded.blSize).toBe(300);
+        expect(decoded.isDebug).toBe(true);
+        expect(decoded.signatureType).toBe('ecdsa_p256_sha256');
+        expect(decoded.signature).toEqual(new Uint8Array([0xAA, 0xBB]));
+        expect(toHex(decoded.command)).toBe(signedPacket.slice(8, 8 + 35 * 2));
+    });
+
+    it("decodes unpacked sd_req fields, and leaves missing fields undefined", function() {
+        // Command { op_code: INIT, init { sd_req: 0xB6, sd_req: 0xA8 } }
+        const decoded = MemoryMap.decodeInitPacket(fromHex('0a0a0801120618b60118a801'));
+
+        expect(decoded.sdReq).toEqual([0xB6, 0xA8]);
+        expect(decoded.type).toBe(undefined);
+        expect(decoded.hash).toBe(undefined);
+        expect(decoded.isDebug).toBe(undefined);
+    });
+
+    it("fails on malformed init packets", function() {
+        expect(()=>MemoryMap.decodeInitPacket([])).toThrow(new Error('Init packet must be an Uint8Array'));
+        expect(()=>MemoryMap.decodeInitPacket(new Uint8Array(0))).toThrow(new Error('Init packet has no init command'));
+        expect(()=>MemoryMap.decodeInitPacket(fromHex(unsignedPacket.slice(0, 20)))).toThrow(new Error(
+            'Malformed init packet, data is truncated'));
+        expect(()=>MemoryMap.decodeInitPacket(fromHex('0b'))).toThrow(new Error(
+            'Malformed init packet, unsupported protobuf wire type 3'));
+    });
+});
+
+
+describe("createDfuPackage with init packet fields", function() {
+
+    it("encodes the init packets from the images", function() {
+        const memMap = new MemoryMap([[0x1000, fromText('abc')]]);
+        const pkg = MemoryMap.parseDfuPackage(MemoryMap.createDfuPackage({
+            application: { memMap, initPacket: { fwVersion: 3, sdReq: [0xB6] } },
+        }));
+        const decoded = MemoryMap.decodeInitPacket(pkg.images.application.initPacket);
+
+        expect(decoded.type).toBe('application');
+        expect(decoded.fwVersion).toBe(3);
+        expect(decoded.appSize).toBe(3);
+        expect(decoded.hash).toEqual(MemoryMap.decodeInitPacket(
+            MemoryMap.encodeInitPacket({ images: { application: memMap } })).hash);
+    });
+
+    it("fails on init packets which are neither bytes nor fields", function() {
+        const memMap = new MemoryMap([[0x1000, fromText('abc')]]);
+        expect(()=>MemoryMap.createDfuPackage({ application: { memMap, initPacket: 'foo' } })).toThrow(new Error(
+            'Init packet of DFU image "application" must be an Uint8Array or an Object'));
+    });
+});
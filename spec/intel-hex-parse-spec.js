@@ -238,6 +238,59 @@ describe("MemoryMap fromHex/asHex", function() {
             }
         });
 
+        describe('Start address records', ()=>{
+            it('Has no start addresses when there are no 0x03/0x05 records', () => {
+                let blocks = MemoryMap.fromHex(':00000001FF');
+                expect(blocks.startSegmentAddress).toBe(undefined);
+                expect(blocks.startLinearAddress).toBe(undefined);
+            });
+
+            it('Keeps the value of a Start Segment Address record', () => {
+                let blocks = MemoryMap.fromHex(
+                    ':0400000312345678E5\n' +
+                    ':00000001FF');
+                expect(blocks.startSegmentAddress).toBe(0x12345678);
+                expect(blocks.startLinearAddress).toBe(undefined);
+            });
+
+            it('Keeps the value of a Start Linear Address record', () => {
+                let blocks = MemoryMap.fromHex(
+                    ':100000000102030405060708090A0B0C0D0E0F1068\n' +
+                    ':04000005FFFFFFFFFB\n' +
+                    ':00000001FF');
+                expect(blocks.startSegmentAddress).toBe(undefined);
+                expect(blocks.startLinearAddress).toBe(0xFFFFFFFF);
+            });
+
+            it('Keeps the last value when there are several records of the same type', () => {
+                let blocks = MemoryMap.fromHex(
+                    ':040000050001C0C175\n' +
+                    ':0400000512345678E3\n' +
+                    ':00000001FF');
+                expect(blocks.startLinearAddress).toBe(0x12345678);
+            });
+
+            it('Keeps start addresses when splitting blocks', () => {
+                let blocks = MemoryMap.fromHex(
+                    ':100000000102030405060708090A0B0C0D0E0F1068\n' +
+                    ':100010001112131415161718191A1B1C1D1E1F2058\n' +
+                    ':0400000312345678E5\n' +
+                    ':040000050001C0C175\n' +
+                    ':00000001FF', 16);
+                expect(blocks.size).toBe(2);
+                expect(blocks.startSegmentAddress).toBe(0x12345678);
+                expect(blocks.startLinearAddress).toBe(0x0001C0C1);
+            });
+
+            it('Throws exception on wrong-length start address records', () => {
+                expect(()=>{
+                    MemoryMap.fromHex(
+                        ':020000051234B3\n' +
+                        ':00000001FF');
+                }).toThrow(new Error('Record 1 (:020000051234B3) must have 4 data bytes.'));
+            });
+        });
+
         describe('Newline parsing', ()=>{
             it('Handles \\n', () => {
                 let blocks = MemoryMap.fromHex(
@@ -487,6 +540,320 @@ describe("MemoryMap fromHex/asHex", function() {
                 expect(blocks.size).toBe(1);
                 expect(blocks.get(0xFFF0).length).toBe(16);
             });
+
+            it('Wraps around inside the segment after 0x02 records with wrapAround', () => {
+                let blocks = MemoryMap.fromHex(
+                    ':020000021000EC\n' +
+                    ':02FFFF000102FD\n' +
+                    ':00000001FF', Infinity, { wrapAround: true });
+                expect(blocks).toEqual(new MemoryMap([
+                    [0x10000, new Uint8Array([2])],
+                    [0x1FFFF, new Uint8Array([1])]
+                ]));
+            });
+
+            it('Goes on linearly after 0x04 records with wrapAround', () => {
+                let blocks = MemoryMap.fromHex(
+                    ':020000021000EC\n' +
+                    ':020000040001F9\n' +
+                    ':02FFFF000102FD\n' +
+                    ':00000001FF', Infinity, { wrapAround: true });
+                expect(blocks).toEqual(new MemoryMap([
+                    [0x1FFFF, new Uint8Array([1, 2])]
+                ]));
+            });
+
+            it('Goes on linearly before any 0x02 or 0x04 record with wrapAround', () => {
+                let blocks = MemoryMap.fromHex(
+                    ':02FFFF000102FD\n' +
+                    ':00000001FF', Infinity, { wrapAround: true });
+                expect(blocks).toEqual(new MemoryMap([
+                    [0xFFFF, new Uint8Array([1, 2])]
+                ]));
+            });
+
+            it('Detects overlaps of wrapped data with wrapAround', () => {
+                expect(()=>{
+                    MemoryMap.fromHex(
+                        ':020000021000EC\n' +
+                        ':0100000005FA\n' +
+                        ':02FFFF000102FD\n' +
+                        ':00000001FF', Infinity, { wrapAround: true });
+                }).toThrow(new Error('Duplicated data at record 3 (:02FFFF000102FD)'));
+            });
+        });
+    });
+
+    describe("fromHex with binary input", function() {
+        function ascii(str) {
+            return new Uint8Array(str.split('').map((c)=>c.charCodeAt(0)));
+        }
+
+        const hexText =
+            ':020000040001F9\n' +
+            ':10C00000C039002049C1010063C1010065C10100C0\r\n' +
+            ':10c010000000000000000000000000000000000020\r' +
+            ':10C0300000000000000000000000000067C10100D7' +
+            ':040000050001C0C175\n' +
+            ':00000001FF\n';
+
+        it('Returns the same as with a String, from a Uint8Array', () => {
+            expect(MemoryMap.fromHex(ascii(hexText))).toEqual(MemoryMap.fromHex(hexText));
+            expect(MemoryMap.fromHex(ascii(hexText), 16)).toEqual(MemoryMap.fromHex(hexText, 16));
+        });
+
+        it('Returns the same as with a String, from an ArrayBuffer', () => {
+            expect(MemoryMap.fromHex(ascii(hexText).buffer)).toEqual(MemoryMap.fromHex(hexText));
+        });
+
+        it('Throws the same errors as with a String', () => {
+            const badInputs = [
+                '',
+                ':02000001FF',
+                ':0000000188',
+                ':100000000102030405060708090A0B0C0D0E0F1068\n',
+                ':00000001FF\n:00000001FF',
+                ':00000008F8\n:00000001FF',
+                ':100000000102030405060708090A0B0C0D0E0F1068\nfoo\n:00000001FF',
+                ':100000000102030405060708090A0B0C0D0E0F1068\n:100000000102030405060708090A0B0C0D0E0F1068\n:00000001FF',
+                ':100000000102030405060708090A0B0C0D0E0F1068\n:100008000102030405060708090A0B0C0D0E0F1060\n:00000001FF',
+                ':02FFFF000102FD\n:00000001FF',
+            ];
+            for (const input of badInputs) {
+                let expected;
+                try {
+                    MemoryMap.fromHex(input);
+                } catch (err) {
+                    expected = err;
+                }
+                expect(expected).toBeDefined();
+                expect(()=>{
+                    MemoryMap.fromHex(ascii(input));
+                }).toThrow(expected);
+            }
+        });
+
+        it('Keeps non-ASCII characters in error messages for String input', () => {
+            expect(()=>{
+                MemoryMap.fromHex(':100000000102030405060708090A0B0C0D0E0F1068\n€\n:00000001FF');
+            }).toThrow(new Error('Malformed hex file: Could not parse between characters 44 and 46 ("€")'));
+        });
+
+        it('Keeps 256KiB', () => {
+            let bytes = (new Uint8Array(0x40000)).map((i,j)=>j*7);
+            let blocks = new MemoryMap([[0x1000, bytes]]);
+
+            expect(MemoryMap.fromHex(ascii(blocks.asHexString()))).toEqual(blocks);
+        });
+    });
+
+    describe("fromHexLenient", function() {
+
+        it('Returns no diagnostics on well-formed input', () => {
+            let { memMap, diagnostics } = MemoryMap.fromHexLenient(
+                ':100000000102030405060708090A0B0C0D0E0F1068\n' +
+                ':00000001FF');
+            expect(memMap.size).toBe(1);
+            expect(memMap.get(0).length).toBe(16);
+            expect(diagnostics).toEqual([]);
+        });
+
+        it('Reports empty input', () => {
+            let { memMap, diagnostics } = MemoryMap.fromHexLenient('');
+            expect(memMap.size).toBe(0);
+            expect(diagnostics).toEqual([{
+                kind: 'noRecords',
+                severity: 'error',
+                message: 'Malformed .hex file, could not parse any registers',
+                record: undefined,
+                offset: 0
+            }]);
+        });
+
+        it('Skips records with wrong checksums and keeps going', () => {
+            let { memMap, diagnostics } = MemoryMap.fromHexLenient(
+                ':080000000102030405060708FF\n' +
+                ':100010001112131415161718191A1B1C1D1E1F2058\n' +
+                ':00000001FF');
+            expect(memMap.size).toBe(1);
+            expect(memMap.get(0x10).length).toBe(16);
+            expect(diagnostics).toEqual([{
+                kind: 'checksum',
+                severity: 'error',
+                message: 'Checksum failed at record 1 (:080000000102030405060708FF), should be d4',
+                record: 1,
+                offset: 0
+            }]);
+        });
+
+        it('Keeps data with wrong checksums when downgraded to warnings', () => {
+            let { memMap, diagnostics } = MemoryMap.fromHexLenient(
+                ':080000000102030405060708FF\n' +
+                ':100008001112131415161718191A1B1C1D1E1F2060\n' +
+                ':00000001FF', Infinity, { diagnostics: { checksum: 'warning' } });
+            expect(memMap.size).toBe(1);
+            expect(memMap.get(0).length).toBe(24);
+            expect(diagnostics.length).toBe(1);
+            expect(diagnostics[0].kind).toBe('checksum');
+            expect(diagnostics[0].severity).toBe('warning');
+        });
+
+        it('Does not report ignored problems', () => {
+            let { memMap, diagnostics } = MemoryMap.fromHexLenient(
+                ':080000000102030405060708FF\n' +
+                ':00000001FF', Infinity, { diagnostics: { checksum: 'ignore' } });
+            expect(memMap.get(0).length).toBe(8);
+            expect(diagnostics).toEqual([]);
+        });
+
+        it('Recovers at the next record mark after malformed input', () => {
+            let { memMap, diagnostics } = MemoryMap.fromHexLenient(
+                ':100000000102030405060708090A0B0C0D0E0F1068\n' +
+                'garbage\n' +
+                ':10001000111213zz15161718191A1B1C1D1E1F2058\n' +
+                ':100020002122232425262728292A2B2C2D2E2F3048\n' +
+                ':00000001FF');
+            expect(memMap.size).toBe(2);
+            expect(memMap.get(0).length).toBe(16);
+            expect(memMap.get(0x20).length).toBe(16);
+            expect(diagnostics.map((d)=>d.kind)).toEqual(['malformed', 'recordLength', 'malformed']);
+            expect(diagnostics[0].message).toBe('Malformed hex file: Could not parse between characters 44 and 52 ("garbage")');
+            expect(diagnostics.map((d)=>d.record)).toEqual([2, 2, 3]);
+            expect(diagnostics.map((d)=>d.offset)).toEqual([44, 52, 67]);
+        });
+
+        it('Reports every problem, in order', () => {
+            let { memMap, diagnostics } = MemoryMap.fromHexLenient(
+                ':10000000010203040506070868\n' +
+                ':100000000102030405060708090A0B0C0D0E0F1068\n' +
+                ':100000000102030405060708090A0B0C0D0E0F1068\n' +
+                ':00000008F8\n' +
+                ':02FFFF000102FD\n');
+            expect(memMap.size).toBe(1);
+            expect(diagnostics.map((d)=>d.kind)).toEqual([
+                'recordLength', 'duplicatedData', 'recordType', 'wrap', 'noEOF'
+            ]);
+            expect(diagnostics.map((d)=>d.record)).toEqual([1, 3, 4, 5, undefined]);
+        });
+
+        it('Drops the latter of two overlapping records', () => {
+            let { memMap, diagnostics } = MemoryMap.fromHexLenient(
+                ':100008000102030405060708090A0B0C0D0E0F1060\n' +
+                ':100000000102030405060708090A0B0C0D0E0F1068\n' +
+                ':00000001FF\n');
+            expect(memMap.size).toBe(1);
+            expect(memMap.get(8).length).toBe(16);
+            expect(diagnostics).toEqual([{
+                kind: 'overlappingData',
+                severity: 'error',
+                message: 'Overlapping data around address 0x8',
+                record: 2,
+                offset: 44
+            }]);
+        });
+
+        it('Stops parsing at the EOF record', () => {
+            let { memMap, diagnostics } = MemoryMap.fromHexLenient(
+                ':00000001FF\n' +
+                ':100000000102030405060708090A0B0C0D0E0F1068\n');
+            expect(memMap.size).toBe(0);
+            expect(diagnostics.length).toBe(1);
+            expect(diagnostics[0].kind).toBe('dataAfterEOF');
+        });
+
+        it('Throws error on unknown diagnostic kinds and severities', () => {
+            expect(()=>{
+                MemoryMap.fromHexLenient(':00000001FF', Infinity, { diagnostics: { foo: 'error' } });
+            }).toThrow(new Error('Unknown diagnostic kind "foo"'));
+            expect(()=>{
+                MemoryMap.fromHexLenient(':00000001FF', Infinity, { diagnostics: { checksum: 'fatal' } });
+            }).toThrow(new Error('Severity of diagnostic kind "checksum" must be "error", "warning" or "ignore"'));
+        });
+    });
+
+    describe("fromHex with diagnostic severities", function() {
+        it('Does not throw on problems downgraded to warnings', () => {
+            let blocks = MemoryMap.fromHex(
+                ':080000000102030405060708FF\n' +
+                ':100000000102030405060708090A0B0C0D0E0F1068\n', Infinity,
+                { diagnostics: { checksum: 'warning', duplicatedData: 'warning', noEOF: 'ignore' } });
+            expect(blocks.size).toBe(1);
+            expect(blocks.get(0).length).toBe(8);
+        });
+
+        it('Still throws on other problems', () => {
+            expect(()=>{
+                MemoryMap.fromHex(
+                    ':080000000102030405060708FF\n', Infinity,
+                    { diagnostics: { checksum: 'warning' } });
+            }).toThrow(new Error('No EOF record at end of file'));
+        });
+    });
+
+    describe("fromHex with overlap policies", function() {
+        const first = ':100000000102030405060708090A0B0C0D0E0F1068\n';
+        const overlapping = ':100008000102030405060708090A0B0C0D0E0F1060\n';
+        const identical = ':0A000800090A0B0C0D0E0F10111267\n';
+        const eof = ':00000001FF\n';
+
+        it('Throws on unknown policies', () => {
+            expect(()=>{
+                MemoryMap.fromHex(first + eof, Infinity, { overlap: 'whatever' });
+            }).toThrow(new Error('Overlap policy must be "error", "first-wins", "last-wins" or "allow-if-identical"'));
+        });
+
+        it('Keeps the first data with "first-wins"', () => {
+            let blocks = MemoryMap.fromHex(first + overlapping + eof, Infinity, { overlap: 'first-wins' });
+            expect(blocks).toEqual(new MemoryMap([[0, new Uint8Array([
+                1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16,
+                9, 10, 11, 12, 13, 14, 15, 16
+            ])]]));
+        });
+
+        it('Keeps the last data with "last-wins"', () => {
+            let blocks = MemoryMap.fromHex(first + overlapping + eof, Infinity, { overlap: 'last-wins' });
+            expect(blocks).toEqual(new MemoryMap([[0, new Uint8Array([
+                1, 2, 3, 4, 5, 6, 7, 8, 1, 2, 3, 4, 5, 6, 7, 8,
+                9, 10, 11, 12, 13, 14, 15, 16
+            ])]]));
+        });
+
+        it('Allows duplicated records with "last-wins"', () => {
+            let blocks = MemoryMap.fromHex(first + ':040004000506AA083B\n' + eof, Infinity, { overlap: 'last-wins' });
+            expect(blocks.get(0)).toEqual(new Uint8Array([
+                1, 2, 3, 4, 5, 6, 0xAA, 8, 9, 10, 11, 12, 13, 14, 15, 16
+            ]));
+        });
+
+        it('Reports conflicts as warnings', () => {
+            let result = MemoryMap.fromHexLenient(first + overlapping + eof, Infinity, { overlap: 'last-wins' });
+            expect(result.diagnostics).toEqual([{
+                kind: 'conflictingData',
+                severity: 'warning',
+                message: 'Conflicting data at addresses 0x8 to 0xf, at record 2 (:100008000102030405060708090A0B0C0D0E0F1060)',
+                record: 2,
+                offset: 44
+            }]);
+        });
+
+        it('Allows identical overlaps with "allow-if-identical"', () => {
+            let result = MemoryMap.fromHexLenient(first + identical + eof, Infinity, { overlap: 'allow-if-identical' });
+            expect(result.diagnostics).toEqual([]);
+            expect(result.memMap).toEqual(new MemoryMap([[0, new Uint8Array([
+                1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 0x11, 0x12
+            ])]]));
+        });
+
+        it('Throws on different overlaps with "allow-if-identical"', () => {
+            expect(()=>{
+                MemoryMap.fromHex(first + overlapping + eof, Infinity, { overlap: 'allow-if-identical' });
+            }).toThrow(new Error('Overlapping data with different values at addresses 0x8 to 0xf, at record 2 (:100008000102030405060708090A0B0C0D0E0F1060)'));
+        });
+
+        it('Splits blocks at record boundaries with maxBlockSize', () => {
+            let blocks = MemoryMap.fromHex(first + identical + eof, 16, { overlap: 'allow-if-identical' });
+            expect(Array.from(blocks.keys())).toEqual([0, 0x10]);
+            expect(blocks.get(0x10)).toEqual(new Uint8Array([0x11, 0x12]));
         });
     });
 
@@ -602,6 +969,218 @@ describe("MemoryMap fromHex/asHex", function() {
             });
         });
 
+        describe("Start address output", function() {
+            it('Outputs a 0x05 record before the EOF record', () => {
+                let memMap = new MemoryMap([[0, new Uint8Array([1])]]);
+                memMap.startLinearAddress = 0x0001C0C1;
+
+                expect(memMap.asHexString()).toBe(
+                    ':020000040000FA\n' +
+                    ':0100000001FE\n' +
+                    ':040000050001C0C175\n' +
+                    ':00000001FF');
+            });
+
+            it('Outputs 0x03 and 0x05 records on empty input', () => {
+                let memMap = new MemoryMap();
+                memMap.startSegmentAddress = 0x12345678;
+                memMap.startLinearAddress = 0x12345678;
+
+                expect(memMap.asHexString()).toBe(
+                    ':0400000312345678E5\n' +
+                    ':0400000512345678E3\n' +
+                    ':00000001FF');
+            });
+
+            it('Throws error on out-of-range start addresses', () => {
+                let memMap = new MemoryMap();
+                memMap.startLinearAddress = 0x100000000;
+                expect(()=>{
+                    memMap.asHexString();
+                }).toThrow(new Error('Start address for record type 0x05 must be an integer between 0 and 0xFFFFFFFF'));
+
+                memMap.startLinearAddress = undefined;
+                memMap.startSegmentAddress = -1;
+                expect(()=>{
+                    memMap.asHexString();
+                }).toThrow(new Error('Start address for record type 0x03 must be an integer between 0 and 0xFFFFFFFF'));
+            });
+        });
+
+        describe("Output options", function() {
+            const memMap = new MemoryMap([[0, new Uint8Array([0xAB, 0xCD])]]);
+
+            it('Uses the given line terminator', () => {
+                expect(memMap.asHexString(16, { lineTerminator: '\r\n' })).toBe(
+                    ':020000040000FA\r\n' +
+                    ':02000000ABCD86\r\n' +
+                    ':00000001FF');
+                expect(memMap.asHexString(16, { lineTerminator: '\r' })).toBe(
+                    ':020000040000FA\r' +
+                    ':02000000ABCD86\r' +
+                    ':00000001FF');
+            });
+
+            it('Throws error on unknown line terminators', () => {
+                expect(()=>{
+                    memMap.asHexString(16, { lineTerminator: ';' });
+                }).toThrow(new Error('Line terminator must be "\\n", "\\r\\n" or "\\r"'));
+            });
+
+            it('Outputs lowercase hex digits', () => {
+                expect(memMap.asHexString(16, { lowercase: true })).toBe(
+                    ':020000040000fa\n' +
+                    ':02000000abcd86\n' +
+                    ':00000001ff');
+            });
+
+            it('Outputs a trailing newline', () => {
+                expect(memMap.asHexString(16, { trailingNewline: true, lineTerminator: '\r\n' })).toBe(
+                    ':020000040000FA\r\n' +
+                    ':02000000ABCD86\r\n' +
+                    ':00000001FF\r\n');
+            });
+
+            it('Omits the EOF record', () => {
+                expect(memMap.asHexString(16, { eof: false })).toBe(
+                    ':020000040000FA\n' +
+                    ':02000000ABCD86');
+                expect(memMap.asHexString(16, { eof: false, trailingNewline: true })).toBe(
+                    ':020000040000FA\n' +
+                    ':02000000ABCD86\n');
+            });
+
+            it('Outputs an empty string for an empty MemoryMap without EOF record', () => {
+                expect(new MemoryMap().asHexString(16, { eof: false, trailingNewline: true })).toBe('');
+            });
+        });
+
+        describe("Addressing modes", function() {
+            it('Outputs 0x02 records in I16HEX mode', () => {
+                let memMap = new MemoryMap([
+                    [0xFFFE, new Uint8Array([1, 2, 3, 4])],
+                    [0x30000, new Uint8Array([5])]
+                ]);
+
+                expect(memMap.asHexString(16, { addressing: 'I16HEX' })).toBe(
+                    ':020000020000FC\n' +
+                    ':02FFFE000102FE\n' +
+                    ':020000021000EC\n' +
+                    ':020000000304F7\n' +
+                    ':020000023000CC\n' +
+                    ':0100000005FA\n' +
+                    ':00000001FF');
+            });
+
+            it('Outputs no extended address records in I8HEX mode', () => {
+                let memMap = new MemoryMap([
+                    [0x0010, new Uint8Array([1, 2])],
+                    [0xFFFF, new Uint8Array([3])]
+                ]);
+
+                expect(memMap.asHexString(16, { addressing: 'I8HEX' })).toBe(
+                    ':020010000102EB\n' +
+                    ':01FFFF0003FE\n' +
+                    ':00000001FF');
+            });
+
+            it('Outputs data which can be parsed back', () => {
+                let memMap = new MemoryMap([
+                    [0x0FFF0, new Uint8Array(64).fill(0xAA)],
+                    [0xF0000, new Uint8Array([5])]
+                ]);
+                memMap.startSegmentAddress = 0x1234;
+
+                expect(MemoryMap.fromHex(memMap.asHexString(16, { addressing: 'I16HEX' })).join())
+                    .toEqual(memMap.join());
+            });
+
+            it('Throws error on unknown addressing modes', () => {
+                expect(()=>{
+                    new MemoryMap().asHexString(16, { addressing: 'I64HEX' });
+                }).toThrow(new Error('Addressing mode must be "I8HEX", "I16HEX" or "I32HEX"'));
+            });
+
+            it('Throws error when data does not fit in I16HEX mode', () => {
+                let memMap = new MemoryMap([[0xFFFFF, new Uint8Array([1, 2])]]);
+                expect(()=>{
+                    memMap.asHexString(16, { addressing: 'I16HEX' });
+                }).toThrow(new Error('Data cannot be over 0xFFFFF in I16HEX mode'));
+            });
+
+            it('Throws error when data does not fit in I8HEX mode', () => {
+                let memMap = new MemoryMap([[0x10000, new Uint8Array([1])]]);
+                expect(()=>{
+                    memMap.asHexString(16, { addressing: 'I8HEX' });
+                }).toThrow(new Error('Data cannot be over 0xFFFF in I8HEX mode'));
+            });
+
+            it('Throws error on start addresses which cannot be written', () => {
+                let memMap = new MemoryMap();
+                memMap.startLinearAddress = 0x1234;
+                expect(()=>{
+                    memMap.asHexString(16, { addressing: 'I16HEX' });
+                }).toThrow(new Error('Start address records of type 0x05 cannot be written in I16HEX mode'));
+
+                memMap.startLinearAddress = undefined;
+                memMap.startSegmentAddress = 0x1234;
+                expect(memMap.asHexString(16, { addressing: 'I16HEX' })).toBe(
+                    ':0400000300001234B3\n' +
+                    ':00000001FF');
+                expect(()=>{
+                    memMap.asHexString(16, { addressing: 'I8HEX' });
+                }).toThrow(new Error('Start address records of type 0x03 cannot be written in I8HEX mode'));
+            });
+        });
+
+        describe("Aligned records", function() {
+            it('Aligns records to the record size', () => {
+                let memMap = new MemoryMap([[0x1003, new Uint8Array(32).fill(0xAA)]]);
+
+                let records = MemoryMap.parseRecords(memMap.asHexString(16, { alignRecords: true }));
+                expect(records.map((r)=>[r.type, r.offset, r.length])).toEqual([
+                    [4, 0x0000, 2],
+                    [0, 0x1003, 13],
+                    [0, 0x1010, 16],
+                    [0, 0x1020, 3],
+                    [1, 0x0000, 0]
+                ]);
+            });
+
+            it('Does not change records which are already aligned', () => {
+                let memMap = new MemoryMap([[0x1000, new Uint8Array(40).fill(0xAA)]]);
+
+                expect(memMap.asHexString(16, { alignRecords: true })).toBe(memMap.asHexString(16));
+            });
+
+            it('Aligns records to sizes which are not powers of two', () => {
+                let memMap = new MemoryMap([[0x0005, new Uint8Array(20).fill(0xAA)]]);
+
+                let records = MemoryMap.parseRecords(memMap.asHexString(10, { alignRecords: true }));
+                expect(records.map((r)=>[r.offset, r.length])).toEqual([
+                    [0x0000, 2],
+                    [0x0005, 5],
+                    [0x000A, 10],
+                    [0x0014, 5],
+                    [0x0000, 0]
+                ]);
+            });
+
+            it('Splits aligned records at 64KiB boundaries', () => {
+                let memMap = new MemoryMap([[0xFFFA, new Uint8Array(12).fill(0xAA)]]);
+
+                let records = MemoryMap.parseRecords(memMap.asHexString(10, { alignRecords: true }));
+                expect(records.map((r)=>[r.type, r.offset, r.length])).toEqual([
+                    [4, 0x0000, 2],
+                    [0, 0xFFFA, 6],
+                    [4, 0x0000, 2],
+                    [0, 0x0000, 4],     // 0x10000 is not a multiple of 10
+                    [0, 0x0004, 2],
+                    [1, 0x0000, 0]
+                ]);
+            });
+        });
+
         describe("Custom record length", function() {
             it('Throws error when passing a negative record size', () => {
                 expect(()=>{
@@ -975,6 +1554,18 @@ describe("MemoryMap fromHex/asHex", function() {
         });
     });
 
+    describe("fromHex+asHexString idempotence with start addresses", function() {
+        it('keeps 0x03 and 0x05 records', () => {
+            let str = ':020000040001F9\n' +
+                ':10C00000C039002049C1010063C1010065C10100C0\n' +
+                ':0400000312345678E5\n' +
+                ':040000050001C0C175\n' +
+                ':00000001FF';
+
+            expect(MemoryMap.fromHex(str).asHexString()).toBe(str);
+        });
+    });
+
     describe("asHexString+fromHex idempotence", function() {
         it('keeps 256B', () => {
             let bytes = (new Uint8Array(0x100)).map((i,j)=>j);
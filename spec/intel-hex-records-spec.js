@@ -0,0 +1,364 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+describe("parseRecords", function() {
+
+    it("parses the fields of each record", function() {
+        const records = MemoryMap.parseRecords(
+            ':0400100001020304E2\n' +
+            ':020000040001F9\n' +
+            ':00000001FF'
+        );
+
+        expect(records.length).toBe(3);
+
+        expect(records[0].type).toBe(0);
+        expect(records[0].offset).toBe(0x0010);
+        expect(records[0].length).toBe(4);
+        expect(records[0].data).toEqual(new Uint8Array([1, 2, 3, 4]));
+        expect(records[0].checksum).toBe(0xE2);
+        expect(records[0].lengthValid).toBe(true);
+        expect(records[0].checksumValid).toBe(true);
+        expect(records[0].line).toBe(1);
+        expect(records[0].position).toBe(0);
+        expect(records[0].text).toBe(':0400100001020304E2');
+        expect(records[0].separator).toBe('\n');
+
+        expect(records[1].type).toBe(4);
+        expect(records[1].data).toEqual(new Uint8Array([0x00, 0x01]));
+        expect(records[1].line).toBe(2);
+        expect(records[1].position).toBe(20);
+
+        expect(records[2].type).toBe(1);
+        expect(records[2].length).toBe(0);
+        expect(records[2].data).toEqual(new Uint8Array(0));
+        expect(records[2].line).toBe(3);
+        expect(records[2].separator).toBe('');
+    });
+
+    it("flags wrong lengths and checksums instead of throwing", function() {
+        const records = MemoryMap.parseRecords(
+            ':0500100001020304E2\n' +
+            ':0400100001020304FF\n'
+        );
+
+        expect(records[0].length).toBe(5);
+        expect(records[0].data.length).toBe(4);
+        expect(records[1].checksum).toBe(0xFF);
+
+        expect(records[0].lengthValid).toBe(false);
+        expect(records[1].lengthValid).toBe(true);
+        expect(records[1].checksumValid).toBe(false);
+    });
+
+    it("flags the same records as fromHex", function() {
+        const badChecksum = ':0400100001020304FF\n:00000001FF';
+        const badLength = ':0500100001020304E2\n:00000001FF';
+
+        expect(MemoryMap.parseRecords(badChecksum)[0].checksumValid).toBe(false);
+        expect(()=>MemoryMap.fromHex(badChecksum)).toThrow(new Error(
+            'Checksum failed at record 1 (:0400100001020304FF), should be e2'));
+        expect(MemoryMap.parseRecords(badLength)[0].lengthValid).toBe(false);
+        expect(()=>MemoryMap.fromHex(badLength)).toThrow(new Error(
+            'Mismatched record length at record 1 (:0500100001020304E2), expected 5 data bytes but actual length is 4'));
+    });
+
+    it("does not stop at EOF records", function() {
+        const records = MemoryMap.parseRecords(
+            ':00000001FF\n' +
+            ':0400100001020304E2\n'
+        );
+
+        expect(records.map((r)=>r.type)).toEqual([1, 0]);
+    });
+
+    it("skips anything which is not a record, keeping track of line numbers", function() {
+        const hexText =
+            '; a comment\r\n' +
+            '\n' +
+            ':0400100001020304E2\r\n' +
+            'garbage\r' +
+            ':00000001FF\r\n';
+        const records = MemoryMap.parseRecords(hexText);
+
+        expect(records.length).toBe(2);
+        expect(records[0].line).toBe(3);
+        expect(records[0].position).toBe(14);
+        expect(records[0].separator).toBe('\r\n');
+        expect(records[1].line).toBe(5);
+        expect(records[1].position).toBe(hexText.indexOf(':00000001FF'));
+    });
+
+    it("accepts binary input", function() {
+        const hexText = ':0400100001020304E2\n:00000001FF';
+        const bytes = new Uint8Array(hexText.length);
+        for (let i = 0; i < hexText.length; i++) {
+            bytes[i] = hexText.charCodeAt(i);
+        }
+
+        expect(MemoryMap.parseRecords(bytes)).toEqual(MemoryMap.parseRecords(hexText));
+        expect(MemoryMap.parseRecords(bytes.buffer)).toEqual(MemoryMap.parseRecords(hexText));
+    });
+
+    it("returns an empty array when there are no records", function() {
+        expect(MemoryMap.parseRecords('')).toEqual([]);
+        expect(MemoryMap.parseRecords('not a hex file')).toEqual([]);
+    });
+
+    it("throws an error on input which is not text nor binary", function() {
+        expect(()=>MemoryMap.parseRecords(42)).toThrow(new Error(
+            'Contents of a .hex file must be a String, an Uint8Array or an ArrayBuffer'));
+    });
+});
+
+
+describe("serializeRecords", function() {
+
+    it("serializes records, calculating lengths and checksums", function() {
+        const hexText = MemoryMap.serializeRecords([
+            { type: 0, offset: 0x0010, data: new Uint8Array([1, 2, 3, 4]) },
+            { type: 4, offset: 0, data: new Uint8Array([0x00, 0x01]) },
+            { type: 1 }
+        ]);
+
+        expect(hexText).toBe(
+            ':0400100001020304E2\n' +
+            ':020000040001F9\n' +
+            ':00000001FF'
+        );
+    });
+
+    it("keeps the given lengths, checksums and separators", function() {
+        const hexText = MemoryMap.serializeRecords([
+            { type: 0, offset: 0x0010, length: 5, data: new Uint8Array([1, 2, 3, 4]), checksum: 0xAB, separator: '\r\n' },
+            { type: 1, separator: '\r\n' }
+        ]);
+
+        expect(hexText).toBe(
+            ':0500100001020304AB\r\n' +
+            ':00000001FF\r\n'
+        );
+    });
+
+    it("accepts any iterable of records", function() {
+        const records = new Set([{ type: 1 }]);
+
+        expect(MemoryMap.serializeRecords(records)).toBe(':00000001FF');
+    });
+
+    it("reverses parseRecords", function() {
+        const hexText =
+            ':0400100001020304E2\r\n' +
+            ':020000040001F9\r\n' +
+            ':0500100001020304E2\n' +  // Wrong length, kept as is
+            ':0400200001020304FF\r' + // Wrong checksum, kept as is
+            ':00000001FF';
+
+        expect(MemoryMap.serializeRecords(MemoryMap.parseRecords(hexText))).toBe(hexText);
+    });
+
+    it("recalculates checksums of edited records", function() {
+        const records = MemoryMap.parseRecords(':0400100001020304E2\n:00000001FF');
+        records[0].data = new Uint8Array([1, 2, 3, 5]);
+        delete records[0].checksum;
+
+        expect(MemoryMap.serializeRecords(records)).toBe(':0400100001020305E1\n:00000001FF');
+    });
+
+    it("throws an error on invalid record types", function() {
+        expect(()=>MemoryMap.serializeRecords([{ type: 256 }])).toThrow(new Error(
+            'Record type must be an integer between 0 and 0xFF'));
+        expect(()=>MemoryMap.serializeRecords([{ }])).toThrow(new Error(
+            'Record type must be an integer between 0 and 0xFF'));
+    });
+
+    it("throws an error on invalid offsets", function() {
+        expect(()=>MemoryMap.serializeRecords([{ type: 0, offset: 0x10000 }])).toThrow(new Error(
+            'Record offset must be an integer between 0 and 0xFFFF'));
+    });
+
+    it("throws an error on invalid data", function() {
+        expect(()=>MemoryMap.serializeRecords([{ type: 0, data: [1, 2, 3] }])).toThrow(new Error(
+            'Record data must be an Uint8Array of at most 255 bytes'));
+        expect(()=>MemoryMap.serializeRecords([{ type: 0, data: new Uint8Array(256) }])).toThrow(new Error(
+            'Record data must be an Uint8Array of at most 255 bytes'));
+    });
+});
+
+
+describe("Record-level round trip", function() {
+
+    it("serializeRecords(parseRecords()) matches asHexString()", function() {
+        const memMap = new MemoryMap({
+            0x0FFF0: new Uint8Array(64).fill(0x5A),
+            0x20000: new Uint8Array([1, 2, 3]),
+        });
+        memMap.startLinearAddress = 0x12345678;
+        const hexText = memMap.asHexString();
+
+        expect(MemoryMap.serializeRecords(MemoryMap.parseRecords(hexText))).toBe(hexText);
+        expect(MemoryMap.parseRecords(hexText).map((r)=>r.type)).toEqual(
+            [4, 0, 4, 0, 0, 0, 4, 0, 5, 1]);
+    });
+});
+
+
+describe("asPatchedHexString", function() {
+
+    const original =
+        '; Vendor image\r\n' +
+        ':020000040001f9\r\n' +
+        ':080000000001020304050607dc\r\n' +
+        ':0800080008090a0b0c0d0e0f94\r\n' +
+        ':0400100010111213a6\r\n' +
+        ':0400000512345678e3\r\n' +
+        ':00000001ff\r\n';
+    const options = { diagnostics: { malformed: 'ignore' } };
+
+    it("returns unchanged files as they are", function() {
+        const memMap = MemoryMap.fromHex(original, Infinity, options);
+
+        expect(memMap.asPatchedHexString(original)).toBe(original);
+    });
+
+    it("accepts binary input", function() {
+        const memMap = MemoryMap.fromHex(original, Infinity, options);
+        const bytes = new Uint8Array(original.length);
+        for (let i = 0; i < original.length; i++) {
+            bytes[i] = original.charCodeAt(i);
+        }
+
+        expect(memMap.asPatchedHexString(bytes)).toBe(original);
+    });
+
+    it("rewrites only the records with changed data", function() {
+        const memMap = MemoryMap.fromHex(original, Infinity, options);
+        memMap.get(0x10000)[9] = 0xFF;
+
+        expect(memMap.asPatchedHexString(original)).toBe(
+            '; Vendor image\r\n' +
+            ':020000040001f9\r\n' +
+            ':080000000001020304050607dc\r\n' +
+            ':0800080008ff0a0b0c0d0e0f9e\r\n' +
+            ':0400100010111213a6\r\n' +
+            ':0400000512345678e3\r\n' +
+            ':00000001ff\r\n'
+        );
+    });
+
+    it("keeps the letter case of each record", function() {
+        const hexText =
+            ':0400000001020304F2\n' +
+            ':0400040005060708de\n' +
+            ':00000001FF';
+        const memMap = MemoryMap.fromHex(hexText);
+        memMap.get(0)[0] = 0;
+        memMap.get(0)[4] = 0;
+
+        expect(memMap.asPatchedHexString(hexText)).toBe(
+            ':0400000000020304F3\n' +
+            ':0400040000060708e3\n' +
+            ':00000001FF'
+        );
+    });
+
+    it("removes records without data, and splits partially removed ones", function() {
+        const hexText =
+            ':0400000001020304F2\n' +
+            ':0400040005060708DE\n' +
+            ':00000001FF';
+        const memMap = MemoryMap.fromHex(hexText).slice(5);
+
+        expect(memMap.asPatchedHexString(hexText)).toBe(
+            ':03000500060708E3\n' +
+            ':00000001FF'
+        );
+    });
+
+    it("adds new data before the EOF record", function() {
+        const hexText =
+            ':0400000001020304F2\r\n' +
+            ':00000001FF\r\n';
+        const memMap = MemoryMap.fromHex(hexText);
+        memMap.set(0x10000, new Uint8Array([1, 2, 3, 4, 5, 6]));
+
+        expect(memMap.asPatchedHexString(hexText)).toBe(
+            ':0400000001020304F2\r\n' +
+            ':020000040001F9\r\n' +
+            ':0400000001020304F2\r\n' +
+            ':020004000506EF\r\n' +
+            ':00000001FF\r\n'
+        );
+    });
+
+    it("adds new data at the end when there is no EOF record", function() {
+        const hexText = ':0400000001020304F2\n';
+        const memMap = MemoryMap.fromHex(hexText, Infinity, { diagnostics: { noEOF: 'ignore' } });
+        memMap.set(4, new Uint8Array([5]));
+
+        expect(memMap.asPatchedHexString(hexText)).toBe(
+            ':0400000001020304F2\n' +
+            ':020000040000FA\n' +
+            ':0100040005F6\n'
+        );
+    });
+
+    it("replaces, removes and adds start address records", function() {
+        const memMap = MemoryMap.fromHex(original, Infinity, options);
+
+        memMap.startLinearAddress = 0x00001000;
+        expect(memMap.asPatchedHexString(original)).toContain(
+            ':0400100010111213a6\r\n' +
+            ':0400000500001000e7\r\n' +
+            ':00000001ff\r\n');
+
+        memMap.startLinearAddress = undefined;
+        expect(memMap.asPatchedHexString(original)).toContain(
+            ':0400100010111213a6\r\n' +
+            ':00000001ff\r\n');
+
+        memMap.startSegmentAddress = 0x12345678;
+        expect(memMap.asPatchedHexString(original)).toContain(
+            ':0400100010111213a6\r\n' +
+            ':0400000312345678e5\r\n' +
+            ':00000001ff\r\n');
+    });
+
+    it("round-trips files written by asHexString", function() {
+        const memMap = new MemoryMap({
+            0x0FFF0: new Uint8Array(64).fill(0x5A),
+            0x20000: new Uint8Array([1, 2, 3]),
+        });
+        const hexText = memMap.asHexString(32);
+
+        expect(MemoryMap.fromHex(hexText).asPatchedHexString(hexText)).toBe(hexText);
+    });
+});
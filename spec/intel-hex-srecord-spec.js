@@ -0,0 +1,261 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+describe("fromSRecord", function() {
+
+    it("parses S1 records, the header and the start address", function() {
+        const memMap = MemoryMap.fromSRecord(
+            'S00600004844521B\n' +
+            'S107100001020304DE\n' +
+            'S5030001FB\n' +
+            'S9031000EC\n'
+        );
+
+        expect(memMap.size).toBe(1);
+        expect(memMap.get(0x1000)).toEqual(new Uint8Array([1, 2, 3, 4]));
+        expect(memMap.header).toBe('HDR');
+        expect(memMap.startLinearAddress).toBe(0x1000);
+        expect(memMap.startSegmentAddress).toBe(undefined);
+    });
+
+    it("parses S2 and S3 records", function() {
+        let memMap = MemoryMap.fromSRecord(
+            'S20612345601025A\r\n' +
+            'S206123458030454\r\n' +
+            'S804000000FB'
+        );
+        expect(memMap.get(0x123456)).toEqual(new Uint8Array([1, 2, 3, 4]));
+        expect(memMap.header).toBe(undefined);
+
+        memMap = MemoryMap.fromSRecord(
+            'S3091234567801020304D8\n' +
+            'S70512345678E6'
+        );
+        expect(memMap.get(0x12345678)).toEqual(new Uint8Array([1, 2, 3, 4]));
+        expect(memMap.startLinearAddress).toBe(0x12345678);
+    });
+
+    it("ignores whitespace around records", function() {
+        const memMap = MemoryMap.fromSRecord(
+            '    S00600004844521B  \n' +
+            '\tS107100001020304DE\t\n' +
+            '  S9031000EC \n'
+        );
+
+        expect(memMap.get(0x1000)).toEqual(new Uint8Array([1, 2, 3, 4]));
+        expect(memMap.header).toBe('HDR');
+    });
+
+    it("keeps the header when cloning and joining", function() {
+        const memMap = MemoryMap.fromSRecord('S00600004844521B\nS107100001020304DE\nS9031000EC');
+
+        expect(memMap.clone().header).toBe('HDR');
+        expect(memMap.join().header).toBe('HDR');
+        expect(new MemoryMap().header).toBe(undefined);
+    });
+
+    it("accepts Uint8Arrays and ArrayBuffers", function() {
+        const text = 'S107000001020304EE\nS9030000FC';
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i);
+        }
+
+        expect(MemoryMap.fromSRecord(bytes)).toEqual(MemoryMap.fromSRecord(text));
+        expect(MemoryMap.fromSRecord(bytes.buffer)).toEqual(MemoryMap.fromSRecord(text));
+        expect(()=>MemoryMap.fromSRecord(42)).toThrow(new Error(
+            'Contents of an S-record file must be a String, an Uint8Array or an ArrayBuffer'));
+    });
+
+    it("splits blocks bigger than maxBlockSize", function() {
+        const memMap = MemoryMap.fromSRecord(
+            'S107000001020304EE\n' +
+            'S107000405060708DA\n' +
+            'S9030000FC', 4
+        );
+
+        expect(memMap.size).toBe(2);
+        expect(memMap.get(0)).toEqual(new Uint8Array([1, 2, 3, 4]));
+        expect(memMap.get(4)).toEqual(new Uint8Array([5, 6, 7, 8]));
+    });
+
+    it("fails on malformed records", function() {
+        expect(()=>MemoryMap.fromSRecord('S107000001020304EE\nX9030000FC')).toThrow(new Error(
+            'Malformed S-record at line 2 (X9030000FC)'));
+        expect(()=>MemoryMap.fromSRecord('')).toThrow(new Error(
+            'Malformed S-record file, could not parse any records'));
+    });
+
+    it("fails on wrong lengths and checksums", function() {
+        expect(()=>MemoryMap.fromSRecord('S108000001020304EE\nS9030000FC')).toThrow(new Error(
+            'Mismatched record length at line 1 (S108000001020304EE), expected 8 bytes but actual length is 7'));
+        expect(()=>MemoryMap.fromSRecord('S107000001020304EF\nS9030000FC')).toThrow(new Error(
+            'Checksum failed at line 1 (S107000001020304EF), should be ee'));
+    });
+
+    it("fails on invalid record types", function() {
+        expect(()=>MemoryMap.fromSRecord('S4030000FC\nS9030000FC')).toThrow(new Error(
+            'Invalid record type S4 at line 1'));
+    });
+
+    it("fails on overlapping data", function() {
+        expect(()=>MemoryMap.fromSRecord(
+            'S107000001020304EE\n' +
+            'S107000001020304EE\n' +
+            'S9030000FC'
+        )).toThrow(new Error('Duplicated data at line 2 (S107000001020304EE)'));
+
+        expect(()=>MemoryMap.fromSRecord(
+            'S107000001020304EE\n' +
+            'S107000205060708DC\n' +
+            'S9030000FC'
+        )).toThrow(new Error('Overlapping data around address 0x2'));
+    });
+
+    it("honours the overlap policy", function() {
+        const text =
+            'S107000001020304EE\n' +
+            'S107000203040506E4\n' +
+            'S9030000FC';
+
+        expect(MemoryMap.fromSRecord(text, Infinity, {overlap: 'first-wins'}).get(0))
+            .toEqual(new Uint8Array([1, 2, 3, 4, 5, 6]));
+        expect(MemoryMap.fromSRecord(text, Infinity, {overlap: 'allow-if-identical'}).get(0))
+            .toEqual(new Uint8Array([1, 2, 3, 4, 5, 6]));
+
+        const conflicting =
+            'S107000001020304EE\n' +
+            'S1070002AA0405063D\n' +
+            'S9030000FC';
+
+        expect(MemoryMap.fromSRecord(conflicting, Infinity, {overlap: 'first-wins'}).get(0))
+            .toEqual(new Uint8Array([1, 2, 3, 4, 5, 6]));
+        expect(MemoryMap.fromSRecord(conflicting, Infinity, {overlap: 'last-wins'}).get(0))
+            .toEqual(new Uint8Array([1, 2, 0xAA, 4, 5, 6]));
+        expect(()=>MemoryMap.fromSRecord(conflicting, Infinity, {overlap: 'allow-if-identical'})).toThrow(new Error(
+            'Overlapping data with different values at addresses 0x2 to 0x2, at line 2 (S1070002AA0405063D)'));
+        expect(()=>MemoryMap.fromSRecord(text, Infinity, {overlap: 'nope'})).toThrow(new Error(
+            'Overlap policy must be "error", "first-wins", "last-wins" or "allow-if-identical"'));
+    });
+
+    it("checks S5 record counts", function() {
+        expect(()=>MemoryMap.fromSRecord(
+            'S107000001020304EE\n' +
+            'S5030002FA\n' +
+            'S9030000FC'
+        )).toThrow(new Error('Record count at line 2 is 2, but there are 1 data records before it'));
+    });
+
+    it("fails on missing or misplaced termination records", function() {
+        expect(()=>MemoryMap.fromSRecord('S107000001020304EE\n')).toThrow(new Error(
+            'No termination record (S7, S8 or S9) at end of file'));
+        expect(()=>MemoryMap.fromSRecord('S9030000FC\nS107000001020304EE')).toThrow(new Error(
+            'There is data after a termination record at line 2'));
+    });
+});
+
+
+describe("asSRecord", function() {
+
+    it("writes S1 records with a header, a count and a start address", function() {
+        const memMap = new MemoryMap([[0x1000, new Uint8Array([1, 2, 3, 4])]]);
+        memMap.startLinearAddress = 0x1000;
+
+        expect(memMap.asSRecord(16, {header: 'HDR'})).toBe(
+            'S00600004844521B\n' +
+            'S107100001020304DE\n' +
+            'S5030001FB\n' +
+            'S9031000EC'
+        );
+    });
+
+    it("chooses S2 or S3 records depending on the highest address", function() {
+        let memMap = new MemoryMap([[0x123456, new Uint8Array([1, 2, 3, 4])]]);
+        expect(memMap.asSRecord(2)).toBe(
+            'S20612345601025A\n' +
+            'S206123458030454\n' +
+            'S5030002FA\n' +
+            'S804000000FB'
+        );
+
+        memMap = new MemoryMap([[0x12345678, new Uint8Array([1, 2, 3, 4])]]);
+        memMap.startLinearAddress = 0x12345678;
+        expect(memMap.asSRecord(16, {count: false})).toBe(
+            'S3091234567801020304D8\n' +
+            'S70512345678E6'
+        );
+    });
+
+    it("takes the start address into account when choosing the record type", function() {
+        const memMap = new MemoryMap([[0, new Uint8Array(20).map((_, i)=>i)]]);
+        memMap.startLinearAddress = 0x123456;
+
+        expect(memMap.asSRecord(16, {lineTerminator: '\r\n', trailingNewline: true})).toBe(
+            'S214000000000102030405060708090A0B0C0D0E0F73\r\n' +
+            'S20800001010111213A1\r\n' +
+            'S5030002FA\r\n' +
+            'S8041234565F\r\n'
+        );
+    });
+
+    it("round-trips through fromSRecord, including the header", function() {
+        const memMap = new MemoryMap([
+            [0x0000, new Uint8Array(40).map((_, i)=>i)],
+            [0x8000, new Uint8Array(3).map((_, i)=>0xFF - i)],
+        ]);
+        memMap.startLinearAddress = 0x8000;
+        memMap.header = 'test.srec';
+
+        const parsed = MemoryMap.fromSRecord(memMap.asSRecord());
+        expect(parsed).toEqual(memMap);
+        expect(parsed.asSRecord()).toBe(memMap.asSRecord());
+    });
+
+    it("fails on invalid parameters", function() {
+        const memMap = new MemoryMap([[0, new Uint8Array(4)]]);
+
+        expect(()=>memMap.asSRecord(0)).toThrow(new Error('Size of record must be greater than zero'));
+        expect(()=>memMap.asSRecord(251)).toThrow(new Error('Size of record must be less than 251'));
+        expect(()=>memMap.asSRecord(16, {lineTerminator: ';'})).toThrow(new Error(
+            'Line terminator must be "\\n", "\\r\\n" or "\\r"'));
+        expect(()=>memMap.asSRecord(16, {header: 'x'.repeat(253)})).toThrow(new Error(
+            'Header must be a String of at most 252 characters'));
+
+        memMap.startLinearAddress = -1;
+        expect(()=>memMap.asSRecord()).toThrow(new Error(
+            'Start address must be an integer between 0 and 0xFFFFFFFF'));
+    });
+
+    it("fails on data over 0xFFFFFFFF", function() {
+        const memMap = new MemoryMap([[0xFFFFFFFE, new Uint8Array(4)]]);
+        expect(()=>memMap.asSRecord()).toThrow(new Error('Data cannot be over 0xFFFFFFFF'));
+    });
+});
@@ -0,0 +1,398 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+describe("MemoryMap incremental parsing", function() {
+
+    const hexText =
+        ':020000040001F9\n' +
+        ':10C00000C039002049C1010063C1010065C10100C0\n' +
+        ':10C010000000000000000000000000000000000020\n' +
+        ':10C0200000000000000000000000000067C10100E7\n' +
+        ':10C03000000000000000000069C101006BC10100A8\n' +
+        ':040000050001C0C175\r\n' +
+        ':00000001FF';
+
+    describe("HexParser", function() {
+
+        it('Parses the whole input at once', () => {
+            const parser = MemoryMap.createHexParser();
+            expect(parser.end(hexText)).toEqual(MemoryMap.fromHex(hexText));
+        });
+
+        it('Parses input split in chunks of any length', () => {
+            for (let chunkSize = 1; chunkSize < 50; chunkSize++) {
+                const parser = MemoryMap.createHexParser();
+                for (let i = 0; i < hexText.length; i += chunkSize) {
+                    parser.write(hexText.substring(i, i + chunkSize));
+                }
+                expect(parser.end()).toEqual(MemoryMap.fromHex(hexText));
+            }
+        });
+
+        it('Parses binary chunks', () => {
+            const bytes = new Uint8Array(hexText.split('').map((c)=>c.charCodeAt(0)));
+            const parser = MemoryMap.createHexParser();
+            parser.write(bytes.subarray(0, 30));
+            parser.write(bytes.buffer.slice(30, 100));
+            expect(parser.end(bytes.subarray(100))).toEqual(MemoryMap.fromHex(hexText));
+        });
+
+        it('Splits blocks like fromHex', () => {
+            const parser = MemoryMap.createHexParser(16);
+            parser.write(':100010001112131415161718191A1B1C1D1E1F2058\n:1000');
+            parser.write('00000102030405060708090A0B0C0D0E0F1068\n:00000001FF');
+            const memMap = parser.end();
+            expect(memMap.size).toBe(2);
+            expect(memMap.get(0x00).length).toBe(16);
+            expect(memMap.get(0x10).length).toBe(16);
+        });
+
+        it('Reports progress', () => {
+            const progress = [];
+            const parser = MemoryMap.createHexParser(Infinity, {
+                onProgress: (characters, records)=>progress.push([characters, records])
+            });
+            parser.write(':100000000102030405060708090A0B0C0D0E0F1068\n:10');
+            parser.write('0010001112131415161718191A1B1C1D1E1F2058\n');
+            parser.end(':00000001FF');
+            expect(progress).toEqual([[44, 1], [88, 2], [99, 3]]);
+            expect(parser.charactersParsed).toBe(99);
+            expect(parser.recordCount).toBe(3);
+        });
+
+        it('Throws the same errors as fromHex', () => {
+            const parser = MemoryMap.createHexParser();
+            parser.write(':10000000010203040506');
+            expect(()=>{
+                parser.write('070868\n:00000001FF');
+            }).toThrow(new Error('Mismatched record length at record 1 (:10000000010203040506070868), expected 16 data bytes but actual length is 8'));
+        });
+
+        it('Throws error on malformed input between chunks, with global offsets', () => {
+            const parser = MemoryMap.createHexParser();
+            parser.write(':100000000102030405060708090A0B0C0D0E0F1068\nfoo');
+            expect(()=>{
+                parser.end('bar\n:00000001FF');
+            }).toThrow(new Error('Malformed hex file: Could not parse between characters 44 and 51 ("foobar")'));
+        });
+
+        it('Does not keep text which is not part of any record', () => {
+            const parser = MemoryMap.createHexParser();
+            const garbage = 'This is not a hex file: '.repeat(1000);
+            for (let i = 0; i < 100; i++) {
+                parser.write(garbage);
+                expect(parser.charactersParsed).toBe((i + 1) * garbage.length);
+            }
+            expect(()=>{
+                parser.end(':00000001FF');
+            }).toThrow(new Error('Malformed hex file: Could not parse between characters 0 and 2400000 ("This is not a he")'));
+        });
+
+        it('Keeps record marks at the end of a chunk', () => {
+            const parser = MemoryMap.createHexParser(Infinity, { lenient: true });
+            parser.write('foo\n:');
+            parser.write('100000000102030405060708090A0B0C0D0E0F1068\n');
+            const memMap = parser.end(':00000001FF');
+            expect(memMap.get(0)).toEqual(new Uint8Array(16).map((_, i)=>i + 1));
+            expect(parser.diagnostics.map((d)=>d.message)).toEqual([
+                'Malformed hex file: Could not parse between characters 0 and 4 ("foo")'
+            ]);
+        });
+
+        it('Throws error if there is data after an EOF record in a later chunk', () => {
+            const parser = MemoryMap.createHexParser();
+            parser.write(':00000001FF');
+            expect(()=>{
+                parser.write('\n:100000000102030405060708090A0B0C0D0E0F1068');
+            }).toThrow(new Error('There is data after an EOF record at record 1'));
+        });
+
+        it('Does not throw on a newline after the EOF record in a later chunk', () => {
+            const parser = MemoryMap.createHexParser();
+            parser.write(':00000001FF\r');
+            parser.write('\n');
+            expect(parser.end().size).toBe(0);
+        });
+
+        it('Throws error on missing EOF record', () => {
+            const parser = MemoryMap.createHexParser();
+            parser.write(':100000000102030405060708090A0B0C0D0E0F1068\n');
+            expect(()=>{
+                parser.end();
+            }).toThrow(new Error('No EOF record at end of file'));
+        });
+
+        it('Collects diagnostics in lenient mode', () => {
+            const parser = MemoryMap.createHexParser(Infinity, { lenient: true });
+            parser.write(':080000000102030405060708FF\n');
+            parser.write(':100010001112131415161718191A1B1C1D1E1F2058\n');
+            const memMap = parser.end();
+            expect(memMap.size).toBe(1);
+            expect(parser.diagnostics.map((d)=>d.kind)).toEqual(['checksum', 'noEOF']);
+        });
+
+        it('Throws error when writing after end()', () => {
+            const parser = MemoryMap.createHexParser();
+            parser.end(':00000001FF');
+            expect(()=>{
+                parser.write(':00000001FF');
+            }).toThrow(new Error('Cannot write to a HexParser after calling end()'));
+        });
+
+        it('Throws error on chunks of the wrong type', () => {
+            const parser = MemoryMap.createHexParser();
+            expect(()=>{
+                parser.write(42);
+            }).toThrow(new Error('Chunks passed to HexParser must be Strings, Uint8Arrays or ArrayBuffers'));
+        });
+    });
+
+    describe("Stream adapters", function() {
+
+        it('Rejects things which are not streams', (done) => {
+            MemoryMap.fromHexStream({}).then(done.fail, (err)=>{
+                expect(err).toEqual(new Error('Stream passed to HexParser is neither a Node.js readable stream nor a WHATWG ReadableStream'));
+                done();
+            });
+        });
+
+        if (typeof window === 'undefined') {
+            const Readable = require('stream').Readable;
+
+            function nodeStream(chunks) {
+                const stream = new Readable({ read() {} });
+                for (const chunk of chunks) {
+                    stream.push(chunk);
+                }
+                stream.push(null);
+                return stream;
+            }
+
+            it('Reads a Node.js stream of binary chunks', (done) => {
+                MemoryMap.fromHexStream(nodeStream([
+                    Buffer.from(hexText.substring(0, 50)),
+                    Buffer.from(hexText.substring(50))
+                ])).then((memMap)=>{
+                    expect(memMap).toEqual(MemoryMap.fromHex(hexText));
+                    done();
+                }, done.fail);
+            });
+
+            it('Rejects on errors in a Node.js stream', (done) => {
+                MemoryMap.fromHexStream(nodeStream([
+                    Buffer.from(':0000000188')
+                ])).then(done.fail, (err)=>{
+                    expect(err).toEqual(new Error('Checksum failed at record 1 (:0000000188), should be ff'));
+                    done();
+                });
+            });
+        }
+
+        if (typeof ReadableStream !== 'undefined') {
+            function whatwgStream(chunks) {
+                return new ReadableStream({
+                    start(controller) {
+                        chunks.forEach((chunk)=>controller.enqueue(chunk));
+                        controller.close();
+                    }
+                });
+            }
+
+            it('Reads a WHATWG ReadableStream', (done) => {
+                MemoryMap.fromHexStream(whatwgStream([
+                    hexText.substring(0, 7),
+                    hexText.substring(7)
+                ])).then((memMap)=>{
+                    expect(memMap).toEqual(MemoryMap.fromHex(hexText));
+                    done();
+                }, done.fail);
+            });
+
+            it('Rejects on errors in a WHATWG ReadableStream', (done) => {
+                MemoryMap.fromHexStream(whatwgStream([
+                    ':00000001FF', ':00000001FF'
+                ])).then(done.fail, (err)=>{
+                    expect(err).toEqual(new Error('There is data after an EOF record at record 1'));
+                    done();
+                });
+            });
+
+            it('Parses through a WHATWG TransformStream', (done) => {
+                const reader = whatwgStream([hexText.substring(0, 70), hexText.substring(70)])
+                    .pipeThrough(MemoryMap.createHexParser().transformStream())
+                    .getReader();
+                reader.read().then(({ value })=>{
+                    expect(value).toEqual(MemoryMap.fromHex(hexText));
+                    done();
+                }, done.fail);
+            });
+        }
+    });
+});
+
+
+describe("MemoryMap incremental writing", function() {
+
+    const memMap = new MemoryMap([
+        [0x0FFF0, new Uint8Array(0x20).fill(0xAA)],
+        [0x20000, new Uint8Array(0x4000).fill(0x55)],
+    ]);
+    memMap.startLinearAddress = 0x12345678;
+
+    describe("hexRecords", function() {
+
+        it('Yields the lines of asHexString, with their line terminators', () => {
+            const lines = Array.from(memMap.hexRecords());
+
+            expect(lines.join('')).toBe(memMap.asHexString());
+            expect(lines[0]).toBe(':020000040000FA\n');
+            expect(lines[lines.length - 1]).toBe(':00000001FF');
+        });
+
+        it('Takes the same options as asHexString', () => {
+            const options = { lineTerminator: '\r\n', trailingNewline: true, lowercase: true };
+            const lines = Array.from(memMap.hexRecords(32, options));
+
+            expect(lines.join('')).toBe(memMap.asHexString(32, options));
+            expect(lines[lines.length - 1]).toBe(':00000001ff\r\n');
+        });
+
+        it('Generates lines lazily', () => {
+            const iterator = new MemoryMap([[0x100000000, new Uint8Array(1)]]).hexRecords();
+
+            expect(()=>iterator.next()).toThrow(new Error('Data cannot be over 0xFFFFFFFF'));
+        });
+
+        it('Yields nothing for an empty MemoryMap without EOF record', () => {
+            expect(Array.from(new MemoryMap().hexRecords(16, { eof: false }))).toEqual([]);
+        });
+    });
+
+    describe("Stream adapters", function() {
+
+        it('Rejects things which are not streams', (done) => {
+            memMap.writeHexTo({}).then(done.fail, (err)=>{
+                expect(err).toEqual(new Error('Stream passed to writeHexTo() is neither a Node.js writable stream nor a WHATWG WritableStream'));
+                done();
+            });
+        });
+
+        if (typeof window === 'undefined') {
+            const Writable = require('stream').Writable;
+
+            function nodeStream(chunks, highWaterMark) {
+                return new Writable({
+                    highWaterMark: highWaterMark,
+                    decodeStrings: false,
+                    write(chunk, encoding, callback) {
+                        chunks.push(chunk);
+                        setTimeout(callback, 0);
+                    }
+                });
+            }
+
+            it('Writes into a Node.js stream', (done) => {
+                const chunks = [];
+                memMap.writeHexTo(nodeStream(chunks, 16)).then(()=>{
+                    expect(chunks.length).toBeGreaterThan(1);
+                    expect(chunks.join('')).toBe(memMap.asHexString());
+                    done();
+                }, done.fail);
+            });
+
+            it('Rejects on errors while writing into a Node.js stream', (done) => {
+                const chunks = [];
+                const stream = nodeStream(chunks, 16);
+                new MemoryMap([[0x100000000, new Uint8Array(1)]]).writeHexTo(stream).then(done.fail, (err)=>{
+                    expect(err).toEqual(new Error('Data cannot be over 0xFFFFFFFF'));
+                    expect(stream.destroyed).toBe(true);
+                    done();
+                });
+            });
+        }
+
+        if (typeof ReadableStream !== 'undefined') {
+            function readAll(stream) {
+                const reader = stream.getReader();
+                const chunks = [];
+                const pump = ()=>reader.read().then(({ done, value })=>{
+                    if (done) {
+                        return chunks;
+                    }
+                    chunks.push(value);
+                    return pump();
+                });
+                return pump();
+            }
+
+            it('Outputs a WHATWG ReadableStream', (done) => {
+                readAll(memMap.asHexStream()).then((chunks)=>{
+                    expect(chunks.length).toBeGreaterThan(1);
+                    expect(chunks.join('')).toBe(memMap.asHexString());
+                    done();
+                }, done.fail);
+            });
+
+            it('Errors the WHATWG ReadableStream on errors', (done) => {
+                readAll(new MemoryMap([[0x100000000, new Uint8Array(1)]]).asHexStream()).then(done.fail, (err)=>{
+                    expect(err).toEqual(new Error('Data cannot be over 0xFFFFFFFF'));
+                    done();
+                });
+            });
+        }
+
+        if (typeof WritableStream !== 'undefined') {
+            it('Writes into a WHATWG WritableStream', (done) => {
+                const chunks = [];
+                const stream = new WritableStream({
+                    write(chunk) {
+                        chunks.push(chunk);
+                    }
+                }, { highWaterMark: 1 });
+
+                memMap.writeHexTo(stream, 32, { lineTerminator: '\r\n' }).then(()=>{
+                    expect(chunks.length).toBeGreaterThan(1);
+                    expect(chunks.join('')).toBe(memMap.asHexString(32, { lineTerminator: '\r\n' }));
+                    done();
+                }, done.fail);
+            });
+
+            it('Rejects on errors while writing into a WHATWG WritableStream', (done) => {
+                const stream = new WritableStream({ write() {} });
+
+                new MemoryMap([[0x100000000, new Uint8Array(1)]]).writeHexTo(stream).then(done.fail, (err)=>{
+                    expect(err).toEqual(new Error('Data cannot be over 0xFFFFFFFF'));
+                    done();
+                });
+            });
+        }
+    });
+});
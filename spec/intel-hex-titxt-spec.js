@@ -0,0 +1,182 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+describe("fromTiTxt", function() {
+
+    it("parses sections of data", function() {
+        const memMap = MemoryMap.fromTiTxt(
+            '@F000\n' +
+            '31 40 00 03 B2 40 80 5A\n' +
+            '20 01\n' +
+            '@FFFE\n' +
+            '00 F0\n' +
+            'q\n'
+        );
+
+        expect(memMap.size).toBe(2);
+        expect(memMap.get(0xF000)).toEqual(new Uint8Array([0x31, 0x40, 0x00, 0x03, 0xB2, 0x40, 0x80, 0x5A, 0x20, 0x01]));
+        expect(memMap.get(0xFFFE)).toEqual(new Uint8Array([0x00, 0xF0]));
+    });
+
+    it("accepts lowercase, CRLF line endings, extra whitespace and empty lines", function() {
+        const memMap = MemoryMap.fromTiTxt(
+            '@1c00\r\n' +
+            '\r\n' +
+            'ab  cd ef \r\n' +
+            'Q\r\n'
+        );
+
+        expect(memMap.get(0x1C00)).toEqual(new Uint8Array([0xAB, 0xCD, 0xEF]));
+    });
+
+    it("accepts Uint8Arrays and ArrayBuffers", function() {
+        const text = '@0100\n01 02 03\nq\n';
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i);
+        }
+
+        expect(MemoryMap.fromTiTxt(bytes)).toEqual(MemoryMap.fromTiTxt(text));
+        expect(MemoryMap.fromTiTxt(bytes.buffer)).toEqual(MemoryMap.fromTiTxt(text));
+        expect(()=>MemoryMap.fromTiTxt(42)).toThrow(new Error(
+            'Contents of a TI-TXT file must be a String, an Uint8Array or an ArrayBuffer'));
+    });
+
+    it("splits blocks bigger than maxBlockSize", function() {
+        const memMap = MemoryMap.fromTiTxt('@0000\n01 02 03 04\n05 06 07 08\nq', 4);
+
+        expect(memMap.size).toBe(2);
+        expect(memMap.get(0)).toEqual(new Uint8Array([1, 2, 3, 4]));
+        expect(memMap.get(4)).toEqual(new Uint8Array([5, 6, 7, 8]));
+    });
+
+    it("fails on malformed lines, including the line number", function() {
+        expect(()=>MemoryMap.fromTiTxt('@F000\n01 02\n@XYZ\nq')).toThrow(new Error(
+            'Malformed address at line 3 (@XYZ)'));
+        expect(()=>MemoryMap.fromTiTxt('@F000\n01 02\n01 2 03\nq')).toThrow(new Error(
+            'Malformed data at line 3 (2)'));
+        expect(()=>MemoryMap.fromTiTxt('@F000\n01 02 0x03\nq')).toThrow(new Error(
+            'Malformed data at line 2 (0x03)'));
+    });
+
+    it("fails on data before any address", function() {
+        expect(()=>MemoryMap.fromTiTxt('\n01 02\nq')).toThrow(new Error(
+            'Data before any address at line 2'));
+    });
+
+    it("fails on data over 0xFFFFFFFF", function() {
+        expect(()=>MemoryMap.fromTiTxt('@FFFFFFFE\n01 02 03\nq')).toThrow(new Error(
+            'Data cannot be over 0xFFFFFFFF, at line 2'));
+    });
+
+    it("fails on a missing or misplaced end of file", function() {
+        expect(()=>MemoryMap.fromTiTxt('@F000\n01 02\n')).toThrow(new Error(
+            'No end of file ("q") at end of file'));
+        expect(()=>MemoryMap.fromTiTxt('@F000\n01 02\nq\n03 04')).toThrow(new Error(
+            'There is data after the end of file ("q") at line 4'));
+    });
+
+    it("fails on overlapping data, or follows the overlap policy", function() {
+        const text =
+            '@0000\n' +
+            '01 02 03 04\n' +
+            '@0002\n' +
+            'AA 04 05\n' +
+            'q\n';
+
+        expect(()=>MemoryMap.fromTiTxt(text)).toThrow(new Error(
+            'Overlapping data around address 0x2'));
+        expect(()=>MemoryMap.fromTiTxt('@0000\n01 02\n@0000\n01 02\nq')).toThrow(new Error(
+            'Duplicated data at line 4 (01 02)'));
+
+        expect(MemoryMap.fromTiTxt(text, Infinity, {overlap: 'first-wins'}).get(0))
+            .toEqual(new Uint8Array([1, 2, 3, 4, 5]));
+        expect(MemoryMap.fromTiTxt(text, Infinity, {overlap: 'last-wins'}).get(0))
+            .toEqual(new Uint8Array([1, 2, 0xAA, 4, 5]));
+        expect(()=>MemoryMap.fromTiTxt(text, Infinity, {overlap: 'allow-if-identical'})).toThrow(new Error(
+            'Overlapping data with different values at addresses 0x2 to 0x2, at line 4 (AA 04 05)'));
+    });
+});
+
+
+describe("asTiTxt", function() {
+
+    it("writes one section per block, ending in q", function() {
+        const memMap = new MemoryMap([
+            [0xF000, new Uint8Array([0x31, 0x40, 0x00, 0x03, 0xB2, 0x40, 0x80, 0x5A, 0x20, 0x01])],
+            [0xFFFE, new Uint8Array([0x00, 0xF0])],
+        ]);
+
+        expect(memMap.asTiTxt()).toBe(
+            '@F000\n' +
+            '31 40 00 03 B2 40 80 5A 20 01\n' +
+            '@FFFE\n' +
+            '00 F0\n' +
+            'q\n'
+        );
+    });
+
+    it("honours bytesPerLine and the line terminator", function() {
+        const memMap = new MemoryMap([[0x10, new Uint8Array([1, 2, 3, 4, 5])]]);
+
+        expect(memMap.asTiTxt(2, {lineTerminator: '\r\n'})).toBe(
+            '@0010\r\n' +
+            '01 02\r\n' +
+            '03 04\r\n' +
+            '05\r\n' +
+            'q\r\n'
+        );
+    });
+
+    it("writes addresses over 0xFFFF", function() {
+        const memMap = new MemoryMap([[0x12345678, new Uint8Array([0xFF])]]);
+
+        expect(memMap.asTiTxt()).toBe('@12345678\nFF\nq\n');
+    });
+
+    it("round-trips through fromTiTxt", function() {
+        const memMap = new MemoryMap([
+            [0x0000, new Uint8Array(40).map((_, i)=>i)],
+            [0x8000, new Uint8Array(3).map((_, i)=>0xFF - i)],
+        ]);
+
+        expect(MemoryMap.fromTiTxt(memMap.asTiTxt(8))).toEqual(memMap);
+    });
+
+    it("fails on invalid parameters", function() {
+        const memMap = new MemoryMap([[0, new Uint8Array(4)]]);
+
+        expect(()=>memMap.asTiTxt(0)).toThrow(new Error('Bytes per line must be an integer greater than zero'));
+        expect(()=>memMap.asTiTxt(1.5)).toThrow(new Error('Bytes per line must be an integer greater than zero'));
+        expect(()=>memMap.asTiTxt(16, {lineTerminator: ';'})).toThrow(new Error(
+            'Line terminator must be "\\n", "\\r\\n" or "\\r"'));
+    });
+});
@@ -0,0 +1,196 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+// Reads the header fields of one 512-byte UF2 block, as an array of 32-bit words
+function uf2Header(uf2, blockIndex) {
+    const view = new DataView(uf2.buffer, uf2.byteOffset + blockIndex * 512, 512);
+    return [0, 4, 8, 12, 16, 20, 24, 28, 508].map((offset)=>view.getUint32(offset, true));
+}
+
+// Overwrites one 32-bit word of one block of a UF2 file
+function setUf2Word(uf2, blockIndex, offset, value) {
+    new DataView(uf2.buffer, uf2.byteOffset).setUint32(blockIndex * 512 + offset, value, true);
+}
+
+
+describe("asUf2", function() {
+
+    it("writes one 512-byte block per page of data", function() {
+        const memMap = new MemoryMap([
+            [0x1000, new Uint8Array([1, 2, 3, 4])],
+            [0x2010, new Uint8Array(0x100).fill(0xAA)],
+        ]);
+        const uf2 = memMap.asUf2();
+
+        expect(uf2.length).toBe(3 * 512);
+
+        expect(uf2Header(uf2, 0)).toEqual([0x0A324655, 0x9E5D5157, 0, 0x1000, 256, 0, 3, 0, 0x0AB16F30]);
+        expect(uf2Header(uf2, 1)).toEqual([0x0A324655, 0x9E5D5157, 0, 0x2000, 256, 1, 3, 0, 0x0AB16F30]);
+        expect(uf2Header(uf2, 2)).toEqual([0x0A324655, 0x9E5D5157, 0, 0x2100, 256, 2, 3, 0, 0x0AB16F30]);
+
+        expect(uf2.subarray(32, 38)).toEqual(new Uint8Array([1, 2, 3, 4, 0xFF, 0xFF]));
+        expect(uf2.subarray(512 + 32, 512 + 32 + 0x11)).toEqual(new Uint8Array(
+            [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xAA]));
+        // Unused space after the payload is zeroed
+        expect(uf2.subarray(32 + 256, 508)).toEqual(new Uint8Array(508 - 32 - 256));
+    });
+
+    it("writes family IDs, given as numbers or names", function() {
+        const memMap = new MemoryMap([[0x1000, new Uint8Array([1, 2, 3, 4])]]);
+
+        expect(uf2Header(memMap.asUf2(256, {familyId: 'NRF52840'}), 0)[2]).toBe(0x2000);
+        expect(uf2Header(memMap.asUf2(256, {familyId: 'NRF52840'}), 0)[7]).toBe(0xADA52840);
+        expect(uf2Header(memMap.asUf2(256, {familyId: 'NRF52833'}), 0)[7]).toBe(0x621E937A);
+        expect(uf2Header(memMap.asUf2(256, {familyId: 'NRF52'}), 0)[7]).toBe(0x1B57745F);
+        expect(uf2Header(memMap.asUf2(256, {familyId: 0x12345678}), 0)[7]).toBe(0x12345678);
+
+        memMap.familyId = 0xADA52840;
+        expect(uf2Header(memMap.asUf2(), 0)[7]).toBe(0xADA52840);
+    });
+
+    it("honours the payload size and the padding byte", function() {
+        const memMap = new MemoryMap([[0x1002, new Uint8Array([1, 2, 3, 4])]]);
+        const uf2 = memMap.asUf2(4, {padByte: 0x00});
+
+        expect(uf2.length).toBe(2 * 512);
+        expect(uf2Header(uf2, 0)[3]).toBe(0x1000);
+        expect(uf2Header(uf2, 0)[4]).toBe(4);
+        expect(uf2Header(uf2, 1)[3]).toBe(0x1004);
+        expect(uf2.subarray(32, 36)).toEqual(new Uint8Array([0, 0, 1, 2]));
+        expect(uf2.subarray(512 + 32, 512 + 36)).toEqual(new Uint8Array([3, 4, 0, 0]));
+    });
+
+    it("fails on invalid parameters", function() {
+        const memMap = new MemoryMap([[0x1000, new Uint8Array([1, 2, 3, 4])]]);
+
+        expect(()=>memMap.asUf2(0)).toThrow(new Error('Payload size must be an integer between 1 and 476'));
+        expect(()=>memMap.asUf2(477)).toThrow(new Error('Payload size must be an integer between 1 and 476'));
+        expect(()=>memMap.asUf2(256, {familyId: 'NRF51'})).toThrow(new Error(
+            'Family ID must be an integer between 0 and 0xFFFFFFFF, or one of "NRF52", "NRF52833", "NRF52840"'));
+    });
+});
+
+
+describe("fromUf2", function() {
+
+    const memMap = new MemoryMap([
+        [0x1000, new Uint8Array([1, 2, 3, 4])],
+        [0x2010, new Uint8Array(0x100).fill(0xAA)],
+    ]);
+
+    it("round-trips through asUf2", function() {
+        const parsed = MemoryMap.fromUf2(memMap.asUf2(256, {familyId: 'NRF52840'}));
+
+        const expected = memMap.paginate(256).join();
+        expected.familyId = 0xADA52840;
+        expect(parsed).toEqual(expected);
+
+        expect(MemoryMap.fromUf2(memMap.asUf2().buffer).familyId).toBe(undefined);
+    });
+
+    it("splits blocks bigger than maxBlockSize", function() {
+        const parsed = MemoryMap.fromUf2(memMap.asUf2(), 0x100);
+
+        expect(parsed.size).toBe(3);
+        expect(Array.from(parsed.keys())).toEqual([0x1000, 0x2000, 0x2100]);
+    });
+
+    it("skips blocks not meant for the main flash", function() {
+        const uf2 = memMap.asUf2();
+        setUf2Word(uf2, 0, 8, 0x00000001);
+
+        expect(Array.from(MemoryMap.fromUf2(uf2).keys())).toEqual([0x2000]);
+    });
+
+    it("filters blocks of several families", function() {
+        const other = new MemoryMap([[0x8000, new Uint8Array([5, 6, 7, 8])]]);
+        const uf2 = new Uint8Array(4 * 512);
+        uf2.set(memMap.asUf2(256, {familyId: 'NRF52840'}));
+        uf2.set(other.asUf2(256, {familyId: 'NRF52833'}), 3 * 512);
+
+        expect(()=>MemoryMap.fromUf2(uf2)).toThrow(new Error(
+            'UF2 file contains blocks for several family IDs (0xada52840, 0x621e937a), one must be chosen with the familyId option'));
+
+        const nrf52833 = MemoryMap.fromUf2(uf2, Infinity, {familyId: 'NRF52833'});
+        expect(Array.from(nrf52833.keys())).toEqual([0x8000]);
+        expect(nrf52833.familyId).toBe(0x621E937A);
+
+        const nrf52840 = MemoryMap.fromUf2(uf2, Infinity, {familyId: 0xADA52840});
+        expect(nrf52840).toEqual(MemoryMap.fromUf2(memMap.asUf2(256, {familyId: 'NRF52840'})));
+    });
+
+    it("fails on invalid input", function() {
+        expect(()=>MemoryMap.fromUf2('UF2\n')).toThrow(new Error(
+            'Contents of a UF2 file must be an Uint8Array or an ArrayBuffer'));
+        expect(()=>MemoryMap.fromUf2(new Uint8Array(500))).toThrow(new Error(
+            'Size of a UF2 file must be a multiple of 512 bytes'));
+    });
+
+    it("validates magic numbers", function() {
+        [0, 4, 508].forEach((offset)=>{
+            const uf2 = memMap.asUf2();
+            setUf2Word(uf2, 1, offset, 0);
+            expect(()=>MemoryMap.fromUf2(uf2)).toThrow(new Error('Bad magic numbers in UF2 block 1'));
+        });
+    });
+
+    it("validates payload sizes", function() {
+        const uf2 = memMap.asUf2();
+        setUf2Word(uf2, 2, 16, 477);
+
+        expect(()=>MemoryMap.fromUf2(uf2)).toThrow(new Error(
+            'Payload size of UF2 block 2 is 477 bytes, over the maximum of 476'));
+    });
+
+    it("validates block numbering", function() {
+        let uf2 = memMap.asUf2();
+        setUf2Word(uf2, 1, 20, 2);
+        expect(()=>MemoryMap.fromUf2(uf2)).toThrow(new Error(
+            'UF2 block 1 has block number 2, expected 1'));
+
+        uf2 = memMap.asUf2();
+        setUf2Word(uf2, 2, 24, 4);
+        expect(()=>MemoryMap.fromUf2(uf2)).toThrow(new Error(
+            'UF2 block 2 says there are 4 blocks, but previous blocks said 3'));
+
+        uf2 = memMap.asUf2(256, {familyId: 'NRF52840'}).subarray(0, 1024);
+        expect(()=>MemoryMap.fromUf2(uf2)).toThrow(new Error(
+            'UF2 file is missing blocks for family ID 0xada52840: found 2 out of 3'));
+    });
+
+    it("fails on overlapping data", function() {
+        const uf2 = memMap.asUf2();
+        setUf2Word(uf2, 2, 12, 0x2080);
+
+        expect(()=>MemoryMap.fromUf2(uf2)).toThrow(new Error(
+            'Overlapping data in UF2 block 2 around address 0x2080'));
+    });
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+
+
+// https://github.com/uxitten/polyfill/blob/master/string.polyfill.js
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+if (!String.prototype.padStart) {
+    String.prototype.padStart = function padStart(targetLength,padString) {
+        targetLength = targetLength>>0; //floor if number or convert non-number to 0;
+        padString = String(padString || ' ');
+        if (this.length > targetLength) {
+            return String(this);
+        }
+        else {
+            targetLength = targetLength-this.length;
+            if (targetLength > padString.length) {
+                padString += padString.repeat(targetLength/padString.length); //append to original to ensure we are longer than needed
+            }
+            return padString.slice(0,targetLength) + String(this);
+        }
+    };
+}
+
+
+// Overwrite the "MemoryMap" if running on Node.
+// When running on a browser, the "MemoryMap" global is already define thanks to the IIFE.
+if (typeof window === 'undefined') {
+    global.MemoryMap = require('../intel-hex.cjs');
+}
+
+
+describe("write", function() {
+
+    it("writes into an empty MemoryMap", function() {
+        const memMap = new MemoryMap();
+        expect(memMap.write(0x1000, new Uint8Array([1, 2, 3]))).toBe(memMap);
+        expect(memMap.size).toBe(1);
+        expect(memMap.get(0x1000)).toEqual(new Uint8Array([1, 2, 3]));
+    });
+
+    it("overwrites existing data", function() {
+        const memMap = new MemoryMap([[0, new Uint8Array([1, 2, 3, 4, 5, 6])]]);
+        memMap.write(2, new Uint8Array([0xAA, 0xBB]));
+        expect(memMap.size).toBe(1);
+        expect(memMap.get(0)).toEqual(new Uint8Array([1, 2, 0xAA, 0xBB, 5, 6]));
+    });
+
+    it("extends neighbouring blocks", function() {
+        const memMap = new MemoryMap([[4, new Uint8Array([1, 2, 3, 4])]]);
+        memMap.write(6, new Uint8Array([0xAA, 0xBB, 0xCC, 0xDD]));
+        expect(memMap.get(4)).toEqual(new Uint8Array([1, 2, 0xAA, 0xBB, 0xCC, 0xDD]));
+
+        memMap.write(2, new Uint8Array([0xEE, 0xFF]));
+        expect(memMap.size).toBe(1);
+        expect(memMap.get(2)).toEqual(new Uint8Array([0xEE, 0xFF, 1, 2, 0xAA, 0xBB, 0xCC, 0xDD]));
+    });
+
+    it("fills holes and coalesces adjacent blocks", function() {
+        const memMap = new MemoryMap([
+            [0x00, new Uint8Array([1, 2])],
+            [0x04, new Uint8Array([3, 4])],
+            [0x07, new Uint8Array([5])],
+            [0x20, new Uint8Array([6])],
+        ]);
+        memMap.write(2, new Uint8Array([0xAA, 0xBB, 0xCC, 0xDD, 0xEE]));
+        expect(memMap.size).toBe(2);
+        expect(memMap.get(0)).toEqual(new Uint8Array([1, 2, 0xAA, 0xBB, 0xCC, 0xDD, 0xEE, 5]));
+        expect(memMap.get(0x20)).toEqual(new Uint8Array([6]));
+    });
+
+    it("replaces whole blocks inside the written range", function() {
+        const memMap = new MemoryMap([
+            [0x02, new Uint8Array([1])],
+            [0x05, new Uint8Array([2])],
+        ]);
+        memMap.write(0, new Uint8Array(8).fill(0xFF));
+        expect(memMap.size).toBe(1);
+        expect(memMap.get(0)).toEqual(new Uint8Array(8).fill(0xFF));
+    });
+
+    it("overwrites bytes in place when inside one block", function() {
+        const block = new Uint8Array([1, 2, 3, 4]);
+        const memMap = new MemoryMap([[0, block]]);
+        const slice = memMap.slice(0, 4);
+        memMap.write(1, new Uint8Array([0xAA]));
+        expect(memMap.get(0)).toBe(block);
+        expect(block).toEqual(new Uint8Array([1, 0xAA, 3, 4]));
+        expect(slice.get(0)).toEqual(new Uint8Array([1, 0xAA, 3, 4]));
+    });
+
+    it("does not modify memory shared with other MemoryMaps when merging blocks", function() {
+        const memMap = new MemoryMap([[0, new Uint8Array([1, 2, 3, 4])]]);
+        const slice = memMap.slice(0, 4);
+        memMap.write(3, new Uint8Array([0xAA, 0xBB]));
+        expect(slice.get(0)).toEqual(new Uint8Array([1, 2, 3, 4]));
+        expect(memMap.get(0)).toEqual(new Uint8Array([1, 2, 3, 0xAA, 0xBB]));
+    });
+
+    it("keeps the iteration order of blocks", function() {
+        const memMap = new MemoryMap([
+            [0x00, new Uint8Array([1])],
+            [0x10, new Uint8Array([2])],
+            [0x20, new Uint8Array([3])],
+        ]);
+        memMap.write(0x01, new Uint8Array([0xAA]));
+        memMap.write(0x0F, new Uint8Array([0xBB]));
+        memMap.write(0x30, new Uint8Array([0xCC]));
+        expect(Array.from(memMap.keys())).toEqual([0x00, 0x0F, 0x20, 0x30]);
+        expect(memMap.get(0x0F)).toEqual(new Uint8Array([0xBB, 2]));
+
+        // Coalesced blocks take the place of the first one of them
+        memMap.write(0x02, new Uint8Array(0x1E));
+        expect(Array.from(memMap.keys())).toEqual([0x00, 0x30]);
+    });
+
+    it("ignores empty writes", function() {
+        const memMap = new MemoryMap([[0, new Uint8Array([1])]]);
+        memMap.write(8, new Uint8Array(0));
+        expect(memMap.size).toBe(1);
+        expect(memMap.get(0)).toEqual(new Uint8Array([1]));
+    });
+
+    it("can be chained as setBytes", function() {
+        const memMap = new MemoryMap()
+            .setBytes(0x10, new Uint8Array([1, 2]))
+            .setBytes(0x12, new Uint8Array([3, 4]));
+        expect(memMap.size).toBe(1);
+        expect(memMap.get(0x10)).toEqual(new Uint8Array([1, 2, 3, 4]));
+    });
+
+    it("fails on invalid parameters", function() {
+        const memMap = new MemoryMap();
+        expect(()=>memMap.write(1.5, new Uint8Array(1))).toThrow(new Error(
+            'Address passed to MemoryMap is not an integer'));
+        expect(()=>memMap.write(-1, new Uint8Array(1))).toThrow(new Error(
+            'Address passed to MemoryMap is negative'));
+        expect(()=>memMap.write(0, [1, 2])).toThrow(new Error(
+            'Bytes passed to MemoryMap are not an Uint8Array'));
+    });
+});